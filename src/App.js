@@ -1,279 +1,714 @@
 // src/App.js
-import React, { useState, useRef, useEffect } from 'react';
-import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Canvas, useFrame } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
-import * as THREE from 'three';
+import { createReentryEngine } from './sim/engine';
+import { createSimulationClock, createReplayClock, TIME_WARPS } from './sim/clock';
+import { telemetryToCSV, telemetryToJSON, parseTelemetry } from './sim/telemetry';
+import { INTEGRATORS } from './sim/integrators';
+import { ATMOSPHERE_MODELS } from './sim/atmosphere';
+import { vehicleToParams } from './sim/vehicles';
+import VehicleEditor from './components/VehicleEditor';
+import ChartPanel from './components/ChartPanel';
+import DispersionPanel from './components/DispersionPanel';
+import MagnetOptimizerPanel from './components/MagnetOptimizerPanel';
+import { SCHEDULE_BASES } from './sim/magnetSchedule';
+import { createClockGroup, summarizeRun, compareRuns } from './sim/comparison';
+import ComparisonPanel, { RUN_COLORS } from './components/ComparisonPanel';
+import PlasmaSheath from './components/PlasmaSheath';
+import Globe from './components/Globe';
+import TrajectoryRibbon from './components/TrajectoryRibbon';
+import CameraRig from './components/CameraRig';
+import { CAMERA_MODES } from './util/camera';
+import { LINK_BANDS, blackoutIntervals } from './sim/blackout';
+import BlackoutPanel, { BlackoutTimeline } from './components/BlackoutPanel';
+import LoadsPanel from './components/LoadsPanel';
+import GuidancePanel from './components/GuidancePanel';
+import LandingPanel from './components/LandingPanel';
+import ScenarioPanel from './components/ScenarioPanel';
+import FlightLog from './components/FlightLog';
+import { flightEvents } from './sim/trajectory';
+import { FLOW_REGIMES, SPEED_REGIMES } from './sim/aeroDatabase';
+import {
+  DEFAULT_SCENARIO,
+  validateScenario,
+  scenarioFromQuery,
+  scenarioInitialState,
+  environmentToParams,
+  scenarioToEngineOptions,
+} from './sim/scenario';
+import { SCENE_MODES, SCENE_UNITS_PER_METER, VEHICLE_DISPLAY_SCALE, scenePlacement } from './util/scene';
+import { downloadText, readFileAsText, toFileName } from './util/files';
 
 /**
- * CameraFollow updates the camera to look at the starship's current center.
+ * Flap renders one control flap hinged along the side of the hull. At 0°
+ * it lies folded up against the side; at 90° it sticks straight out,
+ * square to the flow coming up at the belly.
  */
-function CameraFollow({ simulationState }) {
-  const { camera } = useThree();
-  useFrame(() => {
-    camera.lookAt(0, simulationState.altitude / 10000, 0);
-  });
-  return null;
+function Flap({ flapRef, x, side, hullHalfWidth, length, span }) {
+  return (
+    <group ref={flapRef} position={[x, 0, side * hullHalfWidth]}>
+      <mesh position={[0, 0, side * span / 2]}>
+        <boxGeometry args={[length, 0.3, span]} />
+        <meshStandardMaterial color="dimgray" />
+      </mesh>
+    </group>
+  );
 }
 
 /**
- * AtmosphereVolume renders a 3D box representing a 100 m × 10 m × 100 m volume of atmosphere.
- * (This code remains unchanged.)
+ * SimulationDriver advances the simulation clock from the render loop.
+ * The physics lives in src/sim/engine.js and runs on a fixed timestep; each
+ * frame only hands the clock the elapsed wall time (scaled by its time warp).
  */
-function AtmosphereVolume({ simulationState, shipBottomY }) {
-  // ... (Assume this remains as in your previous version)
-  const materialRef = useRef();
-  useFrame(() => {
-    if (materialRef.current) {
-      materialRef.current.uniforms.effectiveHeat.value = simulationState.effectiveHeat;
-    }
+function SimulationDriver({ clock, setSimulationState }) {
+  useFrame((state, delta) => {
+    const advanced = clock.tick(delta);
+    if (advanced) setSimulationState(advanced);
   });
-  return (
-    <mesh position={[0, shipBottomY, 0]}>
-      <boxGeometry args={[100, 10, 100]} />
-      {/* For simplicity, using a basic material here; your custom shader may be inserted as needed */}
-      <meshBasicMaterial color="orange" transparent opacity={0.4} side={THREE.DoubleSide} />
-    </mesh>
-  );
+  return null;
 }
 
 /**
- * Starship simulates the reentry physics and displays the starship.
- * Now, it also computes plasmaFluxDensity = density * v^3 (the raw heat flux) in addition to effectiveHeat.
+ * Starship displays one vehicle at the given simulation state, so it also
+ * follows the scrub bar. The mesh is sized from the vehicle definition's
+ * dimensions and pitched to the simulated attitude; flaps are drawn when the
+ * vehicle has them, and the plasma sheath glows around the windward side.
+ * Comparison runs are tinted and set off to the side (z). The mesh is built
+ * in meters and drawn VEHICLE_DISPLAY_SCALE times its true size.
  */
-function Starship({ magnetPower, simulationState, setSimulationState, isRunning }) {
+function Starship({ simulationState, dimensions, attitude, plasmaThreshold, sceneMode, color = 'gray', offsetZ = 0 }) {
   const shipRef = useRef();
-  // Updated ship geometry: 50 m wide x 10 m high x 10 m deep.
-  const width = 50, height = 10, depth = 10;
-  const rho0 = 1.225;
-  const scaleHeight = 8400;
-  const scalingFactor = 0.000000000012;
-  const terminalVelocity = 200;
+  const plumeRef = useRef();
+  const flapRefs = [useRef(), useRef(), useRef(), useRef()];
+  const { width, height, depth } = dimensions;
+  const { flaps } = attitude;
+  const showFlaps = attitude.enabled && flaps.forwardArea + flaps.aftArea > 0;
+  const flapSpan = depth * 0.6;
+  // Order matches flapDeflections: forward left, forward right, aft left, aft right.
+  // Left is -z; the hull side is at z = ±depth/2.
+  const flapLayout = [
+    { x: flaps.forwardArm, side: -1, area: flaps.forwardArea },
+    { x: flaps.forwardArm, side: 1, area: flaps.forwardArea },
+    { x: -flaps.aftArm, side: -1, area: flaps.aftArea },
+    { x: -flaps.aftArm, side: 1, area: flaps.aftArea },
+  ];
   
-  useFrame((state, delta) => {
-    if (!isRunning) return;
-    
-    let { altitude, speed } = simulationState;
-    if (altitude <= 0) return;
-    
-    // Compute the density using an exponential atmosphere model.
-    const density = rho0 * Math.exp(-altitude / scaleHeight);
-    // Compute the raw heat flux (plasma flux density) as density * v^3.
-    const plasmaFluxDensity = density * Math.pow(speed, 3);
-    // Compute drag force and acceleration.
-    const F_drag = 0.5 * density * speed**2 * 0.81 * (50 * 10);
-    const a = -9.81 - (F_drag / 2e5);
-    // Update velocity and altitude (Euler integration).
-    const newSpeed = altitude > 0 ? Math.max(speed + a * delta, terminalVelocity) : 0;
-    const newAltitude = Math.max(altitude - newSpeed * delta, 0);
-    // Compute effective heat taking magnetic cooling into account.
-    // Here, reductionFactor depends on magnetPower.
-    const reductionFactor = 1 - magnetPower / 5;
-    const effectiveHeat = plasmaFluxDensity * reductionFactor * scalingFactor;
-    
-    setSimulationState({
-      altitude: newAltitude,
-      speed: newSpeed,
-      effectiveHeat: effectiveHeat,
-      plasmaFluxDensity: plasmaFluxDensity,
-    });
+  const { tilt } = scenePlacement(simulationState.downrange, simulationState.altitude, sceneMode);
+
+  useFrame(() => {
+    const next = simulationState;
 
     if (shipRef.current) {
-      shipRef.current.position.y = newAltitude / 1000;
+      const placement = scenePlacement(next.downrange, next.altitude, sceneMode);
+      shipRef.current.position.set(placement.position[0], placement.position[1], offsetZ);
+      // Pitch the ship to its simulated attitude (body axis vs. local horizontal).
+      shipRef.current.rotation.z = next.pitch + placement.tilt;
     }
+    if (plumeRef.current) {
+      plumeRef.current.visible = next.thrust > 0;
+      plumeRef.current.scale.x = 0.5 + (next.throttle ?? 0);
+    }
+    flapRefs.forEach((ref, i) => {
+      if (ref.current) {
+        ref.current.rotation.x = -flapLayout[i].side * (Math.PI / 2 - next.flapDeflections[i]);
+      }
+    });
   });
   
   return (
-    <group ref={shipRef}>
+    <group ref={shipRef} scale={VEHICLE_DISPLAY_SCALE * SCENE_UNITS_PER_METER}>
       <mesh>
         <boxGeometry args={[width, height, depth]} />
-        <meshStandardMaterial color="gray" transparent opacity={0.2} />
+        <meshStandardMaterial color={color} transparent opacity={0.2} />
       </mesh>
+      {/* Landing engine plume out of the tail (-x), stretched with the throttle. */}
+      <group ref={plumeRef} position={[-width / 2, 0, 0]} visible={false}>
+        <mesh position={[-height / 2, 0, 0]} rotation={[0, 0, -Math.PI / 2]}>
+          <coneGeometry args={[height * 0.3, height, 16]} />
+          <meshBasicMaterial color="orange" transparent opacity={0.7} />
+        </mesh>
+      </group>
+      <PlasmaSheath simulationState={simulationState} dimensions={dimensions} plasmaThreshold={plasmaThreshold} tilt={tilt} />
+      {showFlaps && flapLayout.map((flap, i) => (
+        <Flap
+          key={i}
+          flapRef={flapRefs[i]}
+          x={flap.x}
+          side={flap.side}
+          hullHalfWidth={depth / 2}
+          length={flap.area / flapSpan}
+          span={flapSpan}
+        />
+      ))}
     </group>
   );
 }
 
 /**
- * GraphOverlay renders a graph in the upper right-hand corner.
- * It now plots three curves:
- *  - Blue: Magnetic Cooling effective heat flux (which is 40% of the raw flux, scaled by scalingFactor)
- *  - Red: Normal effective heat flux (as computed in simulation)
- *  - Green: Plasma Flux Density (raw heat flux: density * v^3)
- *
- * We use scaling factors to bring these numbers into a similar range for visualization.
+ * TemperatureOverlay renders two plots under the chart panel:
+ *  - The temperature through the heat shield stack (depth vs temperature),
+ *    with each layer shaded and its material limit drawn as a dashed line.
+ *  - Surface (red) and backface (blue) temperature over the run up to the
+ *    instant being shown.
  */
-function GraphOverlay({ simulationState }) {
-  const canvasRef = useRef(null);
-  // historyRef will store objects with time, speed, effectiveHeat, and plasmaFluxDensity.
-  const historyRef = useRef([]);
-  const historyDuration = 60000;
-  // Use the same effectiveHeatScale from before (e.g., 1e9) for effectiveHeat.
-  const effectiveHeatScale = 1e9;
-  // Choose a scaling factor for plasmaFluxDensity for visualization.
-  const plasmaFluxScale = 1e-9;
+function TemperatureOverlay({ simulationState, history, layout }) {
+  const profileRef = useRef(null);
+  const historyCanvasRef = useRef(null);
   
   useEffect(() => {
-    const now = performance.now();
-    historyRef.current.push({
-      time: now,
-      speed: simulationState.speed,
-      effectiveHeat: simulationState.effectiveHeat,
-      plasmaFluxDensity: simulationState.plasmaFluxDensity,
-    });
-    historyRef.current = historyRef.current.filter(d => now - d.time <= historyDuration);
-    
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    const { width, height } = canvas;
-    
-    ctx.clearRect(0, 0, width, height);
-    
-    // Determine time range for the x-axis (in seconds)
-    const times = historyRef.current.map(d => d.time);
-    if (times.length === 0) return;
-    const t0 = Math.min(...times);
-    const tEnd = Math.max(...times);
-    const timeRange = (tEnd - t0) / 1000 || 1;
-    
-    // For speed, we use a fixed range.
-    const speedMin = 0;
-    const speedMax = 8000;
-    // For effectiveHeat, use dynamic range based on history and effectiveHeatScale.
-    const effectiveHeatValues = historyRef.current.map(d => d.effectiveHeat * effectiveHeatScale);
-    const effectiveHeatMin = 0;
-    const effectiveHeatMax = Math.max(...effectiveHeatValues, 1);
-    
-    // For plasmaFluxDensity, apply plasmaFluxScale.
-    const plasmaFluxValues = historyRef.current.map(d => d.plasmaFluxDensity * plasmaFluxScale);
-    const plasmaFluxMin = 0;
-    const plasmaFluxMax = Math.max(...plasmaFluxValues, 1);
-    
-    // Functions to convert time to x, and values to y.
-    const timeToX = (time) => ((time - t0) / 1000) / timeRange * width;
-    const speedToY = (speed) => height - ((speed - speedMin) / (speedMax - speedMin)) * height;
-    const effectiveHeatToY = (val) => height - ((val - effectiveHeatMin) / (effectiveHeatMax - effectiveHeatMin)) * height;
-    const plasmaFluxToY = (val) => height - ((val - plasmaFluxMin) / (plasmaFluxMax - plasmaFluxMin)) * height;
-    
-    // Draw axes
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(0, height);
-    ctx.lineTo(width, height);
-    ctx.moveTo(0, 0);
-    ctx.lineTo(0, height);
-    ctx.stroke();
-    
-    // Plot speed (blue line) on a separate axis (optional, here we already have speed in the UI)
-    ctx.strokeStyle = 'blue';
-    ctx.beginPath();
-    historyRef.current.forEach((d, i) => {
-      const x = timeToX(d.time);
-      const y = speedToY(d.speed);
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-    });
-    ctx.stroke();
-    
-    // Plot effectiveHeat (red line), scaled by effectiveHeatScale.
-    ctx.strokeStyle = 'red';
-    ctx.beginPath();
-    historyRef.current.forEach((d, i) => {
-      const x = timeToX(d.time);
-      const y = effectiveHeatToY(d.effectiveHeat * effectiveHeatScale);
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-    });
-    ctx.stroke();
+    const { cells, layers } = layout;
+    const profile = simulationState.temperatureProfile;
+    // A replayed CSV may come from a different heat shield stack.
+    if (profile.length !== cells.length) return;
+    const totalDepth = layers.reduce((sum, layer) => sum + layer.thickness, 0);
+    const tMax = Math.max(2000, ...simulationState.layerPeakTemperatures) * 1.05;
     
-    // Plot plasmaFluxDensity (green line), scaled by plasmaFluxScale.
-    ctx.strokeStyle = 'green';
-    ctx.beginPath();
-    historyRef.current.forEach((d, i) => {
-      const x = timeToX(d.time);
-      const y = plasmaFluxToY(d.plasmaFluxDensity * plasmaFluxScale);
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-    });
-    ctx.stroke();
+    const canvas = profileRef.current;
+    if (canvas) {
+      const ctx = canvas.getContext('2d');
+      const { width, height } = canvas;
+      const depthToX = (depth) => (depth / totalDepth) * width;
+      const tempToY = (T) => height - (T / tMax) * height;
+      ctx.clearRect(0, 0, width, height);
+      
+      // Shade each layer and draw its material limit.
+      const shades = ['rgba(255, 200, 150, 0.3)', 'rgba(200, 200, 255, 0.3)', 'rgba(180, 180, 180, 0.3)'];
+      let depth = 0;
+      layers.forEach((layer, i) => {
+        const x0 = depthToX(depth);
+        const x1 = depthToX(depth + layer.thickness);
+        ctx.fillStyle = shades[i % shades.length];
+        ctx.fillRect(x0, 0, x1 - x0, height);
+        ctx.strokeStyle = 'black';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x0, tempToY(layer.maxTemperature));
+        ctx.lineTo(x1, tempToY(layer.maxTemperature));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        depth += layer.thickness;
+      });
+      
+      ctx.strokeStyle = 'red';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      cells.forEach((cell, i) => {
+        const x = depthToX(cell.depth);
+        const y = tempToY(profile[i]);
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+      ctx.lineWidth = 1;
+      
+      ctx.fillStyle = 'black';
+      ctx.font = '10px sans-serif';
+      ctx.fillText(`Temperature through stack (0-${tMax.toFixed(0)} K)`, 5, 12);
+      ctx.fillText(`Depth 0-${(totalDepth * 1000).toFixed(0)} mm`, 5, height - 5);
+    }
     
-    // Add labels for each curve.
-    ctx.fillStyle = 'blue';
-    ctx.font = '10px sans-serif';
-    ctx.fillText('Speed (m/s)', 5, 12);
-    ctx.fillStyle = 'red';
-    ctx.fillText('Effective Heat (scaled)', 5, 24);
-    ctx.fillStyle = 'green';
-    ctx.fillText('Plasma Flux Density (scaled)', 5, 36);
-  }, [simulationState, effectiveHeatScale, plasmaFluxScale]);
+    const historyCanvas = historyCanvasRef.current;
+    if (historyCanvas) {
+      const ctx = historyCanvas.getContext('2d');
+      const { width, height } = historyCanvas;
+      const points = history;
+      const timeRange = points[points.length - 1].time || 1;
+      const timeToX = (time) => (time / timeRange) * width;
+      const tempToY = (T) => height - (T / tMax) * height;
+      ctx.clearRect(0, 0, width, height);
+      
+      const plot = (color, key) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        points.forEach((d, i) => {
+          const x = timeToX(d.time);
+          const y = tempToY(d[key]);
+          if (i === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
+          }
+        });
+        ctx.stroke();
+      };
+      plot('red', 'surfaceTemperature');
+      plot('blue', 'backfaceTemperature');
+      
+      ctx.font = '10px sans-serif';
+      ctx.fillStyle = 'red';
+      ctx.fillText(`Surface ${simulationState.surfaceTemperature.toFixed(0)} K`, 5, 12);
+      ctx.fillStyle = 'blue';
+      ctx.fillText(`Backface ${simulationState.backfaceTemperature.toFixed(0)} K`, 5, 24);
+    }
+  }, [simulationState, history, layout]);
+  
+  const canvasStyle = {
+    display: 'block',
+    background: 'rgba(255, 255, 255, 0.8)',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    marginTop: '5px'
+  };
   
   return (
-    <canvas
-      ref={canvasRef}
-      width={300}
-      height={150}
-      style={{
-        position: 'absolute',
-        top: 10,
-        right: 10,
-        background: 'rgba(255, 255, 255, 0.8)',
-        border: '1px solid #ccc',
-        borderRadius: '4px',
-        pointerEvents: 'none'
-      }}
-    />
+    <div style={{ pointerEvents: 'none' }}>
+      <canvas ref={profileRef} width={300} height={120} style={canvasStyle} />
+      <canvas ref={historyCanvasRef} width={300} height={80} style={canvasStyle} />
+    </div>
+  );
+}
+
+/**
+ * TileGauge shows the percentage of tile energy capacity used, with and
+ * without magnetic cooling, and a failure banner once capacity is exceeded.
+ */
+function TileGauge({ simulationState }) {
+  const used = simulationState.tileCapacityUsed;
+  const barColor = used > 100 ? 'red' : used > 75 ? 'orange' : 'green';
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <div><strong>Tile Capacity Used:</strong> {used.toFixed(1)}%</div>
+      <div style={{ width: '200px', height: '10px', background: '#ddd', borderRadius: '4px' }}>
+        <div style={{
+          width: `${Math.min(used, 100)}%`,
+          height: '100%',
+          background: barColor,
+          borderRadius: '4px'
+        }} />
+      </div>
+      <div style={{ fontSize: '12px' }}>
+        Without magnet: {simulationState.tileCapacityUsedUnshielded.toFixed(1)}%
+        {' '}({simulationState.heatLoad.toExponential(2)} J/m² absorbed)
+      </div>
+      {simulationState.layerFailures.map((failure) => (
+        <div key={failure.layer} style={{
+          marginTop: '5px',
+          padding: '5px',
+          background: 'darkred',
+          color: 'white',
+          fontWeight: 'bold',
+          borderRadius: '4px'
+        }}>
+          {failure.label.toUpperCase()} OVER LIMIT at T+{failure.time.toFixed(1)} s
+          ({failure.temperature.toFixed(0)} K)
+        </div>
+      ))}
+      {simulationState.tileFailed && (
+        <div style={{
+          marginTop: '5px',
+          padding: '5px',
+          background: 'red',
+          color: 'white',
+          fontWeight: 'bold',
+          borderRadius: '4px'
+        }}>
+          TILE FAILURE at T+{simulationState.tileFailureTime.toFixed(1)} s
+        </div>
+      )}
+    </div>
   );
 }
 
+// The scenario linked in the page URL, or the default one:
+// { scenario, error }, error describing a link that could not be read.
+function scenarioFromLocation() {
+  try {
+    return { scenario: scenarioFromQuery(window.location.search) ?? validateScenario(DEFAULT_SCENARIO), error: null };
+  } catch (err) {
+    return { scenario: validateScenario(DEFAULT_SCENARIO), error: `Scenario link: ${err.message}` };
+  }
+}
+
 export default function App() {
-  const [simulationState, setSimulationState] = useState({
-    altitude: 120000,
-    speed: 7222,
-    effectiveHeat: 0,
-    plasmaFluxDensity: 0,
-  });
-  const [magnetPower, setMagnetPower] = useState(0);
+  // Everything below starts out as set up by this scenario.
+  const [startup] = useState(scenarioFromLocation);
+  const [vehicle, setVehicle] = useState(startup.scenario.vehicle);
+  const engineRef = useRef(null);
+  if (engineRef.current === null) {
+    engineRef.current = createReentryEngine(scenarioToEngineOptions(startup.scenario));
+  }
+  const engine = engineRef.current;
+  const clockRef = useRef(null);
+  if (clockRef.current === null) {
+    clockRef.current = createSimulationClock(engine);
+  }
+  // A loaded recording being played back instead of the live run:
+  // { name, clock, vehicle, layout }.
+  const [replay, setReplay] = useState(null);
+  const [telemetryError, setTelemetryError] = useState(null);
+  // Extra runs flown alongside the main one:
+  // [{ id, vehicle, magnetPower, engine, clock, color }].
+  const [comparisons, setComparisons] = useState([]);
+  const engines = useMemo(() => [engine, ...comparisons.map((c) => c.engine)], [engine, comparisons]);
+  const liveClock = useMemo(
+    () => (comparisons.length > 0 ? createClockGroup([clockRef.current, ...comparisons.map((c) => c.clock)]) : clockRef.current),
+    [comparisons]
+  );
+  const clock = replay ? replay.clock : liveClock;
+  const [simulationState, setSimulationState] = useState(() => engine.getState());
+  const [magnetPower, setMagnetPower] = useState(startup.scenario.magnet.power);
+  // Optimized field schedule being flown instead of the slider value.
+  const [magnetSchedule, setMagnetSchedule] = useState(startup.scenario.magnet.schedule);
+  const [integrator, setIntegrator] = useState(engine.getIntegrator());
+  const [atmosphereModel, setAtmosphereModel] = useState(engine.params.atmosphere);
+  const [sceneMode, setSceneMode] = useState('flat');
+  const [cameraMode, setCameraMode] = useState('chase');
+  const [linkBands, setLinkBands] = useState(LINK_BANDS);
+  const [loadLimits, setLoadLimits] = useState(startup.scenario.limits);
   const [isRunning, setIsRunning] = useState(true);
+  const [timeWarp, setTimeWarp] = useState(clock.getWarp());
+  const [scenarioName, setScenarioName] = useState(startup.scenario.name);
+  // Entry interface state (scenario units, angles in degrees); applied on restart.
+  const [entryConditions, setEntryConditions] = useState(startup.scenario.initialState);
+  const entryAngle = entryConditions.flightPathAngle;
+  // Simulated seconds to stop after, or null to fly to touchdown.
+  const [duration, setDuration] = useState(startup.scenario.duration);
+  const [plasmaThreshold, setPlasmaThreshold] = useState(engine.params.plasmaThreshold);
+  // Bank angle in degrees.
+  const [bankAngle, setBankAngle] = useState(startup.scenario.environment.bankAngle);
+  // Entry guidance flies the bank angle to this landing site (degrees) while enabled.
+  const [guidanceEnabled, setGuidanceEnabled] = useState(startup.scenario.environment.landingSite !== null);
+  const [landingSite, setLandingSite] = useState(
+    startup.scenario.environment.landingSite ?? { latitude: 0.8, longitude: 24 }
+  );
+  const guidanceTarget = useMemo(
+    () =>
+      guidanceEnabled
+        ? { latitude: (landingSite.latitude * Math.PI) / 180, longitude: (landingSite.longitude * Math.PI) / 180 }
+        : null,
+    [guidanceEnabled, landingSite]
+  );
+  const [flapMode, setFlapMode] = useState(engine.params.flapMode);
+  // Manual flap deflections in degrees: forward left, forward right, aft left, aft right.
+  const [manualFlaps, setManualFlaps] = useState(startup.scenario.environment.flapDeflections);
+
+  useEffect(() => {
+    if (isRunning) clock.play();
+    else clock.pause();
+  }, [clock, isRunning]);
+
+  useEffect(() => {
+    clock.setWarp(timeWarp);
+  }, [clock, timeWarp]);
+
+  useEffect(() => {
+    engine.setMagnetPower(magnetPower);
+  }, [engine, magnetPower]);
+
+  useEffect(() => {
+    engine.setMagnetSchedule(magnetSchedule);
+  }, [engine, magnetSchedule]);
+
+  // The run as currently set up, for saving and sharing.
+  const scenario = {
+    name: scenarioName,
+    initialState: entryConditions,
+    environment: {
+      atmosphere: atmosphereModel,
+      integrator,
+      plasmaThreshold,
+      bankAngle,
+      landingSite: guidanceEnabled ? landingSite : null,
+      flapMode,
+      flapDeflections: manualFlaps,
+    },
+    vehicle,
+    magnet: { power: magnetPower, schedule: magnetSchedule },
+    limits: loadLimits,
+    duration,
+  };
+
+  // The integrator, environment and duration apply to every run, so
+  // comparisons differ only in vehicle and magnet setting.
+  // guidanceTarget keeps its memoised identity, which the engines compare.
+  const environmentParams = { ...environmentToParams(scenario.environment), guidanceTarget, ...loadLimits };
+
+  // Number keys switch camera modes, except while typing in a field.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const mode = Object.keys(CAMERA_MODES).find((id) => CAMERA_MODES[id].key === e.key);
+      if (mode) setCameraMode(mode);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setIntegrator(integrator));
+  }, [engines, integrator]);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setParams({ atmosphere: atmosphereModel }));
+  }, [engines, atmosphereModel]);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setParams({ plasmaThreshold }));
+  }, [engines, plasmaThreshold]);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setMaxTime(duration));
+  }, [engines, duration]);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setParams(loadLimits));
+  }, [engines, loadLimits]);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setParams({ bankAngle: (bankAngle * Math.PI) / 180 }));
+  }, [engines, bankAngle]);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setParams({ guidanceTarget }));
+  }, [engines, guidanceTarget]);
+
+  useEffect(() => {
+    engines.forEach((e) => e.setParams({ flapMode, flapDeflections: manualFlaps.map((d) => (d * Math.PI) / 180) }));
+  }, [engines, flapMode, manualFlaps]);
+
+  const entryState = () => scenarioInitialState(entryConditions);
 
   const handleRestart = () => {
-    setSimulationState({
-      altitude: 120000,
-      speed: 7222,
-      effectiveHeat: 0,
-      plasmaFluxDensity: 0,
+    setReplay(null);
+    setSimulationState(liveClock.reset(entryState()));
+    setIsRunning(true);
+  };
+
+  // Adding or removing a comparison restarts every run so they fly together.
+  const restartWith = (nextComparisons) => {
+    setReplay(null);
+    nextComparisons.forEach((c) => c.clock.reset(entryState()));
+    setComparisons(nextComparisons);
+    setSimulationState(clockRef.current.reset(entryState()));
+    setIsRunning(true);
+  };
+
+  const handleAddComparison = ({ vehicle: runVehicle, magnetPower: runMagnetPower }) => {
+    const runEngine = createReentryEngine({
+      params: { ...vehicleToParams(runVehicle), ...environmentParams },
+      integrator,
+      magnetPower: runMagnetPower,
+      maxTime: duration,
     });
+    const used = comparisons.map((c) => c.color);
+    const comparison = {
+      id: `${Date.now()}`,
+      vehicle: runVehicle,
+      magnetPower: runMagnetPower,
+      engine: runEngine,
+      clock: createSimulationClock(runEngine, { warp: timeWarp, playing: isRunning }),
+      color: RUN_COLORS.slice(1).find((color) => !used.includes(color)),
+    };
+    restartWith([...comparisons, comparison]);
+  };
+
+  const handleRemoveComparison = (id) => {
+    restartWith(comparisons.filter((c) => c.id !== id));
+  };
+
+  const handleStep = () => {
+    setIsRunning(false);
+    setSimulationState(clock.stepOnce());
+  };
+
+  // Scrubbing pauses the run so the chosen instant stays on screen; pressing
+  // Play or Step from there re-flies the run from that instant.
+  const handleScrub = (time) => {
+    setIsRunning(false);
+    setSimulationState(clock.seek(time));
+  };
+
+  const handleExport = (format) => {
+    const states = clock.getRecording();
+    const name = `${(replay ? replay.vehicle : vehicle).name} telemetry`;
+    if (format === 'csv') {
+      downloadText(toFileName(name, 'csv'), telemetryToCSV(states), 'text/csv');
+    } else {
+      const meta = replay
+        ? { vehicle: replay.vehicle, layout: replay.layout }
+        : { vehicle, layout: engine.getThermalLayout(), dt: engine.dt };
+      downloadText(toFileName(name, 'json'), telemetryToJSON(states, meta));
+    }
+  };
+
+  // Loading a recording switches the scene, HUD and graphs to play it back;
+  // Restart returns to the live simulation.
+  const handleLoadTelemetry = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const recording = parseTelemetry(await readFileAsText(file));
+      // Fields a trimmed CSV leaves out fall back to the live run's initial values.
+      const template = clockRef.current.getRecording()[0];
+      const replayClock = createReplayClock(
+        recording.samples.map((sample) => ({ ...template, ...sample })),
+        { warp: timeWarp, playing: isRunning }
+      );
+      setReplay({
+        name: file.name,
+        clock: replayClock,
+        vehicle: recording.vehicle ?? vehicle,
+        layout: recording.layout ?? engine.getThermalLayout(),
+      });
+      setSimulationState(replayClock.getState());
+      setTelemetryError(null);
+    } catch (err) {
+      setTelemetryError(err.message);
+    }
+  };
+
+  // Flying a schedule starts the run over so the whole entry uses it.
+  const handleFlySchedule = (schedule) => {
+    engine.setMagnetSchedule(schedule);
+    setMagnetSchedule(schedule);
+    handleRestart();
+  };
+
+  // The entry as currently set up, for the batch tools to fly.
+  const batchNominal = {
+    initialState: entryState(),
+    params: { ...engine.params },
+    magnetPower,
+    integrator,
+  };
+
+  const shownVehicle = replay ? replay.vehicle : vehicle;
+  const comparing = !replay && comparisons.length > 0;
+  const runs = [
+    {
+      id: 'main',
+      label: `${vehicle.name}, ${magnetSchedule ? 'scheduled' : `${magnetPower} T`}`,
+      color: RUN_COLORS[0],
+      state: simulationState,
+    },
+    ...(comparing
+      ? comparisons.map((c) => ({
+          id: c.id,
+          label: `${c.vehicle.name}, ${c.magnetPower} T`,
+          color: c.color,
+          state: c.clock.getState(),
+        }))
+      : []),
+  ];
+  const allFinished = comparing && clock.isFinished();
+  // Summarize once, when the last run is over.
+  const comparisonSummary = useMemo(() => {
+    if (!allFinished) return null;
+    const results = [clockRef.current, ...comparisons.map((c) => c.clock)].map((c) => summarizeRun(c.getRecording()));
+    return { runs: results, deltas: results.slice(1).map((result) => compareRuns(results[0], result)) };
+  }, [allFinished, comparisons]);
+  const timeline = clock.getTimeline();
+  // Plots only need a screen's width of points, however long the run.
+  const history = clock.getHistory(1000);
+  // The whole recorded run, for blackout periods and the flight log. Re-read
+  // it only when the run has grown or the clock changed, not on every frame.
+  const recordingRef = useRef({ clock: null, end: null, states: [] });
+  if (recordingRef.current.clock !== clock || recordingRef.current.end !== timeline.end) {
+    recordingRef.current = { clock, end: timeline.end, states: clock.getRecording() };
+  }
+  const recording = recordingRef.current.states;
+  const blackouts = useMemo(() => blackoutIntervals(recording, linkBands), [recording, linkBands]);
+  const finished = clock.isFinished();
+  const events = useMemo(
+    () => flightEvents(recording, plasmaThreshold, finished),
+    [recording, plasmaThreshold, finished]
+  );
+  // Telemetry recorded before the blackout and load models lacks their fields.
+  const hasPlasmaData = 'plasmaFrequency' in simulationState;
+  const hasLoadData = 'maxQ' in simulationState;
+  // Recordings saved before landing engines existed have no landing block.
+  const hasLandingData = 'landingPhase' in simulationState && Boolean(shownVehicle.landing);
+  const limitLines = [
+    { unit: 'kPa', value: loadLimits.maxDynamicPressure / 1000, label: 'q-limit' },
+    ...loadLimits.crewGLimits.map(([seconds, g]) => ({ unit: 'g', value: g, label: `crew ${g} g / ${seconds} s` })),
+  ];
+
+  const handleScenarioChange = (partial) => {
+    if ('name' in partial) setScenarioName(partial.name);
+    if ('initialState' in partial) setEntryConditions(partial.initialState);
+    if ('duration' in partial) setDuration(partial.duration);
+  };
+
+  // Loading a scenario sets everything up from it and starts a fresh run,
+  // without any comparison runs. The engine takes the new settings at once
+  // so the first state is built with them.
+  const handleLoadScenario = (next) => {
+    const options = scenarioToEngineOptions(next);
+    const { environment } = next;
+    engine.setParams(options.params);
+    engine.setIntegrator(options.integrator);
+    engine.setMagnetPower(options.magnetPower);
+    engine.setMagnetSchedule(options.magnetSchedule);
+    engine.setMaxTime(next.duration);
+    setScenarioName(next.name);
+    setVehicle(next.vehicle);
+    setEntryConditions(next.initialState);
+    setDuration(next.duration);
+    setAtmosphereModel(environment.atmosphere);
+    setIntegrator(environment.integrator);
+    setPlasmaThreshold(environment.plasmaThreshold);
+    setBankAngle(environment.bankAngle);
+    setGuidanceEnabled(environment.landingSite !== null);
+    if (environment.landingSite) setLandingSite(environment.landingSite);
+    setFlapMode(environment.flapMode);
+    setManualFlaps(environment.flapDeflections);
+    setMagnetPower(next.magnet.power);
+    setMagnetSchedule(next.magnet.schedule);
+    setLoadLimits(next.limits);
+    setReplay(null);
+    setComparisons([]);
+    setSimulationState(clockRef.current.reset(options.initialState));
     setIsRunning(true);
   };
 
+  // A new vehicle changes the heat shield stack, so the run starts over.
+  const handleVehicleApply = (nextVehicle) => {
+    setVehicle(nextVehicle);
+    engine.setParams(vehicleToParams(nextVehicle));
+    setMagnetPower((power) => Math.min(power, nextVehicle.magnet.maxField));
+    handleRestart();
+  };
+
   return (
     <div style={{ height: '100vh', width: '100vw', position: 'relative' }}>
-      <Canvas camera={{ position: [0, 100, 100], fov: 60 }}>
+      {/* Scene units are km; the far plane takes in the whole Earth. */}
+      <Canvas camera={{ position: [0, 100, 100], fov: 60, near: 0.5, far: 50000 }}>
         <ambientLight intensity={0.5} />
         <directionalLight position={[10, 20, 10]} intensity={1} />
+        <SimulationDriver clock={clock} setSimulationState={setSimulationState} />
         <Starship
-          magnetPower={magnetPower}
           simulationState={simulationState}
-          setSimulationState={setSimulationState}
-          isRunning={isRunning}
+          dimensions={shownVehicle.dimensions}
+          attitude={shownVehicle.attitude}
+          plasmaThreshold={plasmaThreshold}
+          sceneMode={sceneMode}
         />
-        {/* Place the atmospheric volume just below the ship.
-            The ship’s bottom is at (simulationState.altitude/1000) - 25.
-            The volume is 10 m tall, so its center is offset by +5 m. */}
-        <AtmosphereVolume
+        {comparing && comparisons.map((c, i) => (
+          <Starship
+            key={c.id}
+            simulationState={c.clock.getState()}
+            dimensions={c.vehicle.dimensions}
+            attitude={c.vehicle.attitude}
+            plasmaThreshold={plasmaThreshold}
+            sceneMode={sceneMode}
+            color={c.color}
+            offsetZ={(i + 1) * 30}
+          />
+        ))}
+        {sceneMode === 'earth' && <Globe />}
+        <TrajectoryRibbon history={history} mode={sceneMode} />
+        <OrbitControls makeDefault enabled={cameraMode === 'free'} />
+        <CameraRig
+          mode={cameraMode}
           simulationState={simulationState}
-          shipBottomY={(simulationState.altitude / 1000) - 25 + 5}
+          sceneMode={sceneMode}
+          dimensions={shownVehicle.dimensions}
         />
-        <OrbitControls target={[0, simulationState.altitude / 1000, 0]} />
-        <CameraFollow simulationState={simulationState} />
       </Canvas>
       {/* Overlay UI */}
       <div style={{
@@ -282,36 +717,341 @@ export default function App() {
         left: 20,
         background: 'rgba(255,255,255,0.8)',
         padding: '10px',
-        borderRadius: '8px'
+        borderRadius: '8px',
+        maxHeight: 'calc(100vh - 60px)',
+        overflowY: 'auto'
       }}>
+        {replay && (
+          <div style={{ marginBottom: '5px', padding: '5px', background: 'steelblue', color: 'white' }}>
+            Replaying {replay.name} (Restart returns to live)
+          </div>
+        )}
+        <div><strong>Vehicle:</strong> {shownVehicle.name}</div>
         <div><strong>Altitude:</strong> {simulationState.altitude.toFixed(0)} m</div>
         <div><strong>Speed:</strong> {simulationState.speed.toFixed(0)} m/s</div>
+        {'flowRegime' in simulationState && (
+          <div>
+            <strong>Flow:</strong> Mach {simulationState.machNumber.toFixed(1)},{' '}
+            {SPEED_REGIMES[simulationState.speedRegime].label.toLowerCase()},{' '}
+            {FLOW_REGIMES[simulationState.flowRegime].toLowerCase()}
+            {' '}(Kn {simulationState.knudsenNumber.toExponential(1)}, Re {simulationState.reynoldsNumber.toExponential(1)})
+          </div>
+        )}
+        <div><strong>Downrange:</strong> {(simulationState.downrange / 1000).toFixed(1)} km</div>
+        <div>
+          <strong>Flight-Path Angle:</strong> {(simulationState.flightPathAngle * 180 / Math.PI).toFixed(2)}°
+        </div>
+        <div>
+          <strong>Angle of Attack:</strong> {(simulationState.angleOfAttack * 180 / Math.PI).toFixed(1)}°
+          {' '}(L/D {(simulationState.liftCoefficient / simulationState.dragCoefficient).toFixed(2)})
+        </div>
+        {shownVehicle.attitude.enabled && (
+          <div>
+            <strong>Flaps (fwd L/R, aft L/R):</strong>{' '}
+            {simulationState.flapDeflections.map((d) => (d * 180 / Math.PI).toFixed(0)).join(' / ')}°
+          </div>
+        )}
+        <div><strong>Air Density:</strong> {simulationState.density.toExponential(2)} kg/m³</div>
+        <div><strong>Air Temperature:</strong> {simulationState.temperature.toFixed(0)} K</div>
+        <div>
+          <strong>Convective Heat Flux:</strong> {simulationState.convectiveHeatFlux.toExponential(2)} W/m²
+        </div>
+        <div>
+          <strong>Radiative Heat Flux:</strong> {simulationState.radiativeHeatFlux.toExponential(2)} W/m²
+        </div>
         <div>
-          <strong>Plasma Flux Density:</strong> {simulationState.plasmaFluxDensity.toExponential(2)} W/m²
+          <strong>Total Heat Flux:</strong> {simulationState.totalHeatFlux.toExponential(2)} W/m²
         </div>
+        <div><strong>Surface Temperature:</strong> {simulationState.surfaceTemperature.toFixed(0)} K</div>
+        <div><strong>Backface Temperature:</strong> {simulationState.backfaceTemperature.toFixed(0)} K</div>
+        <TileGauge simulationState={simulationState} />
         <div style={{ marginTop: '10px' }}>
           <button onClick={handleRestart}>Restart Simulation</button>
         </div>
+        <div style={{ marginTop: '10px' }}>
+          {magnetSchedule ? (
+            <>
+              Magnet: {SCHEDULE_BASES[magnetSchedule.basis].label.toLowerCase()} schedule,
+              {' '}now {simulationState.magnetPower.toFixed(2)} T{' '}
+              <button onClick={() => setMagnetSchedule(null)}>Use slider</button>
+            </>
+          ) : (
+            <label>
+              Magnet Power (Tesla): {magnetPower}
+              <br />
+              <input
+                type="range"
+                min="0"
+                max={vehicle.magnet.maxField}
+                step="0.1"
+                value={magnetPower}
+                onChange={(e) => setMagnetPower(Number(e.target.value))}
+              />
+            </label>
+          )}
+        </div>
+        <div style={{ fontSize: '12px' }}>
+          <div>Stuart number: {simulationState.stuartNumber.toExponential(2)}</div>
+          <div>
+            Shock standoff: {simulationState.shockStandoff.toFixed(2)} m
+            {' '}(unmagnetized {simulationState.shockStandoffUnmagnetized.toFixed(2)} m)
+          </div>
+          <div>Convective heating reduction: {((1 - simulationState.heatFluxRatio) * 100).toFixed(1)}%</div>
+          <div>
+            Coil: {(simulationState.magnetCoilMass / 1000).toFixed(1)} t,
+            {' '}{(simulationState.magnetElectricalPower / 1000).toFixed(1)} kW,
+            {' '}{(simulationState.magnetEnergy / 1e6).toFixed(2)} MJ used
+          </div>
+        </div>
+        {hasLoadData && (
+          <div style={{ marginTop: '10px', fontSize: '12px' }}>
+            <LoadsPanel state={simulationState} recording={recording} limits={loadLimits} onLimitsChange={setLoadLimits} />
+          </div>
+        )}
+        {hasLandingData && (
+          <div style={{ marginTop: '10px', fontSize: '12px' }}>
+            <LandingPanel state={simulationState} landing={shownVehicle.landing} />
+          </div>
+        )}
+        {hasPlasmaData && (
+          <div style={{ marginTop: '10px', fontSize: '12px' }}>
+            <BlackoutPanel
+              state={simulationState}
+              recording={recording}
+              intervals={blackouts}
+              bands={linkBands}
+              onBandsChange={setLinkBands}
+              maxField={shownVehicle.magnet.maxField}
+              finished={finished}
+            />
+          </div>
+        )}
+        <div style={{ marginTop: '10px', fontSize: '12px' }}>
+          <ScenarioPanel
+            scenario={scenario}
+            onChange={handleScenarioChange}
+            onLoad={handleLoadScenario}
+            initialError={startup.error}
+          />
+        </div>
         <div style={{ marginTop: '10px' }}>
           <label>
-            Magnet Power (Tesla): {magnetPower}
+            Entry Flight-Path Angle (deg, on restart): {entryAngle}
             <br />
             <input
               type="range"
-              min="0"
-              max="4"
+              min="-10"
+              max="0"
               step="0.1"
-              value={magnetPower}
-              onChange={(e) => setMagnetPower(Number(e.target.value))}
+              value={entryAngle}
+              onChange={(e) => setEntryConditions((conditions) => ({ ...conditions, flightPathAngle: Number(e.target.value) }))}
+            />
+          </label>
+        </div>
+        <div style={{ marginTop: '10px' }}>
+          <label>
+            Bank Angle (deg): {guidanceEnabled ? 'flown by guidance' : bankAngle}
+            <br />
+            <input
+              type="range"
+              min="-180"
+              max="180"
+              step="1"
+              value={bankAngle}
+              disabled={guidanceEnabled}
+              onChange={(e) => setBankAngle(Number(e.target.value))}
             />
           </label>
+          {'latitude' in simulationState && (
+            <GuidancePanel
+              state={simulationState}
+              enabled={guidanceEnabled}
+              target={landingSite}
+              onEnabledChange={setGuidanceEnabled}
+              onTargetChange={setLandingSite}
+            />
+          )}
         </div>
+        {vehicle.attitude.enabled && (
+          <div style={{ marginTop: '10px' }}>
+            <label>
+              Flap Control:{' '}
+              <select value={flapMode} onChange={(e) => setFlapMode(e.target.value)}>
+                <option value="auto">Auto (belly-flop profile)</option>
+                <option value="manual">Manual</option>
+              </select>
+            </label>
+            {flapMode === 'manual' && ['Fwd L', 'Fwd R', 'Aft L', 'Aft R'].map((label, i) => (
+              <div key={label}>
+                <label>
+                  {label}: {manualFlaps[i]}°
+                  <br />
+                  <input
+                    type="range"
+                    min="0"
+                    max="90"
+                    step="1"
+                    value={manualFlaps[i]}
+                    onChange={(e) => {
+                      const value = Number(e.target.value);
+                      setManualFlaps((flaps) => flaps.map((d, j) => (j === i ? value : d)));
+                    }}
+                  />
+                </label>
+              </div>
+            ))}
+          </div>
+        )}
         <div style={{ marginTop: '10px' }}>
-          <button onClick={() => setIsRunning(false)}>Stop Simulation</button>
+          <label>
+            Plasma Threshold (W/m²):{' '}
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={plasmaThreshold}
+              onChange={(e) => setPlasmaThreshold(Number(e.target.value))}
+              style={{ width: '90px' }}
+            />
+          </label>
         </div>
+        <div style={{ marginTop: '10px' }}>
+          <label>
+            Atmosphere:{' '}
+            <select value={atmosphereModel} onChange={(e) => setAtmosphereModel(e.target.value)}>
+              {Object.entries(ATMOSPHERE_MODELS).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div style={{ marginTop: '10px' }}>
+          <label>
+            Scene:{' '}
+            <select value={sceneMode} onChange={(e) => setSceneMode(e.target.value)}>
+              {Object.entries(SCENE_MODES).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div style={{ fontSize: '11px', color: '#555' }}>
+            Path colored by heat flux at tiles, 10³–10⁶ W/m² (log)
+          </div>
+        </div>
+        <div style={{ marginTop: '10px' }}>
+          <label>
+            Camera:{' '}
+            <select value={cameraMode} onChange={(e) => setCameraMode(e.target.value)}>
+              {Object.entries(CAMERA_MODES).map(([id, { label, key }]) => (
+                <option key={id} value={id}>{label} [{key}]</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div style={{ marginTop: '10px' }}>
+          <label>
+            Integrator:{' '}
+            <select value={integrator} onChange={(e) => setIntegrator(e.target.value)}>
+              {Object.entries(INTEGRATORS).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+      {/* Simulation clock: play/pause, single step, time warp and scrub bar */}
+      <div
+        style={{
+          position: 'absolute',
+          bottom: 10,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          background: 'rgba(255, 255, 255, 0.8)',
+          padding: '6px 10px',
+          borderRadius: '4px',
+          fontFamily: 'sans-serif',
+          fontSize: '12px'
+        }}
+      >
+        <button onClick={() => setIsRunning((running) => !running)} style={{ width: '55px' }}>
+          {isRunning ? 'Pause' : 'Play'}
+        </button>
+        <button onClick={handleStep}>Step</button>
+        <label>
+          Warp:{' '}
+          <select value={timeWarp} onChange={(e) => setTimeWarp(Number(e.target.value))}>
+            {TIME_WARPS.map((warp) => (
+              <option key={warp} value={warp}>{warp}×</option>
+            ))}
+          </select>
+        </label>
+        <div>
+          <input
+            type="range"
+            min={timeline.start}
+            max={timeline.end}
+            step="any"
+            value={timeline.current}
+            onChange={(e) => handleScrub(Number(e.target.value))}
+            style={{ width: '300px', display: 'block' }}
+          />
+          {hasPlasmaData && (
+            <BlackoutTimeline intervals={blackouts} bands={linkBands} start={timeline.start} end={timeline.end} width="300px" />
+          )}
+        </div>
+        <span style={{ width: '130px' }}>
+          {timeline.current.toFixed(1)} / {timeline.end.toFixed(1)} s
+        </span>
+        <button onClick={() => handleExport('csv')}>CSV</button>
+        <button onClick={() => handleExport('json')}>JSON</button>
+        <label style={{ cursor: 'pointer' }}>
+          <span style={{ border: '1px solid #888', padding: '1px 6px', borderRadius: '2px', background: '#eee' }}>
+            Load Run
+          </span>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleLoadTelemetry} style={{ display: 'none' }} />
+        </label>
+        {telemetryError && <span style={{ color: 'red' }}>{telemetryError}</span>}
+      </div>
+      {/* Flight data chart and heat shield temperatures in the upper right corner */}
+      <div style={{ position: 'absolute', top: 10, right: 10, display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
+        <ChartPanel
+          history={history}
+          overlays={comparing ? comparisons.map((c, i) => ({ label: runs[i + 1].label, color: c.color, history: c.clock.getHistory(1000) })) : []}
+          thresholds={limitLines}
+          events={events}
+          onEventClick={(event) => handleScrub(event.time)}
+        />
+        <FlightLog events={events} time={timeline.current} onSelect={(event) => handleScrub(event.time)} />
+        <TemperatureOverlay simulationState={simulationState} history={history} layout={replay ? replay.layout : engine.getThermalLayout()} />
+      </div>
+      <VehicleEditor vehicle={vehicle} onApply={handleVehicleApply} />
+      {!replay && (
+        <ComparisonPanel
+          vehicle={vehicle}
+          runs={runs}
+          summary={comparisonSummary}
+          onAdd={handleAddComparison}
+          onRemove={handleRemoveComparison}
+        />
+      )}
+      {/* Batch analysis tools, stacked in the lower left corner */}
+      <div
+        style={{
+          position: 'absolute',
+          bottom: 20,
+          left: 10,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'flex-start',
+          gap: '5px'
+        }}
+      >
+        <MagnetOptimizerPanel nominal={batchNominal} maxField={vehicle.magnet.maxField} onFly={handleFlySchedule} />
+        <DispersionPanel nominal={batchNominal} />
       </div>
-      {/* Graph overlay in upper right corner */}
-      <GraphOverlay simulationState={simulationState} />
     </div>
   );
 }
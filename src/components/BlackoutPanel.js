@@ -0,0 +1,122 @@
+// src/components/BlackoutPanel.js
+import React, { useMemo } from 'react';
+import { blackoutDuration, isBlackedOut, windowField } from '../sim/blackout';
+
+// Fields the blackout-versus-magnet table is worked out for (T).
+const FIELD_STEPS = [0, 0.1, 0.25, 0.5, 1];
+
+// Colors for up to this many bands, in the HUD and on the timeline.
+const BAND_COLORS = ['#c0392b', '#8e44ad', '#2471a3', '#117a65'];
+
+const formatPeriod = ({ start, end }) => `${start.toFixed(0)}–${end.toFixed(0)} s`;
+
+/**
+ * BlackoutPanel is the HUD section for radio blackout: each link band's
+ * frequency (editable), whether it is out at the instant shown, when it
+ * blacks out over the recorded run, and how long the blackout would be at a
+ * range of magnet fields. The field does not change the flight, so that
+ * table comes from the same recording without flying it again.
+ *
+ * intervals: blackoutIntervals() of the recording, by band id.
+ * finished: whether the run is over, so the recording is complete.
+ */
+export default function BlackoutPanel({ state, recording, intervals, bands, onBandsChange, maxField, finished }) {
+  const fields = FIELD_STEPS.filter((field) => field <= maxField);
+  // Blackout seconds by band and field; only recomputed when the run grows.
+  const durations = useMemo(() => {
+    const table = {};
+    Object.entries(bands).forEach(([id, band]) => {
+      table[id] = FIELD_STEPS.map((field) => blackoutDuration(recording, band.frequency, field));
+    });
+    return table;
+  }, [recording, bands]);
+  const setFrequency = (id, gigahertz) => {
+    if (!(gigahertz > 0)) return;
+    onBandsChange({ ...bands, [id]: { ...bands[id], frequency: gigahertz * 1e9 } });
+  };
+
+  return (
+    <div>
+      <strong>Radio Links</strong>
+      <span style={{ fontSize: '11px', color: '#555' }}>
+        {' '}plasma {(state.plasmaFrequency / 1e9).toFixed(2)} GHz, n<sub>e</sub> {state.electronDensity.toExponential(1)} /m³
+      </span>
+      {Object.entries(bands).map(([id, band], i) => {
+        const out = isBlackedOut(state, band.frequency);
+        const windowed = !out && state.plasmaFrequency > band.frequency;
+        return (
+          <div key={id} style={{ marginTop: '3px' }}>
+            <span style={{ color: BAND_COLORS[i % BAND_COLORS.length] }}>■</span>{' '}
+            {band.label}{' '}
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={band.frequency / 1e9}
+              onChange={(e) => setFrequency(id, Number(e.target.value))}
+              style={{ width: '50px' }}
+            />{' '}
+            GHz:{' '}
+            {out && <strong style={{ color: 'darkred' }}>BLACKOUT</strong>}
+            {!out && <span style={{ color: 'green' }}>{windowed ? 'up (magnetic window)' : 'up'}</span>}
+            <div style={{ fontSize: '11px', color: '#555', marginLeft: '14px' }}>
+              {intervals[id].length > 0 ? `Out ${intervals[id].map(formatPeriod).join(', ')}` : 'No blackout'}
+              {finished ? '' : ' so far'}; window above {windowField(band.frequency).toFixed(2)} T
+            </div>
+          </div>
+        );
+      })}
+      <table style={{ marginTop: '4px', fontSize: '11px', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Blackout (s) at</th>
+            {fields.map((field) => (
+              <th key={field} style={{ padding: '0 4px' }}>{field} T</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(bands).map(([id, band]) => (
+            <tr key={id}>
+              <td>{band.label}</td>
+              {fields.map((field, j) => (
+                <td key={field} style={{ padding: '0 4px', textAlign: 'right' }}>
+                  {durations[id][j].toFixed(0)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * BlackoutTimeline draws each band's blackout periods as a strip under the
+ * scrub bar, spanning the same sim-time range.
+ */
+export function BlackoutTimeline({ intervals, bands, start, end, width }) {
+  const span = end - start || 1;
+  return (
+    <div style={{ width, marginTop: '2px' }}>
+      {Object.entries(bands).map(([id, band], i) => (
+        <div key={id} title={band.label} style={{ position: 'relative', height: '3px', marginTop: '1px', background: '#ddd' }}>
+          {intervals[id].map((period) => (
+            <div
+              key={period.start}
+              style={{
+                position: 'absolute',
+                left: `${((period.start - start) / span) * 100}%`,
+                width: `${(Math.max(period.end - period.start, 0) / span) * 100}%`,
+                minWidth: '1px',
+                height: '100%',
+                background: BAND_COLORS[i % BAND_COLORS.length],
+              }}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// src/components/CameraRig.js
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { cameraPose, easeInOut, GROUND_SITE_AHEAD } from '../util/camera';
+import { scenePlacement } from '../util/scene';
+
+// Length of the glide between camera modes (s of wall time).
+const TRANSITION_SECONDS = 1.2;
+
+// Sky haze for the ground observer, thickening with distance.
+const SKY_COLOR = '#a9c9e8';
+const HAZE_DENSITY = 0.003;
+
+const toVector = ([x, y, z]) => new THREE.Vector3(x, y, z);
+
+/**
+ * CameraRig flies the camera for the selected mode (see util/camera.js).
+ * On a mode or scene change it glides from the current view to the new one
+ * instead of cutting. In free orbit it leaves the camera to the orbit
+ * controls (which must be the default controls) and only carries camera and
+ * orbit target along as the ship moves.
+ */
+export default function CameraRig({ mode, simulationState, sceneMode, dimensions }) {
+  const { camera, scene } = useThree();
+  const controls = useThree((state) => state.controls);
+  // Where the camera is currently looking.
+  const targetRef = useRef(new THREE.Vector3());
+  const transitionRef = useRef(null);
+  const siteRef = useRef(null);
+  const lastShipRef = useRef(null);
+
+  // Start a glide from wherever the camera is now.
+  useEffect(() => {
+    transitionRef.current = {
+      position: camera.position.clone(),
+      target: targetRef.current.clone(),
+      up: camera.up.clone(),
+      elapsed: 0,
+    };
+    siteRef.current = null;
+    lastShipRef.current = null;
+  }, [camera, mode, sceneMode]);
+
+  // Free orbit keeps the view it starts from, turning about the point it was looking at.
+  useEffect(() => {
+    if (mode !== 'free' || !controls) return;
+    camera.up.set(0, 1, 0);
+    controls.target.copy(targetRef.current);
+  }, [camera, controls, mode]);
+
+  // Atmospheric perspective for the ground observer.
+  useEffect(() => {
+    if (mode !== 'ground') return undefined;
+    scene.fog = new THREE.FogExp2(SKY_COLOR, HAZE_DENSITY);
+    scene.background = new THREE.Color(SKY_COLOR);
+    return () => {
+      scene.fog = null;
+      scene.background = null;
+    };
+  }, [scene, mode]);
+
+  useFrame((_, delta) => {
+    const ship = toVector(scenePlacement(simulationState.downrange, simulationState.altitude, sceneMode).position);
+
+    if (mode === 'free') {
+      if (lastShipRef.current && controls) {
+        const move = ship.clone().sub(lastShipRef.current);
+        camera.position.add(move);
+        controls.target.add(move);
+      }
+      lastShipRef.current = ship;
+      if (controls) targetRef.current.copy(controls.target);
+      return;
+    }
+
+    if (mode === 'ground' && !siteRef.current) {
+      siteRef.current = { downrange: simulationState.downrange + GROUND_SITE_AHEAD };
+    }
+    const pose = cameraPose(mode, simulationState, { sceneMode, dimensions, site: siteRef.current });
+    const position = toVector(pose.position);
+    const target = toVector(pose.target);
+    const up = toVector(pose.up);
+
+    const transition = transitionRef.current;
+    if (transition) {
+      transition.elapsed += delta;
+      const k = easeInOut(transition.elapsed / TRANSITION_SECONDS);
+      position.lerpVectors(transition.position, position, k);
+      target.lerpVectors(transition.target, target, k);
+      up.lerpVectors(transition.up, up, k).normalize();
+      if (k >= 1) transitionRef.current = null;
+    }
+
+    camera.position.copy(position);
+    camera.up.copy(up);
+    camera.lookAt(target);
+    targetRef.current.copy(target);
+  });
+
+  return null;
+}
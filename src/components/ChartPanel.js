@@ -0,0 +1,477 @@
+// src/components/ChartPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { linearAxis, logAxis, formatTick } from '../util/axes';
+import { downloadText, downloadBlob } from '../util/files';
+import { FLIGHT_EVENTS } from '../sim/trajectory';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Everything the chart can plot. Series that share a unit share a y-axis.
+ */
+export const CHART_SERIES = [
+  { key: 'speed', label: 'Speed', unit: 'm/s', color: 'blue', value: (s) => s.speed },
+  { key: 'machNumber', label: 'Mach number', unit: 'Mach', color: 'navy', value: (s) => s.machNumber },
+  { key: 'altitude', label: 'Altitude', unit: 'km', color: 'black', value: (s) => s.altitude / 1000 },
+  { key: 'convectiveHeatFlux', label: 'Convective', unit: 'W/m²', color: 'red', value: (s) => s.convectiveHeatFlux },
+  { key: 'radiativeHeatFlux', label: 'Radiative', unit: 'W/m²', color: 'orange', value: (s) => s.radiativeHeatFlux },
+  { key: 'totalHeatFlux', label: 'Total heat flux', unit: 'W/m²', color: 'purple', value: (s) => s.totalHeatFlux },
+  { key: 'effectiveHeatFlux', label: 'Heat flux at tiles', unit: 'W/m²', color: 'magenta', value: (s) => s.effectiveHeatFlux },
+  { key: 'plasmaFluxDensity', label: 'Plasma flux density', unit: 'W/m²', color: 'brown', value: (s) => s.plasmaFluxDensity },
+  { key: 'plasmaFrequency', label: 'Plasma frequency', unit: 'GHz', color: 'darkviolet', value: (s) => s.plasmaFrequency / 1e9 },
+  { key: 'cyclotronFrequency', label: 'Cyclotron frequency', unit: 'GHz', color: 'mediumseagreen', value: (s) => s.cyclotronFrequency / 1e9 },
+  { key: 'dynamicPressure', label: 'Dynamic pressure', unit: 'kPa', color: 'sienna', value: (s) => s.dynamicPressure / 1000 },
+  { key: 'gLoad', label: 'g-load', unit: 'g', color: 'darkorange', value: (s) => s.gLoad },
+  { key: 'axialLoad', label: 'Axial load', unit: 'g', color: 'goldenrod', value: (s) => s.axialLoad },
+  { key: 'normalLoad', label: 'Normal load', unit: 'g', color: 'chocolate', value: (s) => s.normalLoad },
+  { key: 'knudsenNumber', label: 'Knudsen number', unit: 'Kn', color: 'indigo', value: (s) => s.knudsenNumber },
+  { key: 'density', label: 'Air density', unit: 'kg/m³', color: 'teal', value: (s) => s.density },
+  { key: 'magnetPower', label: 'Magnet field', unit: 'T', color: 'green', value: (s) => s.magnetPower },
+  { key: 'magnetElectricalPower', label: 'Coil power', unit: 'kW', color: 'olive', value: (s) => s.magnetElectricalPower / 1000 },
+  { key: 'heatLoad', label: 'Heat load', unit: 'J/m²', color: 'darkred', value: (s) => s.heatLoad },
+  { key: 'tileCapacityUsed', label: 'Tile capacity used', unit: '%', color: 'crimson', value: (s) => s.tileCapacityUsed },
+  { key: 'surfaceTemperature', label: 'Surface temperature', unit: 'K', color: 'orangered', value: (s) => s.surfaceTemperature },
+  { key: 'backfaceTemperature', label: 'Backface temperature', unit: 'K', color: 'royalblue', value: (s) => s.backfaceTemperature },
+  { key: 'flightPathAngle', label: 'Flight-path angle', unit: '°', color: 'gray', value: (s) => s.flightPathAngle * RAD_TO_DEG },
+  { key: 'angleOfAttack', label: 'Angle of attack', unit: '°', color: 'slategray', value: (s) => s.angleOfAttack * RAD_TO_DEG },
+  { key: 'bankAngle', label: 'Bank angle', unit: '°', color: 'darkcyan', value: (s) => s.bankAngle * RAD_TO_DEG },
+  { key: 'throttle', label: 'Throttle', unit: '%', color: 'coral', value: (s) => s.throttle * 100 },
+];
+
+const DEFAULT_SERIES = ['speed', 'convectiveHeatFlux', 'radiativeHeatFlux', 'totalHeatFlux', 'magnetPower'];
+
+const X_AXES = {
+  time: { label: 'Sim time (s)', value: (s) => s.time, reversed: false },
+  // Altitude falls during entry, so it runs right to left as in the Python plot.
+  altitude: { label: 'Altitude (km)', value: (s) => s.altitude / 1000, reversed: true },
+};
+
+const AXIS_WIDTH = 48;
+const MARGIN = { top: 10, bottom: 32 };
+const FONT = '10px sans-serif';
+
+// Splits a series into drawable runs, breaking at values a log axis cannot show.
+function segments(points) {
+  const runs = [];
+  let current = [];
+  points.forEach((point) => {
+    if (point) {
+      current.push(point);
+    } else if (current.length > 0) {
+      runs.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) runs.push(current);
+  return runs;
+}
+
+// Line styles for comparison runs drawn over the main run.
+const OVERLAY_DASHES = ['6 3', '2 2', '8 3 2 3'];
+
+// Index of the state whose x value is closest to x.
+function nearestIndex(xs, x) {
+  let nearest = 0;
+  xs.forEach((value, i) => {
+    if (Math.abs(value - x) < Math.abs(xs[nearest] - x)) nearest = i;
+  });
+  return nearest;
+}
+
+/**
+ * Chart draws the selected series as SVG, one y-axis per unit alternating
+ * left and right, with a hover crosshair that reads out every series.
+ * Comparison runs (overlays) are drawn dashed in the same series colors.
+ * Thresholds ([{ unit, value, label }]) are drawn as labelled lines on the
+ * axis of their unit when it is shown; each axis stretches to take in its
+ * lowest threshold, so the data can be seen approaching it. Flight log
+ * events are marked on the x-axis; clicking one calls onEventClick.
+ */
+function Chart({ svgRef, history, overlays, thresholds, events, onEventClick, series, logUnits, xMode, width, height }) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const units = [...new Set(series.map((s) => s.unit))];
+  const leftUnits = units.filter((_, i) => i % 2 === 0);
+  const rightUnits = units.filter((_, i) => i % 2 === 1);
+  const plotLeft = Math.max(leftUnits.length, 1) * AXIS_WIDTH;
+  const plotRight = width - rightUnits.length * AXIS_WIDTH - 10;
+  const plotTop = MARGIN.top;
+  const plotBottom = height - MARGIN.bottom;
+  const plotWidth = Math.max(plotRight - plotLeft, 1);
+  const plotHeight = Math.max(plotBottom - plotTop, 1);
+
+  const xAxisDef = X_AXES[xMode];
+  const xs = history.map(xAxisDef.value);
+  const overlayRuns = overlays
+    .filter((o) => o.history.length > 0)
+    .map((o, i) => ({ ...o, dash: OVERLAY_DASHES[i % OVERLAY_DASHES.length], xs: o.history.map(xAxisDef.value) }));
+  const allXs = [xs, ...overlayRuns.map((o) => o.xs)].flat();
+  const xAxis = linearAxis(Math.min(...allXs), Math.max(...allXs), Math.max(Math.floor(plotWidth / 80), 2));
+  const toX = (x) => {
+    const fraction = (x - xAxis.min) / (xAxis.max - xAxis.min);
+    return plotLeft + (xAxisDef.reversed ? 1 - fraction : fraction) * plotWidth;
+  };
+
+  const yAxes = {};
+  units.forEach((unit) => {
+    const values = series
+      .filter((s) => s.unit === unit)
+      .flatMap((s) => [history, ...overlayRuns.map((o) => o.history)].flatMap((states) => states.map(s.value)))
+      .filter(Number.isFinite);
+    const limits = thresholds.filter((t) => t.unit === unit).map((t) => t.value);
+    if (limits.length > 0) values.push(Math.min(...limits));
+    const log = Boolean(logUnits[unit]);
+    if (log) {
+      const positive = values.filter((v) => v > 0);
+      const axis = logAxis(Math.min(...positive), Math.max(...positive));
+      const span = Math.log10(axis.max) - Math.log10(axis.min);
+      yAxes[unit] = { ...axis, log, toY: (v) => (v > 0 ? plotBottom - ((Math.log10(v) - Math.log10(axis.min)) / span) * plotHeight : null) };
+    } else {
+      const axis = linearAxis(Math.min(...values), Math.max(...values), Math.max(Math.floor(plotHeight / 40), 2));
+      yAxes[unit] = { ...axis, log, toY: (v) => (Number.isFinite(v) ? plotBottom - ((v - axis.min) / (axis.max - axis.min)) * plotHeight : null) };
+    }
+  });
+
+  const handleMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = e.clientX - rect.left;
+    if (px < plotLeft || px > plotRight || history.length === 0) {
+      setHoverIndex(null);
+      return;
+    }
+    let nearest = 0;
+    xs.forEach((x, i) => {
+      if (Math.abs(toX(x) - px) < Math.abs(toX(xs[nearest]) - px)) nearest = i;
+    });
+    setHoverIndex(nearest);
+  };
+
+  const renderYAxis = (unit, side, slot) => {
+    const axis = yAxes[unit];
+    const x = side === 'left' ? plotLeft - slot * AXIS_WIDTH : plotRight + slot * AXIS_WIDTH;
+    const dir = side === 'left' ? -1 : 1;
+    const color = series.find((s) => s.unit === unit).color;
+    return (
+      <g key={unit}>
+        <line x1={x} y1={plotTop} x2={x} y2={plotBottom} stroke={color} />
+        {axis.ticks.map((tick) => {
+          const y = axis.toY(tick);
+          return (
+            <g key={tick}>
+              <line x1={x} y1={y} x2={x + dir * 4} y2={y} stroke={color} />
+              <text x={x + dir * 6} y={y + 3} textAnchor={side === 'left' ? 'end' : 'start'} fill={color} style={{ font: FONT }}>
+                {formatTick(tick)}
+              </text>
+            </g>
+          );
+        })}
+        <text
+          x={x + dir * (AXIS_WIDTH - 8)}
+          y={(plotTop + plotBottom) / 2}
+          transform={`rotate(-90 ${x + dir * (AXIS_WIDTH - 8)} ${(plotTop + plotBottom) / 2})`}
+          textAnchor="middle"
+          fill={color}
+          style={{ font: FONT }}
+        >
+          {unit}{axis.log ? ' (log)' : ''}
+        </text>
+      </g>
+    );
+  };
+
+  const hovered = hoverIndex !== null && hoverIndex < history.length ? history[hoverIndex] : null;
+  const readoutX = hovered && toX(xs[hoverIndex]);
+  const readoutOnLeft = hovered && readoutX > (plotLeft + plotRight) / 2;
+  // Each comparison run is read out at its state nearest the hovered x.
+  const hoveredOverlays = hovered
+    ? overlayRuns.map((o) => ({ ...o, state: o.history[nearestIndex(o.xs, xs[hoverIndex])] }))
+    : [];
+  const readoutRows = [
+    ...series.map((s) => ({ key: s.key, color: s.color, text: `${s.label}: ${formatTick(s.value(hovered))} ${s.unit}` })),
+    ...hoveredOverlays.flatMap((o, run) =>
+      series.map((s) => ({ key: `overlay${run}-${s.key}`, color: s.color, text: `${o.label}, ${s.label}: ${formatTick(s.value(o.state))}` }))
+    ),
+  ];
+  const readoutWidth = overlayRuns.length > 0 ? 260 : 160;
+
+  return (
+    <svg
+      ref={svgRef}
+      xmlns="http://www.w3.org/2000/svg"
+      width={width}
+      height={height}
+      onMouseMove={handleMove}
+      onMouseLeave={() => setHoverIndex(null)}
+      style={{ display: 'block', background: 'white' }}
+    >
+      <rect x={0} y={0} width={width} height={height} fill="white" />
+      {/* Gridlines and x-axis */}
+      {xAxis.ticks.map((tick) => (
+        <g key={tick}>
+          <line x1={toX(tick)} y1={plotTop} x2={toX(tick)} y2={plotBottom} stroke="#eee" />
+          <text x={toX(tick)} y={plotBottom + 12} textAnchor="middle" style={{ font: FONT }}>{formatTick(tick)}</text>
+        </g>
+      ))}
+      <line x1={plotLeft} y1={plotBottom} x2={plotRight} y2={plotBottom} stroke="black" />
+      <text x={(plotLeft + plotRight) / 2} y={height - 4} textAnchor="middle" style={{ font: FONT }}>{xAxisDef.label}</text>
+      {leftUnits.map((unit, slot) => renderYAxis(unit, 'left', slot))}
+      {rightUnits.map((unit, slot) => renderYAxis(unit, 'right', slot))}
+      {/* Series */}
+      {series.map((s) => {
+        const { toY } = yAxes[s.unit];
+        const points = history.map((state, i) => {
+          const y = toY(s.value(state));
+          return y === null ? null : `${toX(xs[i]).toFixed(1)},${y.toFixed(1)}`;
+        });
+        return segments(points).map((run, i) => (
+          <polyline key={`${s.key}-${i}`} points={run.join(' ')} fill="none" stroke={s.color} strokeWidth={1.5} />
+        ));
+      })}
+      {overlayRuns.map((o, index) =>
+        series.map((s) => {
+          const { toY } = yAxes[s.unit];
+          const points = o.history.map((state, i) => {
+            const y = toY(s.value(state));
+            return y === null ? null : `${toX(o.xs[i]).toFixed(1)},${y.toFixed(1)}`;
+          });
+          return segments(points).map((run, i) => (
+            <polyline key={`overlay${index}-${s.key}-${i}`} points={run.join(' ')} fill="none" stroke={s.color} strokeWidth={1.5} strokeDasharray={o.dash} />
+          ));
+        })
+      )}
+      {/* Limit lines */}
+      {thresholds
+        .filter((t) => yAxes[t.unit])
+        .map((t) => {
+          const y = yAxes[t.unit].toY(t.value);
+          if (y === null || y < plotTop || y > plotBottom) return null;
+          return (
+            <g key={`${t.unit}-${t.label}`}>
+              <line x1={plotLeft} y1={y} x2={plotRight} y2={y} stroke="red" strokeDasharray="5 3" />
+              <text x={plotRight - 2} y={y - 2} textAnchor="end" fill="red" style={{ font: FONT }}>{t.label}</text>
+            </g>
+          );
+        })}
+      {/* Flight log events, at the point of the run they happened */}
+      {events.map((event) => {
+        const x = toX(xAxisDef.value(event.state));
+        if (!(x >= plotLeft && x <= plotRight)) return null;
+        const { label, color } = FLIGHT_EVENTS[event.type];
+        return (
+          <g key={event.key} onClick={() => onEventClick(event)} style={{ cursor: 'pointer' }}>
+            <title>{`${label}, T+${event.time.toFixed(1)} s${event.detail ? `: ${event.detail}` : ''}`}</title>
+            <line x1={x} y1={plotTop} x2={x} y2={plotBottom} stroke={color} strokeOpacity={0.3} />
+            <path d={`M${x.toFixed(1)},${plotBottom} l-4,7 h8 z`} fill={color} />
+          </g>
+        );
+      })}
+      {/* Run legend */}
+      {overlayRuns.length > 0 && (
+        <g transform={`translate(${plotLeft + 4}, ${plotTop + 2})`}>
+          {overlayRuns.map((o, i) => (
+            <g key={i} transform={`translate(0, ${i * 12})`}>
+              <line x1={0} y1={4} x2={24} y2={4} stroke={o.color} strokeWidth={2} strokeDasharray={o.dash} />
+              <text x={28} y={8} fill={o.color} style={{ font: FONT }}>{o.label}</text>
+            </g>
+          ))}
+        </g>
+      )}
+      {/* Hover crosshair and readout */}
+      {hovered && (
+        <g>
+          <line x1={readoutX} y1={plotTop} x2={readoutX} y2={plotBottom} stroke="#555" strokeDasharray="3 3" />
+          {series.map((s) => {
+            const y = yAxes[s.unit].toY(s.value(hovered));
+            return y === null ? null : <circle key={s.key} cx={readoutX} cy={y} r={3} fill={s.color} />;
+          })}
+          <g transform={`translate(${readoutOnLeft ? readoutX - readoutWidth - 8 : readoutX + 8}, ${plotTop + 4})`}>
+            <rect width={readoutWidth} height={14 * (readoutRows.length + 1) + 4} fill="rgba(255,255,255,0.9)" stroke="#ccc" />
+            <text x={4} y={13} style={{ font: FONT }}>
+              {xAxisDef.label}: {formatTick(xs[hoverIndex])}
+            </text>
+            {readoutRows.map((row, i) => (
+              <text key={row.key} x={4} y={13 + 14 * (i + 1)} fill={row.color} style={{ font: FONT }}>
+                {row.text}
+              </text>
+            ))}
+          </g>
+        </g>
+      )}
+    </svg>
+  );
+}
+
+const dockedStyle = {
+  width: '440px',
+  height: '280px',
+  minWidth: '240px',
+  minHeight: '160px',
+  resize: 'both',
+  overflow: 'hidden',
+  display: 'flex',
+  flexDirection: 'column',
+  background: 'rgba(255, 255, 255, 0.9)',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  fontFamily: 'sans-serif',
+  fontSize: '11px'
+};
+
+const detachedStyle = { ...dockedStyle, width: '100vw', height: '100vh', resize: 'none', border: 'none', borderRadius: 0 };
+
+/**
+ * ChartPanel plots the run up to the instant being shown. The panel can be
+ * resized from its corner or detached into its own browser window; series,
+ * per-unit log scales and the x-axis (sim time or altitude) are chosen from
+ * the toolbar, and the chart exports as PNG or SVG. overlays
+ * ([{ label, color, history }]) are comparison runs drawn over the main one;
+ * thresholds ([{ unit, value, label }]) are limit lines; events (from
+ * flightEvents) are marked on the x-axis and passed to onEventClick when
+ * clicked.
+ */
+export default function ChartPanel({ history, overlays = [], thresholds = [], events = [], onEventClick = () => {} }) {
+  const [selected, setSelected] = useState(DEFAULT_SERIES);
+  const [logUnits, setLogUnits] = useState({});
+  const [xMode, setXMode] = useState('time');
+  const [showOptions, setShowOptions] = useState(false);
+  const [detachedWindow, setDetachedWindow] = useState(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const plotRef = useRef(null);
+  const svgRef = useRef(null);
+
+  // Track the plot area's size, in whichever window it currently lives.
+  useEffect(() => {
+    const element = plotRef.current;
+    if (!element) return undefined;
+    const view = element.ownerDocument.defaultView;
+    const observer = new view.ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setSize({ width: Math.floor(width), height: Math.floor(height) });
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [detachedWindow]);
+
+  // Closing the detached window docks the chart again; unmounting closes it.
+  useEffect(() => {
+    if (!detachedWindow) return undefined;
+    const dock = () => setDetachedWindow(null);
+    detachedWindow.addEventListener('pagehide', dock);
+    return () => {
+      detachedWindow.removeEventListener('pagehide', dock);
+      detachedWindow.close();
+    };
+  }, [detachedWindow]);
+
+  const handleDetach = () => {
+    const win = window.open('', 'reentry-chart', 'width=720,height=460');
+    if (!win) return;
+    win.document.title = 'Flight data';
+    win.document.body.style.margin = '0';
+    setDetachedWindow(win);
+  };
+
+  const serializeChart = () => new XMLSerializer().serializeToString(svgRef.current);
+
+  const handleExportSVG = () => {
+    downloadText('reentry-chart.svg', serializeChart(), 'image/svg+xml');
+  };
+
+  const handleExportPNG = () => {
+    const { width, height } = size;
+    const url = URL.createObjectURL(new Blob([serializeChart()], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => downloadBlob('reentry-chart.png', blob), 'image/png');
+    };
+    image.src = url;
+  };
+
+  const toggleSeries = (key) => {
+    setSelected((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const series = CHART_SERIES.filter((s) => selected.includes(s.key));
+  const units = [...new Set(series.map((s) => s.unit))];
+
+  const panel = (
+    <div style={detachedWindow ? detachedStyle : dockedStyle}>
+      <div style={{ display: 'flex', gap: '4px', alignItems: 'center', padding: '3px', flexWrap: 'wrap' }}>
+        <button onClick={() => setShowOptions((v) => !v)}>Series {showOptions ? '▴' : '▾'}</button>
+        <select value={xMode} onChange={(e) => setXMode(e.target.value)}>
+          <option value="time">vs time</option>
+          <option value="altitude">vs altitude</option>
+        </select>
+        <button onClick={handleExportPNG}>PNG</button>
+        <button onClick={handleExportSVG}>SVG</button>
+        {detachedWindow ? (
+          <button onClick={() => setDetachedWindow(null)}>Dock</button>
+        ) : (
+          <button onClick={handleDetach}>Detach</button>
+        )}
+      </div>
+      {showOptions && (
+        <div style={{ padding: '3px', maxHeight: '45%', overflowY: 'auto', borderTop: '1px solid #eee' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2px 10px' }}>
+            {CHART_SERIES.map((s) => (
+              <label key={s.key} style={{ color: s.color }}>
+                <input type="checkbox" checked={selected.includes(s.key)} onChange={() => toggleSeries(s.key)} />
+                {s.label}
+              </label>
+            ))}
+          </div>
+          {units.length > 0 && (
+            <div style={{ marginTop: '3px' }}>
+              Log scale:{' '}
+              {units.map((unit) => (
+                <label key={unit} style={{ marginRight: '8px' }}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(logUnits[unit])}
+                    onChange={(e) => setLogUnits((prev) => ({ ...prev, [unit]: e.target.checked }))}
+                  />
+                  {unit}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      <div ref={plotRef} style={{ flex: 1, minHeight: 0 }}>
+        {size.width > 0 && size.height > 0 && history.length > 0 && (
+          <Chart
+            svgRef={svgRef}
+            history={history}
+            overlays={overlays}
+            thresholds={thresholds}
+            events={events}
+            onEventClick={onEventClick}
+            series={series}
+            logUnits={logUnits}
+            xMode={xMode}
+            width={size.width}
+            height={size.height}
+          />
+        )}
+      </div>
+    </div>
+  );
+
+  if (detachedWindow) {
+    return (
+      <>
+        <div style={{ ...dockedStyle, width: 'auto', height: 'auto', resize: 'none', padding: '5px' }}>
+          Chart detached{' '}
+          <button onClick={() => setDetachedWindow(null)}>Dock</button>
+        </div>
+        {createPortal(panel, detachedWindow.document.body)}
+      </>
+    );
+  }
+  return panel;
+}
@@ -0,0 +1,176 @@
+// src/components/ComparisonPanel.js
+import React, { useState } from 'react';
+import { VEHICLE_PRESETS } from '../sim/vehicles';
+import { RUN_SUMMARY_METRICS } from '../sim/comparison';
+
+// The primary run first, then one color per comparison run.
+export const RUN_COLORS = ['#444', 'dodgerblue', 'darkorange', 'seagreen'];
+
+export const MAX_COMPARISONS = RUN_COLORS.length - 1;
+
+const panelStyle = {
+  position: 'absolute',
+  top: 10,
+  left: '50%',
+  transform: 'translateX(-50%)',
+  maxWidth: '640px',
+  maxHeight: '50vh',
+  overflowY: 'auto',
+  background: 'rgba(255,255,255,0.9)',
+  padding: '8px',
+  borderRadius: '8px',
+  fontSize: '12px'
+};
+
+const cellStyle = { padding: '1px 6px', textAlign: 'right', whiteSpace: 'nowrap' };
+
+// Live readouts shown in each run's HUD column.
+const HUD_ROWS = [
+  ['Altitude', (s) => `${(s.altitude / 1000).toFixed(1)} km`],
+  ['Speed', (s) => `${s.speed.toFixed(0)} m/s`],
+  ['Magnet field', (s) => `${s.magnetPower.toFixed(2)} T`],
+  ['Heat flux at tiles', (s) => `${s.effectiveHeatFlux.toExponential(2)} W/m²`],
+  ['Tile capacity used', (s) => `${s.tileCapacityUsed.toFixed(1)}%`],
+  ['Surface temp.', (s) => `${s.surfaceTemperature.toFixed(0)} K`],
+  ['Coil energy', (s) => `${(s.magnetEnergy / 1e6).toFixed(2)} MJ`],
+];
+
+function formatSummary(key, value) {
+  switch (key) {
+    case 'tileCapacityUsed':
+      return `${value.toFixed(1)}%`;
+    case 'peakSurfaceTemperature':
+      return `${value.toFixed(0)} K`;
+    case 'magnetEnergy':
+      return `${(value / 1e6).toFixed(2)} MJ`;
+    case 'flightTime':
+      return `${value.toFixed(1)} s`;
+    case 'downrange':
+      return `${(value / 1000).toFixed(1)} km`;
+    default:
+      return `${value.toExponential(2)} ${RUN_SUMMARY_METRICS[key].unit}`;
+  }
+}
+
+function formatDelta(key, { delta, percent }) {
+  const sign = delta > 0 ? '+' : '';
+  const change = percent === null ? '' : ` (${sign}${percent.toFixed(1)}%)`;
+  if (key === 'tileCapacityUsed') return `${sign}${delta.toFixed(1)} pts`;
+  return `${sign}${formatSummary(key, delta)}${change}`;
+}
+
+/**
+ * ComparisonPanel sets up extra runs that fly alongside the main one, shows
+ * a color-coded HUD column per run and, once every run has landed, a table
+ * of each run's results and its difference from the main run.
+ *
+ * runs: [{ id, label, color, state }], the main run first.
+ * summary: null while flying, else { runs: [summary], deltas: [rows] }.
+ */
+export default function ComparisonPanel({ vehicle, runs, summary, onAdd, onRemove }) {
+  const [open, setOpen] = useState(false);
+  const [presetId, setPresetId] = useState('');
+  const [magnetPower, setMagnetPower] = useState(vehicle.magnet.maxField);
+
+  if (!open) {
+    return (
+      <div style={{ ...panelStyle, padding: '4px' }}>
+        <button onClick={() => setOpen(true)}>Compare runs{runs.length > 1 ? ` (${runs.length})` : ''}…</button>
+      </div>
+    );
+  }
+
+  const canAdd = runs.length <= MAX_COMPARISONS;
+  const handleAdd = () => {
+    const base = presetId ? VEHICLE_PRESETS[presetId] : vehicle;
+    onAdd({ vehicle: base, magnetPower: Math.min(Math.max(magnetPower, 0), base.magnet.maxField) });
+  };
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+        <strong>Comparison Runs</strong>
+        <button onClick={() => setOpen(false)}>×</button>
+      </div>
+      {canAdd && (
+        <div style={{ marginTop: '5px', display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <select value={presetId} onChange={(e) => setPresetId(e.target.value)}>
+            <option value="">{vehicle.name} (current)</option>
+            {Object.entries(VEHICLE_PRESETS).map(([id, preset]) => (
+              <option key={id} value={id}>{preset.name}</option>
+            ))}
+          </select>
+          <label>
+            Magnet{' '}
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={magnetPower}
+              onChange={(e) => setMagnetPower(Number(e.target.value))}
+              style={{ width: '50px' }}
+            />{' '}
+            T
+          </label>
+          <button onClick={handleAdd}>Add &amp; Restart</button>
+        </div>
+      )}
+
+      {runs.length > 1 && (
+        <table style={{ marginTop: '6px', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th />
+              {runs.map((run, i) => (
+                <th key={run.id} style={{ ...cellStyle, color: run.color, borderBottom: `3px solid ${run.color}` }}>
+                  {run.label}
+                  {i > 0 && (
+                    <button onClick={() => onRemove(run.id)} style={{ marginLeft: '4px', fontSize: '10px' }}>×</button>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {HUD_ROWS.map(([label, format]) => (
+              <tr key={label}>
+                <td>{label}</td>
+                {runs.map((run) => (
+                  <td key={run.id} style={{ ...cellStyle, color: run.color }}>{format(run.state)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {summary && (
+        <>
+          <div style={{ marginTop: '8px' }}><strong>End-of-run summary</strong> (differences from {runs[0].label})</div>
+          <table style={{ marginTop: '3px', borderCollapse: 'collapse' }}>
+            <tbody>
+              {Object.entries(RUN_SUMMARY_METRICS).map(([key, { label }]) => (
+                <tr key={key}>
+                  <td>{label}</td>
+                  {runs.map((run, i) => (
+                    <td key={run.id} style={{ ...cellStyle, color: run.color }}>
+                      {i === 0 ? formatSummary(key, summary.runs[0][key]) : formatDelta(key, summary.deltas[i - 1][key])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td>Tiles</td>
+                {summary.runs.map((result, i) => (
+                  <td key={runs[i].id} style={{ ...cellStyle, color: result.tileFailed ? 'darkred' : runs[i].color }}>
+                    {result.tileFailed ? 'FAILED' : 'intact'}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+// src/components/DispersionPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  DISPERSION_INPUTS,
+  DISPERSION_METRICS,
+  DEFAULT_DISPERSIONS,
+  PERCENTILES,
+  runMonteCarlo,
+} from '../sim/montecarlo';
+
+const panelStyle = {
+  width: '430px',
+  maxHeight: '60vh',
+  overflowY: 'auto',
+  background: 'rgba(255,255,255,0.95)',
+  padding: '10px',
+  borderRadius: '8px',
+  fontSize: '12px'
+};
+
+const canvasStyle = { display: 'block', marginTop: '5px', border: '1px solid #ccc', background: 'white' };
+
+// How a spread is shown and edited: flight-path angle in degrees, relative
+// spreads in percent, everything else in the input's own units.
+function sigmaDisplay(key, dispersion) {
+  if (dispersion.relative) return { unit: '%', scale: 100 };
+  if (key === 'flightPathAngle') return { unit: '°', scale: 180 / Math.PI };
+  return { unit: DISPERSION_INPUTS[key].unit, scale: 1 };
+}
+
+function formatMetric(key, value) {
+  if (key === 'tileMargin') return `${value.toFixed(1)}%`;
+  if (key === 'peakG') return value.toFixed(2);
+  return value.toExponential(2);
+}
+
+function formatInput(key, value) {
+  if (key === 'flightPathAngle') return `${((value * 180) / Math.PI).toFixed(2)}°`;
+  if (key === 'densityScale' || key === 'Cd' || key === 'magnetPower') return value.toFixed(3);
+  return value.toFixed(0);
+}
+
+function drawAxesLabels(ctx, width, height, xLabel, yLabel) {
+  ctx.fillStyle = 'black';
+  ctx.font = '10px sans-serif';
+  ctx.fillText(xLabel, width - ctx.measureText(xLabel).width - 4, height - 4);
+  ctx.fillText(yLabel, 4, 12);
+}
+
+/**
+ * DispersionPanel runs a Monte Carlo study around the entry currently set
+ * up in the app and shows percentile statistics, a histogram of one metric
+ * and a scatter of that metric against one dispersed input.
+ */
+export default function DispersionPanel({ nominal }) {
+  const [open, setOpen] = useState(false);
+  const [runs, setRuns] = useState(200);
+  const [seed, setSeed] = useState(1);
+  const [dispersions, setDispersions] = useState(DEFAULT_DISPERSIONS);
+  const [progress, setProgress] = useState(null);
+  const [study, setStudy] = useState(null);
+  const [error, setError] = useState(null);
+  const [metric, setMetric] = useState('peakHeatFlux');
+  const [input, setInput] = useState('flightPathAngle');
+  const controllerRef = useRef(null);
+  const histogramRef = useRef(null);
+  const scatterRef = useRef(null);
+
+  // Stop a study in progress if the panel goes away.
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setStudy(null);
+    setError(null);
+    setProgress(0);
+    try {
+      const result = await runMonteCarlo({
+        ...nominal,
+        runs,
+        seed,
+        dispersions,
+        signal: controller.signal,
+        onProgress: (done) => setProgress(done),
+      });
+      setStudy(result.summary ? result : null);
+    } catch (err) {
+      setError(err.message);
+    }
+    controllerRef.current = null;
+    setProgress(null);
+  };
+
+  const updateSigma = (key, text) => {
+    const { scale } = sigmaDisplay(key, dispersions[key]);
+    setDispersions((prev) => ({ ...prev, [key]: { ...prev[key], sigma: Number(text) / scale } }));
+  };
+
+  useEffect(() => {
+    if (!study) return;
+    const values = study.results.map((r) => r[metric]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+
+    const histogram = histogramRef.current;
+    if (histogram) {
+      const ctx = histogram.getContext('2d');
+      const { width, height } = histogram;
+      const binCount = 20;
+      const bins = new Array(binCount).fill(0);
+      values.forEach((v) => {
+        bins[Math.min(Math.floor(((v - min) / span) * binCount), binCount - 1)] += 1;
+      });
+      const tallest = Math.max(...bins);
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = 'steelblue';
+      bins.forEach((count, i) => {
+        const barHeight = (count / tallest) * (height - 20);
+        ctx.fillRect((i * width) / binCount + 1, height - barHeight, width / binCount - 2, barHeight);
+      });
+      drawAxesLabels(ctx, width, height, `${formatMetric(metric, min)} – ${formatMetric(metric, max)}`, `runs (max ${tallest})`);
+    }
+
+    const scatter = scatterRef.current;
+    if (scatter) {
+      const ctx = scatter.getContext('2d');
+      const { width, height } = scatter;
+      const xs = study.results.map((r) => r.inputs[input]);
+      const xMin = Math.min(...xs);
+      const xSpan = Math.max(...xs) - xMin || 1;
+      ctx.clearRect(0, 0, width, height);
+      study.results.forEach((r) => {
+        const x = ((r.inputs[input] - xMin) / xSpan) * (width - 10) + 5;
+        const y = height - 5 - ((r[metric] - min) / span) * (height - 20);
+        ctx.fillStyle = r.tileFailed ? 'red' : 'steelblue';
+        ctx.fillRect(x - 1.5, y - 1.5, 3, 3);
+      });
+      drawAxesLabels(
+        ctx,
+        width,
+        height,
+        `${DISPERSION_INPUTS[input].label} ${formatInput(input, xMin)} – ${formatInput(input, xMin + xSpan)}`,
+        DISPERSION_METRICS[metric].label
+      );
+    }
+  }, [study, metric, input]);
+
+  if (!open) {
+    return (
+      <div style={{ ...panelStyle, width: 'auto' }}>
+        <button onClick={() => setOpen(true)}>Dispersions…</button>
+      </div>
+    );
+  }
+
+  const running = progress !== null;
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <strong>Monte Carlo Dispersions</strong>
+        <button onClick={() => setOpen(false)}>×</button>
+      </div>
+      <div style={{ color: '#555', marginTop: '3px' }}>
+        Dispersed around the current vehicle, entry angle and magnet setting.
+      </div>
+      <table style={{ marginTop: '5px', borderCollapse: 'collapse' }}>
+        <tbody>
+          {Object.entries(DISPERSION_INPUTS).map(([key, { label }]) => {
+            const dispersion = dispersions[key];
+            const { unit, scale } = sigmaDisplay(key, dispersion);
+            return (
+              <tr key={key}>
+                <td>{label}</td>
+                <td>
+                  <select
+                    value={dispersion.distribution}
+                    onChange={(e) =>
+                      setDispersions((prev) => ({ ...prev, [key]: { ...prev[key], distribution: e.target.value } }))
+                    }
+                  >
+                    <option value="normal">normal</option>
+                    <option value="uniform">uniform</option>
+                  </select>
+                </td>
+                <td>
+                  σ{' '}
+                  <input
+                    type="number"
+                    step="any"
+                    value={Number((dispersion.sigma * scale).toPrecision(6))}
+                    onChange={(e) => updateSigma(key, e.target.value)}
+                    style={{ width: '60px' }}
+                  />{' '}
+                  {unit}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={{ marginTop: '5px', display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <label>
+          Runs{' '}
+          <input type="number" min="1" value={runs} onChange={(e) => setRuns(Math.max(1, Math.round(Number(e.target.value))))} style={{ width: '55px' }} />
+        </label>
+        <label>
+          Seed{' '}
+          <input type="number" value={seed} onChange={(e) => setSeed(Math.round(Number(e.target.value)))} style={{ width: '55px' }} />
+        </label>
+        {running ? (
+          <>
+            <button onClick={() => controllerRef.current?.abort()}>Cancel</button>
+            <span>{progress} / {runs}</span>
+          </>
+        ) : (
+          <button onClick={handleRun}>Run</button>
+        )}
+      </div>
+      {error && <div style={{ color: 'red', marginTop: '5px' }}>{error}</div>}
+
+      {study && (
+        <>
+          <table style={{ marginTop: '8px', borderCollapse: 'collapse', width: '100%', textAlign: 'right' }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>{study.summary.runs} runs</th>
+                <th>mean</th>
+                {PERCENTILES.map((p) => <th key={p}>P{p}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(DISPERSION_METRICS).map(([key, { label }]) => {
+                const stats = study.summary.metrics[key];
+                return (
+                  <tr key={key}>
+                    <td style={{ textAlign: 'left' }}>{label}</td>
+                    <td>{formatMetric(key, stats.mean)}</td>
+                    {PERCENTILES.map((p) => <td key={p}>{formatMetric(key, stats.percentiles[p])}</td>)}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ marginTop: '5px' }}>
+            Tile failures: {(study.summary.tileFailureRate * 100).toFixed(1)}% of runs
+          </div>
+          <div style={{ marginTop: '5px' }}>
+            <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+              {Object.entries(DISPERSION_METRICS).map(([key, { label, unit }]) => (
+                <option key={key} value={key}>{label} ({unit})</option>
+              ))}
+            </select>{' '}
+            vs{' '}
+            <select value={input} onChange={(e) => setInput(e.target.value)}>
+              {Object.entries(DISPERSION_INPUTS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <canvas ref={histogramRef} width={410} height={110} style={canvasStyle} />
+          <canvas ref={scatterRef} width={410} height={140} style={canvasStyle} />
+        </>
+      )}
+    </div>
+  );
+}
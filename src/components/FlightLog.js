@@ -0,0 +1,68 @@
+// src/components/FlightLog.js
+import React, { useEffect, useRef } from 'react';
+import { FLIGHT_EVENTS } from '../sim/trajectory';
+
+const panelStyle = {
+  width: '440px',
+  maxHeight: '140px',
+  overflowY: 'auto',
+  marginTop: '5px',
+  background: 'rgba(255, 255, 255, 0.9)',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  fontFamily: 'sans-serif',
+  fontSize: '11px'
+};
+
+const rowStyle = { display: 'flex', gap: '6px', padding: '1px 5px', cursor: 'pointer' };
+
+/**
+ * FlightLog lists the run's events (from flightEvents) in time order.
+ * Events after the instant being shown are greyed out, the latest one
+ * reached is highlighted and kept in view, and clicking an event calls
+ * onSelect with it so the view can jump there.
+ *
+ * time: sim time of the instant being shown.
+ */
+export default function FlightLog({ events, time, onSelect }) {
+  const currentRef = useRef(null);
+  const reached = events.filter((event) => event.time <= time);
+  const current = reached.length > 0 ? reached[reached.length - 1] : null;
+
+  // Keep the latest event in view as the run goes on, without moving the page.
+  useEffect(() => {
+    const row = currentRef.current;
+    if (row) row.parentElement.scrollTop = row.offsetTop - row.parentElement.offsetTop;
+  }, [current]);
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ padding: '2px 5px', fontWeight: 'bold', borderBottom: '1px solid #eee' }}>
+        Flight log ({reached.length}/{events.length})
+      </div>
+      {events.length === 0 && <div style={{ padding: '2px 5px', color: '#555' }}>No events yet</div>}
+      {events.map((event) => {
+        const { label, color } = FLIGHT_EVENTS[event.type];
+        const isCurrent = event === current;
+        return (
+          <div
+            key={event.key}
+            ref={isCurrent ? currentRef : null}
+            onClick={() => onSelect(event)}
+            title="Show this instant"
+            style={{
+              ...rowStyle,
+              color: event.time <= time ? 'black' : '#999',
+              background: isCurrent ? '#eef' : 'transparent'
+            }}
+          >
+            <span style={{ width: '60px', textAlign: 'right' }}>T+{event.time.toFixed(1)} s</span>
+            <span style={{ color, fontWeight: 'bold' }}>●</span>
+            <span style={{ width: '95px' }}>{label}</span>
+            <span>{event.detail}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// src/components/Globe.js
+import React from 'react';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { ATMOSPHERE_SHELLS, EARTH_SCENE_CENTER, EARTH_SCENE_RADIUS, toScene } from '../util/scene';
+
+// Labels sit just uprange of the entry point, where the path begins.
+const LABEL_ANGLE = -0.01;
+
+const labelStyle = { fontSize: '10px', whiteSpace: 'nowrap', pointerEvents: 'none' };
+
+/**
+ * Globe draws the Earth to scale for the 'earth' scene, with a faint
+ * shell and a label at each altitude in ATMOSPHERE_SHELLS.
+ */
+export default function Globe() {
+  const [cx, cy, cz] = EARTH_SCENE_CENTER;
+  return (
+    <group position={[cx, cy, cz]}>
+      <mesh>
+        <sphereGeometry args={[EARTH_SCENE_RADIUS, 128, 64]} />
+        <meshStandardMaterial color="#2b5d8a" roughness={0.9} />
+      </mesh>
+      {ATMOSPHERE_SHELLS.map((shell) => {
+        const r = EARTH_SCENE_RADIUS + toScene(shell.altitude);
+        return (
+          <group key={shell.name}>
+            <mesh>
+              <sphereGeometry args={[r, 128, 64]} />
+              <meshBasicMaterial color={shell.color} transparent opacity={0.06} side={THREE.DoubleSide} depthWrite={false} />
+            </mesh>
+            <Html position={[r * Math.sin(LABEL_ANGLE), r * Math.cos(LABEL_ANGLE), 0]} style={{ ...labelStyle, color: shell.color }}>
+              {shell.name} ({shell.altitude / 1000} km)
+            </Html>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
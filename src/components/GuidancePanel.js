@@ -0,0 +1,88 @@
+// src/components/GuidancePanel.js
+import React from 'react';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const km = (m) => `${(Math.abs(m) / 1000).toFixed(1)} km`;
+
+// "2.1 km long, 0.4 km left" for a miss split along and across the track.
+const describeMiss = (downrange, crossrange) =>
+  `${km(downrange)} ${downrange >= 0 ? 'long' : 'short'}, ${km(crossrange)} ${crossrange >= 0 ? 'right' : 'left'}`;
+
+const inputStyle = { width: '60px' };
+
+/**
+ * GuidancePanel is the HUD section for entry guidance: whether it is
+ * steering, the landing site it steers to (degrees; editable, re-planned
+ * at once mid-run), the commanded and flown bank angle with the roll
+ * reversals so far, the predicted miss and, after touchdown, the final
+ * miss.
+ *
+ * target: { latitude, longitude } in degrees.
+ */
+export default function GuidancePanel({ state, enabled, target, onEnabledChange, onTargetChange }) {
+  const guided = enabled && 'bankCommand' in state;
+  const setCoordinate = (key, value) => {
+    if (!Number.isFinite(value)) return;
+    onTargetChange({ ...target, [key]: value });
+  };
+
+  return (
+    <div>
+      <label>
+        <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} /> Guide to landing
+        site
+      </label>
+      <div style={{ marginTop: '3px' }}>
+        Lat{' '}
+        <input
+          type="number"
+          min="-90"
+          max="90"
+          step="0.1"
+          value={target.latitude}
+          onChange={(e) => setCoordinate('latitude', Number(e.target.value))}
+          style={inputStyle}
+        />
+        ° Lon{' '}
+        <input
+          type="number"
+          min="-180"
+          max="180"
+          step="0.1"
+          value={target.longitude}
+          onChange={(e) => setCoordinate('longitude', Number(e.target.value))}
+          style={inputStyle}
+        />
+        °
+      </div>
+      {guided && (
+        <div style={{ fontSize: '12px', marginTop: '3px' }}>
+          <div>
+            Bank: commanded {(state.bankCommand * RAD_TO_DEG).toFixed(1)}°, flown {(state.bankAngle * RAD_TO_DEG).toFixed(1)}°
+            {' '}({state.rollReversals} roll reversal{state.rollReversals === 1 ? '' : 's'})
+          </div>
+          {state.landed ? (
+            <div>
+              <strong>
+                Final miss: {km(state.targetRange)} ({describeMiss(-state.targetDownrange, -state.targetCrossrange)})
+              </strong>
+            </div>
+          ) : (
+            <>
+              <div>
+                Predicted miss: {km(state.predictedMiss)} (
+                {describeMiss(state.predictedDownrangeMiss, state.predictedCrossrangeMiss)})
+              </div>
+              <div>Target {km(state.targetRange)} away</div>
+            </>
+          )}
+        </div>
+      )}
+      <div style={{ fontSize: '11px', color: '#555', marginTop: '2px' }}>
+        Now at {(state.latitude * RAD_TO_DEG).toFixed(2)}°, {(state.longitude * RAD_TO_DEG).toFixed(2)}°, heading{' '}
+        {(((state.heading * RAD_TO_DEG) % 360 + 360) % 360).toFixed(1)}°
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+// src/components/LandingPanel.js
+import React from 'react';
+import { LANDING_PHASES, TOUCHDOWN_OUTCOMES } from '../sim/landing';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const OUTCOME_COLORS = {
+  landed: 'green',
+  hard: 'darkorange',
+  tipped: 'darkorange',
+  crashed: 'darkred',
+};
+
+const tonnes = (kg) => `${(kg / 1000).toFixed(1)} t`;
+
+/**
+ * LandingPanel is the HUD section for the end of the run: the landing
+ * phase, throttle and propellant left while the landing engines are in
+ * use, and the touchdown verdict (speed, tilt, propellant margin) once the
+ * vehicle is down. Vehicles without landing engines only get the verdict.
+ *
+ * landing: the vehicle's landing block (see vehicles.js).
+ */
+export default function LandingPanel({ state, landing }) {
+  const { touchdown } = state;
+  const verticalSpeed = -state.speed * Math.sin(state.flightPathAngle);
+  const horizontalSpeed = Math.abs(state.speed * Math.cos(state.flightPathAngle));
+  const propellantShare = landing.propellant > 0 ? (100 * state.propellantRemaining) / landing.propellant : 0;
+
+  return (
+    <div>
+      <strong>Landing</strong>{' '}
+      <span style={{ fontSize: '11px', color: '#555' }}>{LANDING_PHASES[state.landingPhase]}</span>
+      {landing.enabled && (
+        <>
+          <div>
+            Throttle {(state.throttle * 100).toFixed(0)}% ({(state.thrust / 1e6).toFixed(2)} MN), flip at {landing.altitude} m
+          </div>
+          <div>
+            Propellant {tonnes(state.propellantRemaining)} ({propellantShare.toFixed(0)}%)
+            {state.engineOut && <strong style={{ color: 'darkred' }}> ENGINES OUT: NO PROPELLANT</strong>}
+          </div>
+        </>
+      )}
+      {!touchdown && (
+        <div>
+          Descent {verticalSpeed.toFixed(1)} m/s, drift {horizontalSpeed.toFixed(1)} m/s
+        </div>
+      )}
+      {touchdown && (
+        <div style={{ marginTop: '3px' }}>
+          <span style={{ color: 'white', background: OUTCOME_COLORS[touchdown.outcome], padding: '0 4px', fontWeight: 'bold' }}>
+            {TOUCHDOWN_OUTCOMES[touchdown.outcome].toUpperCase()}
+          </span>{' '}
+          at {touchdown.verticalSpeed.toFixed(1)} m/s down, {touchdown.horizontalSpeed.toFixed(1)} m/s across, tilt{' '}
+          {(touchdown.tilt * RAD_TO_DEG).toFixed(1)}°
+          {landing.enabled && (
+            <div>
+              Propellant margin {tonnes(touchdown.propellantRemaining)} ({touchdown.propellantMargin.toFixed(0)}%)
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
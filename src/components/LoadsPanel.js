@@ -0,0 +1,85 @@
+// src/components/LoadsPanel.js
+import React, { useMemo } from 'react';
+import { loadStatus, loadAlarms } from '../sim/loads';
+
+const STATUS_STYLES = {
+  ok: { color: 'green' },
+  caution: { color: 'black', background: 'gold', padding: '0 3px' },
+  alarm: { color: 'white', background: 'darkred', padding: '0 3px' },
+};
+
+const STATUS_TEXT = {
+  crew: { ok: 'Crew g OK', caution: 'CREW g CAUTION', alarm: 'CREW g-LIMIT' },
+  structure: { ok: 'q OK', caution: 'q CAUTION', alarm: 'STRUCTURAL q-LIMIT' },
+};
+
+const inputStyle = { width: '50px' };
+
+/**
+ * LoadsPanel is the HUD section for aerodynamic loads: dynamic pressure and
+ * max-Q, axial/normal/total g and peak g, a caution/alarm banner for the
+ * crew and structural limits, the limits themselves (editable), and the
+ * alarm log of the recorded run up to the instant shown.
+ *
+ * limits: { crewGLimits: [[seconds, g], ...], maxDynamicPressure (Pa), cautionFraction }
+ */
+export default function LoadsPanel({ state, recording, limits, onLimitsChange }) {
+  const status = loadStatus(state, limits);
+  const alarms = useMemo(() => loadAlarms(recording), [recording]);
+  const shownAlarms = alarms.filter((alarm) => alarm.time <= state.time);
+
+  const setCrewLimit = (i, column, value) => {
+    if (!(value > 0)) return;
+    const crewGLimits = limits.crewGLimits.map((point, j) => (j === i ? point.map((v, k) => (k === column ? value : v)) : point));
+    onLimitsChange({ ...limits, crewGLimits });
+  };
+
+  return (
+    <div>
+      <strong>Loads</strong>{' '}
+      {['crew', 'structure'].map((kind) => (
+        <span key={kind} style={{ ...STATUS_STYLES[status[kind]], marginLeft: '4px', fontSize: '11px' }}>
+          {STATUS_TEXT[kind][status[kind]]}
+        </span>
+      ))}
+      <div>
+        q {(state.dynamicPressure / 1000).toFixed(2)} kPa (max-Q {(state.maxQ / 1000).toFixed(2)} kPa at {state.maxQTime.toFixed(0)} s)
+      </div>
+      <div>
+        g: axial {state.axialLoad.toFixed(2)}, normal {state.normalLoad.toFixed(2)}, total {state.gLoad.toFixed(2)}
+        {' '}(peak {state.peakG.toFixed(2)} at {state.peakGTime.toFixed(0)} s)
+      </div>
+      <details style={{ marginTop: '3px' }}>
+        <summary>Limits</summary>
+        <label>
+          Structural q-limit{' '}
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={limits.maxDynamicPressure / 1000}
+            onChange={(e) => Number(e.target.value) > 0 && onLimitsChange({ ...limits, maxDynamicPressure: Number(e.target.value) * 1000 })}
+            style={inputStyle}
+          />{' '}
+          kPa
+        </label>
+        <div style={{ marginTop: '3px' }}>Crew g-limit (hold at most):</div>
+        {limits.crewGLimits.map(([seconds, g], i) => (
+          <div key={i}>
+            <input type="number" min="0" step="0.5" value={g} onChange={(e) => setCrewLimit(i, 1, Number(e.target.value))} style={inputStyle} /> g for{' '}
+            <input type="number" min="0" step="1" value={seconds} onChange={(e) => setCrewLimit(i, 0, Number(e.target.value))} style={inputStyle} /> s
+          </div>
+        ))}
+      </details>
+      {shownAlarms.length > 0 && (
+        <div style={{ marginTop: '3px', maxHeight: '60px', overflowY: 'auto', fontSize: '11px' }}>
+          {shownAlarms.map((alarm) => (
+            <div key={`${alarm.kind}-${alarm.time}`} style={{ color: alarm.active ? 'darkred' : '#555' }}>
+              {alarm.time.toFixed(1)} s: {alarm.message}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
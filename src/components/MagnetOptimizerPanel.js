@@ -0,0 +1,192 @@
+// src/components/MagnetOptimizerPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import { OPTIMIZER_CONSTRAINTS, optimizeMagnetSchedule } from '../sim/magnetOptimizer';
+import { SCHEDULE_BASES } from '../sim/magnetSchedule';
+
+const panelStyle = {
+  width: '330px',
+  maxHeight: '60vh',
+  overflowY: 'auto',
+  background: 'rgba(255,255,255,0.95)',
+  padding: '10px',
+  borderRadius: '8px',
+  fontSize: '12px'
+};
+
+const rowStyle = { display: 'flex', justifyContent: 'space-between', marginTop: '3px' };
+
+const DEFAULT_LIMITS = { tileCapacity: 50, peakHeatFlux: 2.5e5 };
+
+const formatEnergy = (joules) => `${(joules / 1e6).toFixed(2)} MJ`;
+
+/**
+ * MagnetOptimizerPanel searches for the magnet schedule that uses the least
+ * coil energy under a tile-capacity or peak-heat-flux limit, draws it, and
+ * hands it to the live sim to fly.
+ */
+export default function MagnetOptimizerPanel({ nominal, maxField, onFly }) {
+  const [open, setOpen] = useState(false);
+  const [basis, setBasis] = useState('time');
+  const [knots, setKnots] = useState(8);
+  const [constraint, setConstraint] = useState('tileCapacity');
+  const [limit, setLimit] = useState(DEFAULT_LIMITS.tileCapacity);
+  const [maxEvaluations, setMaxEvaluations] = useState(150);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  // Stop a search in progress if the panel goes away.
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleOptimize = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setResult(null);
+    setError(null);
+    setProgress({ evaluations: 0, best: null });
+    try {
+      const found = await optimizeMagnetSchedule({
+        ...nominal,
+        basis,
+        knots,
+        constraint,
+        limit,
+        maxField,
+        maxEvaluations,
+        signal: controller.signal,
+        onProgress: setProgress,
+      });
+      setResult({ ...found, constraint });
+    } catch (err) {
+      setError(err.message);
+    }
+    controllerRef.current = null;
+    setProgress(null);
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !result) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const { points } = result.schedule;
+    const x0 = points[0][0];
+    const xSpan = points[points.length - 1][0] - x0 || 1;
+    const toX = (x) => 5 + ((x - x0) / xSpan) * (width - 10);
+    const toY = (field) => height - 15 - (field / maxField) * (height - 30);
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = 'green';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach(([x, field], i) => {
+      if (i === 0) ctx.moveTo(toX(x), toY(field));
+      else ctx.lineTo(toX(x), toY(field));
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+    ctx.fillStyle = 'green';
+    points.forEach(([x, field]) => ctx.fillRect(toX(x) - 2, toY(field) - 2, 4, 4));
+    ctx.fillStyle = 'black';
+    ctx.font = '10px sans-serif';
+    ctx.fillText(`Field (0-${maxField} T)`, 5, 10);
+    const { label, unit } = SCHEDULE_BASES[result.schedule.basis];
+    const axis = `${label} ${x0.toFixed(0)}–${(x0 + xSpan).toFixed(0)} ${unit}`;
+    ctx.fillText(axis, width - ctx.measureText(axis).width - 5, height - 3);
+  }, [result, maxField]);
+
+  if (!open) {
+    return (
+      <div style={{ ...panelStyle, width: 'auto' }}>
+        <button onClick={() => setOpen(true)}>Magnet Optimizer…</button>
+      </div>
+    );
+  }
+
+  const running = progress !== null;
+  const { unit } = OPTIMIZER_CONSTRAINTS[constraint];
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <strong>Magnet Schedule Optimizer</strong>
+        <button onClick={() => setOpen(false)}>×</button>
+      </div>
+      <div style={{ color: '#555', marginTop: '3px' }}>
+        Least coil energy for the current vehicle and entry, up to {maxField} T.
+      </div>
+      <div style={rowStyle}>
+        <span>Schedule by</span>
+        <select value={basis} onChange={(e) => setBasis(e.target.value)}>
+          {Object.entries(SCHEDULE_BASES).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div style={rowStyle}>
+        <span>Knots</span>
+        <input type="number" min="2" value={knots} onChange={(e) => setKnots(Math.max(2, Math.round(Number(e.target.value))))} style={{ width: '60px' }} />
+      </div>
+      <div style={rowStyle}>
+        <span>Keep</span>
+        <select
+          value={constraint}
+          onChange={(e) => {
+            setConstraint(e.target.value);
+            setLimit(DEFAULT_LIMITS[e.target.value]);
+          }}
+        >
+          {Object.entries(OPTIMIZER_CONSTRAINTS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div style={rowStyle}>
+        <span>at or below ({unit})</span>
+        <input type="number" step="any" value={limit} onChange={(e) => setLimit(Number(e.target.value))} style={{ width: '80px' }} />
+      </div>
+      <div style={rowStyle}>
+        <span>Max forward runs</span>
+        <input type="number" min="1" value={maxEvaluations} onChange={(e) => setMaxEvaluations(Math.max(1, Math.round(Number(e.target.value))))} style={{ width: '60px' }} />
+      </div>
+      <div style={{ marginTop: '5px', display: 'flex', gap: '8px', alignItems: 'center' }}>
+        {running ? (
+          <>
+            <button onClick={() => controllerRef.current?.abort()}>Stop</button>
+            <span>
+              Run {progress.evaluations} / {maxEvaluations}
+              {progress.best && `, best ${formatEnergy(progress.best.energy)}`}
+            </span>
+          </>
+        ) : (
+          <button onClick={handleOptimize}>Optimize</button>
+        )}
+      </div>
+      {error && <div style={{ color: 'red', marginTop: '5px' }}>{error}</div>}
+
+      {result && (
+        <>
+          {!result.feasible && (
+            <div style={{ color: 'darkred', marginTop: '5px' }}>
+              Even {maxField} T for the whole run cannot meet this limit.
+            </div>
+          )}
+          <div style={{ marginTop: '5px' }}>
+            <div>Coil energy: {formatEnergy(result.energy)} ({result.evaluations} runs)</div>
+            {result.constant && (
+              <div>Constant {result.constant.field.toFixed(3)} T: {formatEnergy(result.constant.energy)}</div>
+            )}
+            <div>
+              {OPTIMIZER_CONSTRAINTS[result.constraint].label}:{' '}
+              {result.constraint === 'tileCapacity' ? result.value.toFixed(1) : result.value.toExponential(2)}{' '}
+              {OPTIMIZER_CONSTRAINTS[result.constraint].unit}
+            </div>
+          </div>
+          <canvas ref={canvasRef} width={310} height={100} style={{ display: 'block', marginTop: '5px', border: '1px solid #ccc', background: 'white' }} />
+          <button style={{ marginTop: '5px' }} onClick={() => onFly(result.schedule)}>Fly this schedule</button>
+        </>
+      )}
+    </div>
+  );
+}
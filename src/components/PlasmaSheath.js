@@ -0,0 +1,112 @@
+// src/components/PlasmaSheath.js
+import React, { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { plasmaSheath } from '../sim/plasma';
+
+// The real standoff is well under a metre without the magnet, too thin to
+// see against a 50 m hull, so it is drawn this many times larger (and never
+// further out than the hull is tall).
+const STANDOFF_EXAGGERATION = 4;
+
+// Gap (fraction of each half-dimension) between the hull and the shell.
+const SHELL_MARGIN = 1.08;
+
+const vertexShader = `
+  uniform vec3 uFlowDir;
+  uniform float uStandoff;
+  varying vec3 vWorldNormal;
+  varying vec3 vWorldPosition;
+  varying float vWindward;
+
+  void main() {
+    // The shell is a scaled sphere, so normals need the inverse transpose.
+    vec3 worldNormal = normalize(transpose(inverse(mat3(modelMatrix))) * normal);
+    float windward = max(dot(worldNormal, uFlowDir), 0.0);
+    // Push the windward side out to the shock standoff.
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    worldPosition.xyz += worldNormal * uStandoff * windward;
+    vWorldNormal = worldNormal;
+    vWorldPosition = worldPosition.xyz;
+    vWindward = windward;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  }
+`;
+
+const fragmentShader = `
+  uniform vec3 uColor;
+  uniform float uIntensity;
+  uniform float uSharpness;
+  uniform float uTime;
+  varying vec3 vWorldNormal;
+  varying vec3 vWorldPosition;
+  varying float vWindward;
+
+  void main() {
+    vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+    float fresnel = pow(1.0 - abs(dot(normalize(vWorldNormal), viewDir)), 2.0);
+    // Brightest at the stagnation region, trailing off toward the lee side.
+    float cap = pow(vWindward, uSharpness);
+    float flicker = 0.9 + 0.1 * sin(uTime * 37.0 + vWorldPosition.x * 0.7 + vWorldPosition.y * 1.3);
+    float alpha = clamp(uIntensity * cap * (0.35 + fresnel) * flicker, 0.0, 0.9);
+    gl_FragColor = vec4(uColor * (0.8 + 0.6 * fresnel), alpha);
+  }
+`;
+
+/**
+ * PlasmaSheath draws the glowing shock layer around the windward side of a
+ * vehicle as a shader on a shell just outside the hull. Place it inside the
+ * ship's group so it follows the ship's position and pitch. Color follows
+ * the post-shock temperature, brightness the heat flux reaching the tiles,
+ * and the shell bulges out to the shock standoff; with the magnet on the
+ * shock stands further off and the glow spreads out and dims.
+ *
+ * Everything is updated through uniforms in the render loop, so the sheath
+ * costs one draw call and no per-frame allocation. tilt (rad) is how far
+ * the local horizontal is turned in the scene (see util/scene.js).
+ */
+export default function PlasmaSheath({ simulationState, dimensions, plasmaThreshold, tilt = 0 }) {
+  const materialRef = useRef();
+  const { width, height, depth } = dimensions;
+  const uniforms = useMemo(
+    () => ({
+      uColor: { value: new THREE.Color() },
+      uIntensity: { value: 0 },
+      uSharpness: { value: 3 },
+      uStandoff: { value: 0 },
+      uFlowDir: { value: new THREE.Vector3(1, 0, 0) },
+      uTime: { value: 0 },
+    }),
+    []
+  );
+
+  useFrame(({ clock }) => {
+    const material = materialRef.current;
+    if (!material) return;
+    const sheath = plasmaSheath(simulationState, plasmaThreshold);
+    const u = material.uniforms;
+    u.uColor.value.setRGB(...sheath.color);
+    u.uIntensity.value = sheath.intensity;
+    // A tight, bright cap with the magnet off; broader and softer as it pushes the shock out.
+    u.uSharpness.value = 1.2 + 2 * sheath.compression;
+    u.uStandoff.value = Math.min(sheath.standoff * STANDOFF_EXAGGERATION, height);
+    // The air comes at the ship along its velocity (downrange is +x, up is +y).
+    const gamma = simulationState.flightPathAngle + tilt;
+    u.uFlowDir.value.set(Math.cos(gamma), Math.sin(gamma), 0);
+    u.uTime.value = clock.elapsedTime;
+  });
+
+  return (
+    <mesh scale={[(width / 2) * SHELL_MARGIN, (height / 2) * SHELL_MARGIN, (depth / 2) * SHELL_MARGIN]} renderOrder={1}>
+      <sphereGeometry args={[1, 48, 24]} />
+      <shaderMaterial
+        ref={materialRef}
+        uniforms={uniforms}
+        vertexShader={vertexShader}
+        fragmentShader={fragmentShader}
+        transparent
+        depthWrite={false}
+      />
+    </mesh>
+  );
+}
@@ -0,0 +1,129 @@
+// src/components/ScenarioPanel.js
+import React, { useState } from 'react';
+import { validateScenario, serializeScenario, parseScenario, scenarioToQuery } from '../sim/scenario';
+import { downloadText, readFileAsText, toFileName } from '../util/files';
+
+const inputStyle = { width: '70px' };
+const fileButtonStyle = { border: '1px solid #888', padding: '1px 6px', borderRadius: '2px', background: '#eee' };
+
+/**
+ * ScenarioPanel is the HUD section for the run set-up as a whole: its
+ * name, the entry interface altitude and speed (applied on restart like
+ * the entry angle), how long to fly, and saving, loading or linking the
+ * whole scenario (see scenario.js).
+ *
+ * scenario: the current set-up, built by App from its settings.
+ * onChange: called with the fields to change ({ name }, { initialState }
+ * or { duration }).
+ * onLoad: called with a validated scenario to fly instead.
+ * initialError: a problem with the scenario the page was opened with.
+ */
+export default function ScenarioPanel({ scenario, onChange, onLoad, initialError = null }) {
+  const [error, setError] = useState(initialError);
+  const [link, setLink] = useState(null);
+
+  const setInitial = (key, value) => {
+    if (!Number.isFinite(value)) return;
+    onChange({ initialState: { ...scenario.initialState, [key]: value } });
+  };
+
+  const withValid = (action) => {
+    try {
+      action(validateScenario(scenario));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Falls back to showing the link when the clipboard is not available
+  // (e.g. the page is not served over HTTPS).
+  const handleCopyLink = () =>
+    withValid(async (valid) => {
+      const query = scenarioToQuery(valid);
+      const url = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        setLink({ url, copied: true });
+      } catch (err) {
+        setLink({ url, copied: false });
+      }
+    });
+
+  const handleSave = () =>
+    withValid((valid) => downloadText(toFileName(valid.name, 'json'), serializeScenario(valid)));
+
+  const handleLoad = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onLoad(parseScenario(await readFileAsText(file)));
+      setError(null);
+      setLink(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <label>
+        <strong>Scenario</strong>{' '}
+        <input type="text" value={scenario.name} onChange={(e) => onChange({ name: e.target.value })} style={{ width: '150px' }} />
+      </label>
+      <div style={{ marginTop: '3px' }}>
+        Entry at{' '}
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={scenario.initialState.altitude / 1000}
+          onChange={(e) => setInitial('altitude', Number(e.target.value) * 1000)}
+          style={inputStyle}
+        />{' '}
+        km,{' '}
+        <input
+          type="number"
+          min="1"
+          step="10"
+          value={scenario.initialState.speed}
+          onChange={(e) => setInitial('speed', Number(e.target.value))}
+          style={inputStyle}
+        />{' '}
+        m/s (on restart)
+      </div>
+      <div style={{ marginTop: '3px' }}>
+        Stop after{' '}
+        <input
+          type="number"
+          min="0"
+          step="10"
+          placeholder="touchdown"
+          value={scenario.duration ?? ''}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            onChange({ duration: value > 0 ? value : null });
+          }}
+          style={inputStyle}
+        />{' '}
+        s
+      </div>
+      <div style={{ marginTop: '5px', display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+        <button onClick={handleCopyLink}>Copy link</button>
+        <button onClick={handleSave}>Save</button>
+        <label style={{ cursor: 'pointer' }}>
+          <span style={fileButtonStyle}>Load</span>
+          <input type="file" accept=".json,application/json" onChange={handleLoad} style={{ display: 'none' }} />
+        </label>
+      </div>
+      {link && (
+        <div style={{ fontSize: '11px', marginTop: '3px' }}>
+          {link.copied ? 'Link copied.' : 'Copy this link:'}
+          {!link.copied && <input type="text" readOnly value={link.url} onFocus={(e) => e.target.select()} style={{ width: '100%' }} />}
+        </div>
+      )}
+      {error && <div style={{ color: 'red', marginTop: '3px' }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// src/components/TrajectoryRibbon.js
+import React, { useEffect, useMemo } from 'react';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { scenePlacement, heatColor } from '../util/scene';
+import { SHEATH_FLUX_RANGE } from '../sim/plasma';
+import { trajectoryMarkers } from '../sim/trajectory';
+
+// Ribbon width and marker size (scene units, i.e. km).
+const RIBBON_WIDTH = 4;
+const MARKER_RADIUS = 3;
+
+const [LOW_FLUX, HIGH_FLUX] = SHEATH_FLUX_RANGE;
+
+// Heat flux at the tiles on the same log scale the plasma sheath uses.
+const heatLevel = (state) =>
+  Math.log10(Math.max(state.effectiveHeatFlux, LOW_FLUX) / LOW_FLUX) / Math.log10(HIGH_FLUX / LOW_FLUX);
+
+/**
+ * Builds a flat strip along the path, RIBBON_WIDTH wide across the flight
+ * plane (z), with a vertex color per point.
+ */
+function buildRibbon(states, mode) {
+  const positions = new Float32Array(states.length * 6);
+  const colors = new Float32Array(states.length * 6);
+  const indices = [];
+  states.forEach((state, i) => {
+    const [x, y] = scenePlacement(state.downrange, state.altitude, mode).position;
+    const color = heatColor(heatLevel(state));
+    positions.set([x, y, -RIBBON_WIDTH / 2, x, y, RIBBON_WIDTH / 2], i * 6);
+    colors.set([...color, ...color], i * 6);
+    if (i > 0) {
+      const a = 2 * (i - 1);
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+const labelStyle = {
+  fontSize: '10px',
+  whiteSpace: 'nowrap',
+  background: 'rgba(255,255,255,0.8)',
+  padding: '1px 3px',
+  borderRadius: '3px',
+  pointerEvents: 'none',
+};
+
+/**
+ * TrajectoryRibbon draws the path flown so far as a ribbon colored by the
+ * heat flux reaching the tiles, with markers at entry interface, peak
+ * heating and max-Q.
+ *
+ * history: states up to the instant being shown (oldest first).
+ */
+export default function TrajectoryRibbon({ history, mode }) {
+  const geometry = useMemo(() => buildRibbon(history, mode), [history, mode]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  const markers = trajectoryMarkers(history);
+
+  return (
+    <group>
+      <mesh geometry={geometry}>
+        <meshBasicMaterial vertexColors side={THREE.DoubleSide} />
+      </mesh>
+      {markers.map((marker) => {
+        const position = scenePlacement(marker.state.downrange, marker.state.altitude, mode).position;
+        return (
+          <group key={marker.id} position={position}>
+            <mesh>
+              <sphereGeometry args={[MARKER_RADIUS, 16, 8]} />
+              <meshBasicMaterial color="black" />
+            </mesh>
+            <Html position={[0, MARKER_RADIUS * 2, 0]} center style={labelStyle}>
+              {marker.label}
+            </Html>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
@@ -0,0 +1,311 @@
+// src/components/VehicleEditor.js
+import React, { useState, useEffect } from 'react';
+import { MATERIALS } from '../sim/conduction';
+import { AERO_TABLES } from '../sim/aeroDatabase';
+import {
+  VEHICLE_PRESETS,
+  MAGNET_CONDUCTORS,
+  validateVehicle,
+  serializeVehicle,
+  parseVehicle,
+} from '../sim/vehicles';
+import { downloadText, readFileAsText, toFileName } from '../util/files';
+
+const panelStyle = {
+  position: 'absolute',
+  bottom: 20,
+  right: 10,
+  width: '300px',
+  maxHeight: '45vh',
+  overflowY: 'auto',
+  background: 'rgba(255,255,255,0.9)',
+  padding: '10px',
+  borderRadius: '8px',
+  fontSize: '12px'
+};
+
+const inputStyle = { width: '80px' };
+
+/**
+ * NumberField edits one numeric field of the draft. Values are kept as
+ * strings while typing; validateVehicle converts them on apply.
+ */
+function NumberField({ label, value, onChange }) {
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '3px' }}>
+      <span>{label}</span>
+      <input type="number" step="any" value={value} onChange={(e) => onChange(e.target.value)} style={inputStyle} />
+    </div>
+  );
+}
+
+/**
+ * VehicleEditor lets the user pick a preset, edit every field of the
+ * vehicle definition, and import/export it as JSON. Changes only reach the
+ * simulation when "Apply" is pressed, which restarts the run.
+ */
+export default function VehicleEditor({ vehicle, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(vehicle);
+  const [error, setError] = useState(null);
+
+  // Follow the applied vehicle when it changes from outside the editor.
+  useEffect(() => {
+    setDraft(vehicle);
+  }, [vehicle]);
+
+  const update = (path, value) => {
+    setDraft((prev) => {
+      const next = JSON.parse(JSON.stringify(prev));
+      let target = next;
+      for (let i = 0; i < path.length - 1; i++) target = target[path[i]];
+      target[path[path.length - 1]] = value;
+      return next;
+    });
+  };
+
+  const apply = (candidate) => {
+    try {
+      const valid = validateVehicle(candidate);
+      setError(null);
+      onApply(valid);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      apply(parseVehicle(await readFileAsText(file)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExport = () => {
+    try {
+      const valid = validateVehicle(draft);
+      downloadText(toFileName(valid.name, 'json'), serializeVehicle(valid));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!open) {
+    return (
+      <div style={{ ...panelStyle, width: 'auto' }}>
+        <button onClick={() => setOpen(true)}>Vehicle: {vehicle.name} ✎</button>
+      </div>
+    );
+  }
+
+  const stack = draft.tps.heatShieldStack;
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <strong>Vehicle Configuration</strong>
+        <button onClick={() => setOpen(false)}>×</button>
+      </div>
+      <div style={{ marginTop: '5px' }}>
+        Preset:{' '}
+        <select value="" onChange={(e) => e.target.value && setDraft(VEHICLE_PRESETS[e.target.value])}>
+          <option value="">Load preset…</option>
+          {Object.entries(VEHICLE_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>{preset.name}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '3px' }}>
+        <span>Name</span>
+        <input value={draft.name} onChange={(e) => update(['name'], e.target.value)} style={{ width: '150px' }} />
+      </div>
+      <NumberField label="Mass (kg)" value={draft.mass} onChange={(v) => update(['mass'], v)} />
+      <NumberField label="Reference area (m²)" value={draft.referenceArea} onChange={(v) => update(['referenceArea'], v)} />
+      <NumberField label="Cd" value={draft.Cd} onChange={(v) => update(['Cd'], v)} />
+      <NumberField label="Nose radius (m)" value={draft.noseRadius} onChange={(v) => update(['noseRadius'], v)} />
+      <NumberField label="L/D" value={draft.liftToDrag} onChange={(v) => update(['liftToDrag'], v)} />
+      <NumberField label="Length (m)" value={draft.dimensions.width} onChange={(v) => update(['dimensions', 'width'], v)} />
+      <NumberField label="Height (m)" value={draft.dimensions.height} onChange={(v) => update(['dimensions', 'height'], v)} />
+      <NumberField label="Span (m)" value={draft.dimensions.depth} onChange={(v) => update(['dimensions', 'depth'], v)} />
+
+      <div style={{ marginTop: '8px' }}><strong>Thermal protection</strong></div>
+      <NumberField
+        label="Tile capacity (J/m²)"
+        value={draft.tps.tileCapacity}
+        onChange={(v) => update(['tps', 'tileCapacity'], v)}
+      />
+      {stack.map((layer, i) => (
+        <div key={i} style={{ display: 'flex', gap: '4px', marginTop: '3px', alignItems: 'center' }}>
+          <select value={layer.material} onChange={(e) => update(['tps', 'heatShieldStack', i, 'material'], e.target.value)}>
+            {Object.entries(MATERIALS).map(([id, material]) => (
+              <option key={id} value={id}>{material.label}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="any"
+            title="Thickness (mm)"
+            value={layer.thickness * 1000}
+            onChange={(e) => update(['tps', 'heatShieldStack', i, 'thickness'], Number(e.target.value) / 1000)}
+            style={{ width: '45px' }}
+          />
+          mm
+          <button
+            onClick={() => update(['tps', 'heatShieldStack'], stack.filter((_, j) => j !== i))}
+            disabled={stack.length === 1}
+          >
+            −
+          </button>
+        </div>
+      ))}
+      <button
+        style={{ marginTop: '3px' }}
+        onClick={() => update(['tps', 'heatShieldStack'], [...stack, { material: 'steel', thickness: 0.004, cells: 3 }])}
+      >
+        + Layer
+      </button>
+
+      <div style={{ marginTop: '8px' }}><strong>Magnet hardware</strong></div>
+      <NumberField label="Max field (T)" value={draft.magnet.maxField} onChange={(v) => update(['magnet', 'maxField'], v)} />
+      <NumberField label="Coil radius (m)" value={draft.magnet.coilRadius} onChange={(v) => update(['magnet', 'coilRadius'], v)} />
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '3px' }}>
+        <span>Conductor</span>
+        <select value={draft.magnet.conductor} onChange={(e) => update(['magnet', 'conductor'], e.target.value)}>
+          {MAGNET_CONDUCTORS.map((id) => (
+            <option key={id} value={id}>{id}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ marginTop: '8px' }}><strong>Aerodynamics</strong></div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '3px' }}>
+        <span>Mach table</span>
+        <select
+          value={typeof draft.aero.table === 'string' ? draft.aero.table : ''}
+          onChange={(e) => e.target.value && update(['aero', 'table'], e.target.value)}
+        >
+          {typeof draft.aero.table !== 'string' && <option value="">Custom (from file)</option>}
+          {Object.entries(AERO_TABLES).map(([id, table]) => (
+            <option key={id} value={id}>{table.label}</option>
+          ))}
+        </select>
+      </div>
+      <NumberField
+        label="Free-molecular Cd"
+        value={draft.aero.freeMolecularCd}
+        onChange={(v) => update(['aero', 'freeMolecularCd'], v)}
+      />
+      <NumberField
+        label="Free-molecular L/D"
+        value={draft.aero.freeMolecularLiftToDrag}
+        onChange={(v) => update(['aero', 'freeMolecularLiftToDrag'], v)}
+      />
+
+      <div style={{ marginTop: '8px' }}><strong>Attitude</strong></div>
+      <label style={{ display: 'block', marginTop: '3px' }}>
+        <input
+          type="checkbox"
+          checked={draft.attitude.enabled}
+          onChange={(e) => update(['attitude', 'enabled'], e.target.checked)}
+        />
+        {' '}Pitch dynamics with flaps
+      </label>
+      <NumberField
+        label="Trim angle of attack (deg)"
+        value={draft.attitude.trimAngleOfAttack}
+        onChange={(v) => update(['attitude', 'trimAngleOfAttack'], v)}
+      />
+      {draft.attitude.enabled && (
+        <>
+          <NumberField
+            label="Pitch inertia (kg m²)"
+            value={draft.attitude.pitchInertia}
+            onChange={(v) => update(['attitude', 'pitchInertia'], v)}
+          />
+          <NumberField
+            label="CP ahead of CG (m)"
+            value={draft.attitude.cpOffset}
+            onChange={(v) => update(['attitude', 'cpOffset'], v)}
+          />
+          <NumberField
+            label="Fwd flap area (m²)"
+            value={draft.attitude.flaps.forwardArea}
+            onChange={(v) => update(['attitude', 'flaps', 'forwardArea'], v)}
+          />
+          <NumberField
+            label="Fwd flap arm (m)"
+            value={draft.attitude.flaps.forwardArm}
+            onChange={(v) => update(['attitude', 'flaps', 'forwardArm'], v)}
+          />
+          <NumberField
+            label="Aft flap area (m²)"
+            value={draft.attitude.flaps.aftArea}
+            onChange={(v) => update(['attitude', 'flaps', 'aftArea'], v)}
+          />
+          <NumberField
+            label="Aft flap arm (m)"
+            value={draft.attitude.flaps.aftArm}
+            onChange={(v) => update(['attitude', 'flaps', 'aftArm'], v)}
+          />
+        </>
+      )}
+
+      <div style={{ marginTop: '8px' }}><strong>Landing</strong></div>
+      <label style={{ display: 'block', marginTop: '3px' }}>
+        <input
+          type="checkbox"
+          checked={draft.landing.enabled}
+          onChange={(e) => update(['landing', 'enabled'], e.target.checked)}
+        />
+        {' '}Flip and propulsive landing
+      </label>
+      {draft.landing.enabled && (
+        <>
+          <NumberField
+            label="Flip altitude (m)"
+            value={draft.landing.altitude}
+            onChange={(v) => update(['landing', 'altitude'], v)}
+          />
+          <NumberField
+            label="Thrust (N)"
+            value={draft.landing.thrust}
+            onChange={(v) => update(['landing', 'thrust'], v)}
+          />
+          <NumberField label="Isp (s)" value={draft.landing.isp} onChange={(v) => update(['landing', 'isp'], v)} />
+          <NumberField
+            label="Min throttle (0-1)"
+            value={draft.landing.minThrottle}
+            onChange={(v) => update(['landing', 'minThrottle'], v)}
+          />
+          <NumberField
+            label="Max throttle (0-1)"
+            value={draft.landing.maxThrottle}
+            onChange={(v) => update(['landing', 'maxThrottle'], v)}
+          />
+          <NumberField
+            label="Landing propellant (kg)"
+            value={draft.landing.propellant}
+            onChange={(v) => update(['landing', 'propellant'], v)}
+          />
+        </>
+      )}
+
+      {error && <div style={{ color: 'red', marginTop: '5px' }}>{error}</div>}
+      <div style={{ marginTop: '8px', display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+        <button onClick={() => apply(draft)}>Apply &amp; Restart</button>
+        <button onClick={handleExport}>Export JSON</button>
+        <label style={{ cursor: 'pointer' }}>
+          <span style={{ border: '1px solid #888', padding: '1px 6px', borderRadius: '2px', background: '#eee' }}>
+            Import JSON
+          </span>
+          <input type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+        </label>
+      </div>
+    </div>
+  );
+}
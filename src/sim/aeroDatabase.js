@@ -0,0 +1,187 @@
+// src/sim/aeroDatabase.js
+
+/**
+ * Flow regime and tabulated aerodynamic coefficients.
+ *
+ * Every evaluation works out the similarity parameters of the freestream:
+ * Mach number (speed / speed of sound), Reynolds number (rho V L / mu)
+ * and Knudsen number (mean free path / L), with L the vehicle's reference
+ * length and mu from Sutherland's law.
+ *
+ * Continuum coefficients come from an aero table against Mach number. A
+ * table is a list of [mach, dragRatio, liftRatio] rows, Mach ascending:
+ * the ratios scale the vehicle's own (hypersonic) Cd and lift coefficient,
+ * so the vehicle definition keeps its Cd and L/D and a table only says how
+ * they change through the supersonic, transonic and subsonic regimes.
+ * Values are interpolated linearly and held at the ends of the table.
+ *
+ * In rarefied flow the coefficients move towards their free-molecular
+ * values (freeMolecularCd, freeMolecularLiftToDrag) with the usual
+ * sine-squared bridging in log Knudsen number, between continuum flow at
+ * CONTINUUM_KNUDSEN and free-molecular flow at FREE_MOLECULAR_KNUDSEN.
+ */
+
+export const CONTINUUM_KNUDSEN = 1e-3;
+export const FREE_MOLECULAR_KNUDSEN = 10;
+
+export const FLOW_REGIMES = {
+  continuum: 'Continuum',
+  transitional: 'Transitional',
+  freeMolecular: 'Free molecular',
+};
+
+// Upper Mach number of each speed regime.
+export const SPEED_REGIMES = {
+  subsonic: { label: 'Subsonic', below: 0.8 },
+  transonic: { label: 'Transonic', below: 1.2 },
+  supersonic: { label: 'Supersonic', below: 5 },
+  hypersonic: { label: 'Hypersonic', below: Infinity },
+};
+
+/**
+ * Built-in aero tables, keyed by the id vehicle definitions use. The
+ * trends are generic for each shape: a drag rise through the transonic
+ * region and, for the lifting shapes, less lift at low speed.
+ */
+export const AERO_TABLES = {
+  constant: { label: 'Constant', points: [[0, 1, 1]] },
+  // Broadside cylinder: only the drag ratio is used, lift follows from
+  // the angle of attack.
+  slenderBody: {
+    label: 'Slender body, broadside',
+    points: [
+      [0, 0.85, 1],
+      [0.8, 0.9, 1],
+      [1, 1.15, 1],
+      [1.2, 1.2, 1],
+      [2, 1.1, 1],
+      [5, 1, 1],
+    ],
+  },
+  capsule: {
+    label: 'Blunt capsule',
+    points: [
+      [0, 0.75, 0.6],
+      [0.8, 0.85, 0.7],
+      [1.1, 1.1, 0.9],
+      [1.5, 1.1, 1],
+      [3, 1.02, 1],
+      [5, 1, 1],
+    ],
+  },
+  winged: {
+    label: 'Winged orbiter',
+    points: [
+      [0, 0.9, 1.1],
+      [0.9, 1, 1.1],
+      [1.2, 1.1, 1],
+      [2, 1.05, 1],
+      [5, 1, 1],
+    ],
+  },
+};
+
+const GAS_CONSTANT_AIR = 287.05; // J/(kg K)
+const GAMMA = 1.4;
+const SUTHERLAND_REFERENCE_VISCOSITY = 1.458e-6; // kg/(m s K^0.5)
+const SUTHERLAND_TEMPERATURE = 110.4; // K
+
+/**
+ * Dynamic viscosity of air (Pa s) at temperature (K), Sutherland's law.
+ */
+export function dynamicViscosity(temperature) {
+  return (SUTHERLAND_REFERENCE_VISCOSITY * temperature * Math.sqrt(temperature)) / (temperature + SUTHERLAND_TEMPERATURE);
+}
+
+// Evaluated every integrator stage, so kept to a plain loop.
+const SPEED_REGIME_IDS = Object.keys(SPEED_REGIMES);
+function speedRegime(machNumber) {
+  for (const id of SPEED_REGIME_IDS) {
+    if (machNumber < SPEED_REGIMES[id].below) return id;
+  }
+  return 'hypersonic';
+}
+
+/**
+ * Similarity parameters of the freestream for a body of length (m):
+ * { machNumber, reynoldsNumber, knudsenNumber, flowRegime (key into
+ * FLOW_REGIMES), speedRegime (key into SPEED_REGIMES) }. atmosphere is
+ * { density, temperature, speedOfSound } as from atmosphereAt.
+ */
+export function flowProperties(atmosphere, speed, length) {
+  const { density, temperature, speedOfSound } = atmosphere;
+  const mu = dynamicViscosity(temperature);
+  // Near vacuum the models report no speed of sound; use the ideal-gas one.
+  const a = speedOfSound > 0 ? speedOfSound : Math.sqrt(GAMMA * GAS_CONSTANT_AIR * temperature);
+  const machNumber = speed / a;
+  const reynoldsNumber = (density * speed * length) / mu;
+  const meanFreePath = density > 0 ? (mu / density) * Math.sqrt(Math.PI / (2 * GAS_CONSTANT_AIR * temperature)) : Infinity;
+  const knudsenNumber = meanFreePath / length;
+  let flowRegime = 'transitional';
+  if (knudsenNumber <= CONTINUUM_KNUDSEN) flowRegime = 'continuum';
+  else if (knudsenNumber >= FREE_MOLECULAR_KNUDSEN) flowRegime = 'freeMolecular';
+  return { machNumber, reynoldsNumber, knudsenNumber, flowRegime, speedRegime: speedRegime(machNumber) };
+}
+
+/**
+ * How far the flow is from continuum towards free-molecular, 0..1:
+ * sin²(π/8 (3 + log10 Kn)) between the two regime limits.
+ */
+export function rarefiedBridge(knudsenNumber) {
+  if (knudsenNumber <= CONTINUUM_KNUDSEN) return 0;
+  if (knudsenNumber >= FREE_MOLECULAR_KNUDSEN) return 1;
+  const span = Math.log10(FREE_MOLECULAR_KNUDSEN / CONTINUUM_KNUDSEN);
+  return Math.sin((Math.PI / 2) * (Math.log10(knudsenNumber / CONTINUUM_KNUDSEN) / span)) ** 2;
+}
+
+/**
+ * Checks an aero table and returns it; throws naming the problem otherwise.
+ */
+export function validateAeroTable(points) {
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error('Aero table needs at least one row');
+  }
+  points.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== 3 || !row.every(Number.isFinite)) {
+      throw new Error(`Aero table row ${i} must be a [mach, dragRatio, liftRatio] triple of numbers`);
+    }
+    if (row[0] < 0 || row[1] < 0) {
+      throw new Error(`Aero table row ${i} has a negative Mach number or drag ratio`);
+    }
+    if (i > 0 && row[0] <= points[i - 1][0]) {
+      throw new Error('Aero table rows must be in ascending Mach number');
+    }
+  });
+  return points;
+}
+
+/**
+ * Drag and lift ratios from a table at a Mach number: { drag, lift }.
+ */
+export function tableRatios(points, machNumber) {
+  let i = 0;
+  while (i < points.length - 2 && machNumber > points[i + 1][0]) i++;
+  const [m0, d0, l0] = points[i];
+  if (points.length === 1) return { drag: d0, lift: l0 };
+  const [m1, d1, l1] = points[i + 1];
+  const f = Math.min(Math.max((machNumber - m0) / (m1 - m0), 0), 1);
+  return { drag: d0 + f * (d1 - d0), lift: l0 + f * (l1 - l0) };
+}
+
+/**
+ * Drag and lift coefficients for the flow: { dragCoefficient,
+ * liftCoefficient }. The continuum values are params.Cd and
+ * params.Cd * params.liftToDrag scaled from params.aeroTable; they are
+ * bridged to the free-molecular ones by Knudsen number.
+ */
+export function flowCoefficients(flow, params) {
+  const ratios = tableRatios(params.aeroTable, flow.machNumber);
+  const bridge = rarefiedBridge(flow.knudsenNumber);
+  const continuumCd = params.Cd * ratios.drag;
+  const continuumCL = params.Cd * params.liftToDrag * ratios.lift;
+  const freeMolecularCL = params.freeMolecularCd * params.freeMolecularLiftToDrag;
+  return {
+    dragCoefficient: continuumCd + (params.freeMolecularCd - continuumCd) * bridge,
+    liftCoefficient: continuumCL + (freeMolecularCL - continuumCL) * bridge,
+  };
+}
@@ -0,0 +1,61 @@
+import {
+  AERO_TABLES,
+  dynamicViscosity,
+  flowProperties,
+  rarefiedBridge,
+  tableRatios,
+  validateAeroTable,
+  flowCoefficients,
+  CONTINUUM_KNUDSEN,
+  FREE_MOLECULAR_KNUDSEN,
+} from './aeroDatabase.js';
+import { atmosphereAt } from './atmosphere.js';
+import { DEFAULT_PARAMS } from './dynamics.js';
+
+test('sea-level flow numbers match the textbook values', () => {
+  expect(dynamicViscosity(288.15)).toBeCloseTo(1.789e-5, 8);
+  const flow = flowProperties(atmosphereAt(0, { atmosphere: 'us1976' }), 340.3, 1);
+  expect(flow.machNumber).toBeCloseTo(1, 2);
+  expect(flow.reynoldsNumber / 2.33e7).toBeCloseTo(1, 2);
+  // Mean free path about 66 nm.
+  expect(flow.knudsenNumber).toBeGreaterThan(6e-8);
+  expect(flow.knudsenNumber).toBeLessThan(7e-8);
+  expect(flow.flowRegime).toBe('continuum');
+  expect(flow.speedRegime).toBe('transonic');
+});
+
+test('the flow turns rarefied with altitude', () => {
+  const at = (altitude) => flowProperties(atmosphereAt(altitude, { atmosphere: 'us1976' }), 7500, 50).flowRegime;
+  expect(at(60000)).toBe('continuum');
+  expect(at(110000)).toBe('transitional');
+  expect(at(300000)).toBe('freeMolecular');
+});
+
+test('the rarefied bridge runs smoothly from continuum to free-molecular', () => {
+  expect(rarefiedBridge(CONTINUUM_KNUDSEN / 10)).toBe(0);
+  expect(rarefiedBridge(FREE_MOLECULAR_KNUDSEN * 10)).toBe(1);
+  expect(rarefiedBridge(Math.sqrt(CONTINUUM_KNUDSEN * FREE_MOLECULAR_KNUDSEN))).toBeCloseTo(0.5, 12);
+  expect(rarefiedBridge(0.01)).toBeLessThan(rarefiedBridge(1));
+});
+
+test('tables interpolate in Mach number and hold at the ends', () => {
+  const points = AERO_TABLES.capsule.points;
+  expect(tableRatios(points, 0)).toEqual({ drag: 0.75, lift: 0.6 });
+  expect(tableRatios(points, 25)).toEqual({ drag: 1, lift: 1 });
+  expect(tableRatios(points, 0.4).drag).toBeCloseTo(0.8, 12);
+  expect(tableRatios(AERO_TABLES.constant.points, 3)).toEqual({ drag: 1, lift: 1 });
+  Object.values(AERO_TABLES).forEach((table) => expect(() => validateAeroTable(table.points)).not.toThrow());
+  expect(() => validateAeroTable([])).toThrow(/at least one row/);
+  expect(() => validateAeroTable([[0, 1]])).toThrow(/row 0/);
+});
+
+test('coefficients follow the table in continuum flow and bridge when rarefied', () => {
+  const params = { ...DEFAULT_PARAMS, Cd: 1.3, liftToDrag: 0.3, aeroTable: AERO_TABLES.capsule.points };
+  const hypersonic = flowCoefficients({ machNumber: 20, knudsenNumber: 1e-5 }, params);
+  expect(hypersonic.dragCoefficient).toBeCloseTo(1.3, 12);
+  expect(hypersonic.liftCoefficient).toBeCloseTo(0.39, 12);
+  const subsonic = flowCoefficients({ machNumber: 0, knudsenNumber: 1e-5 }, params);
+  expect(subsonic.dragCoefficient).toBeCloseTo(1.3 * 0.75, 12);
+  const freeMolecular = flowCoefficients({ machNumber: 30, knudsenNumber: 100 }, params);
+  expect(freeMolecular).toEqual({ dragCoefficient: params.freeMolecularCd, liftCoefficient: 0 });
+});
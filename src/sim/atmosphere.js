@@ -0,0 +1,163 @@
+// src/sim/atmosphere.js
+
+/**
+ * Atmosphere models.
+ *
+ * Every model takes a geometric altitude in meters and returns
+ * { density, temperature, pressure, speedOfSound } in SI units
+ * (kg/m^3, K, Pa, m/s). Models are looked up by id from ATMOSPHERE_MODELS
+ * so the dynamics and the UI can switch between them.
+ */
+
+const R_STAR = 8314.32; // Universal gas constant (J/(kmol K)), US76 value
+const M0 = 28.9644; // Sea-level mean molecular weight (kg/kmol)
+const G0 = 9.80665; // Standard gravity (m/s^2)
+const GAMMA = 1.4; // Ratio of specific heats for air
+const R_EARTH_US76 = 6356766; // Effective Earth radius used by US76 (m)
+
+// Speed of sound from the ideal gas relation a = sqrt(gamma P / rho). Using
+// P and rho directly keeps it consistent above 86 km, where the mean
+// molecular weight is no longer constant.
+function speedOfSound(pressure, density) {
+  return density > 0 ? Math.sqrt((GAMMA * pressure) / density) : 0;
+}
+
+/**
+ * Single exponential atmosphere: rho = rho0 * exp(-h / H).
+ * Temperature is the isothermal value implied by the scale height.
+ */
+export function exponentialAtmosphere(altitude, { rho0 = 1.225, scaleHeight = 8400 } = {}) {
+  const h = Math.max(altitude, 0);
+  const density = rho0 * Math.exp(-h / scaleHeight);
+  const temperature = (scaleHeight * G0 * M0) / R_STAR;
+  const pressure = (density * R_STAR * temperature) / M0;
+  return { density, temperature, pressure, speedOfSound: speedOfSound(pressure, density) };
+}
+
+// US76 layers below 86 km: base geopotential altitude (m), base temperature (K),
+// base pressure (Pa) and lapse rate (K/m).
+const LOWER_LAYERS = [
+  { h: 0, T: 288.15, P: 101325.0, L: -0.0065 },
+  { h: 11000, T: 216.65, P: 22632.06, L: 0 },
+  { h: 20000, T: 216.65, P: 5474.889, L: 0.001 },
+  { h: 32000, T: 228.65, P: 868.0187, L: 0.0028 },
+  { h: 47000, T: 270.65, P: 110.9063, L: 0 },
+  { h: 51000, T: 270.65, P: 66.93887, L: -0.0028 },
+  { h: 71000, T: 214.65, P: 3.956420, L: -0.002 },
+];
+
+// US76 tabulated pressure (Pa) and density (kg/m^3) from 86 to 1000 km
+// geometric altitude. Values in between are interpolated log-linearly.
+const UPPER_TABLE = [
+  { z: 86000, P: 3.7338e-1, rho: 6.958e-6 },
+  { z: 90000, P: 1.8359e-1, rho: 3.416e-6 },
+  { z: 95000, P: 7.5966e-2, rho: 1.393e-6 },
+  { z: 100000, P: 3.2011e-2, rho: 5.604e-7 },
+  { z: 110000, P: 7.1042e-3, rho: 9.708e-8 },
+  { z: 120000, P: 2.5382e-3, rho: 2.222e-8 },
+  { z: 130000, P: 1.2505e-3, rho: 8.152e-9 },
+  { z: 140000, P: 7.2028e-4, rho: 3.831e-9 },
+  { z: 150000, P: 4.5422e-4, rho: 2.076e-9 },
+  { z: 160000, P: 3.0395e-4, rho: 1.233e-9 },
+  { z: 180000, P: 1.5271e-4, rho: 5.194e-10 },
+  { z: 200000, P: 8.4736e-5, rho: 2.541e-10 },
+  { z: 250000, P: 2.4767e-5, rho: 6.073e-11 },
+  { z: 300000, P: 8.7704e-6, rho: 1.916e-11 },
+  { z: 350000, P: 3.4498e-6, rho: 7.014e-12 },
+  { z: 400000, P: 1.4518e-6, rho: 2.803e-12 },
+  { z: 450000, P: 6.4468e-7, rho: 1.184e-12 },
+  { z: 500000, P: 3.0236e-7, rho: 5.215e-13 },
+  { z: 600000, P: 8.1919e-8, rho: 1.137e-13 },
+  { z: 700000, P: 3.1908e-8, rho: 3.070e-14 },
+  { z: 800000, P: 1.7036e-8, rho: 1.136e-14 },
+  { z: 900000, P: 1.0873e-8, rho: 5.759e-15 },
+  { z: 1000000, P: 7.5138e-9, rho: 3.561e-15 },
+];
+
+const MAX_ALTITUDE = 1000000;
+
+// Kinetic temperature above 86 km (US76 sections 1.2.5 - 1.2.8).
+function upperTemperature(z) {
+  const zKm = z / 1000;
+  if (zKm <= 91) return 186.8673;
+  if (zKm <= 110) {
+    // Elliptical segment between 91 and 110 km.
+    const Tc = 263.1905;
+    const A = -76.3232;
+    const a = 19.9429;
+    return Tc + A * Math.sqrt(1 - ((zKm - 91) / a) ** 2);
+  }
+  if (zKm <= 120) return 240 + 12 * (zKm - 110);
+  // Exponential approach to the exospheric temperature.
+  const rKm = R_EARTH_US76 / 1000;
+  const xi = ((zKm - 120) * (rKm + 120)) / (rKm + zKm);
+  return 1000 - (1000 - 360) * Math.exp(-0.01875 * xi);
+}
+
+function lowerAtmosphere(z) {
+  // Geometric to geopotential altitude.
+  const h = (R_EARTH_US76 * z) / (R_EARTH_US76 + z);
+  let layer = LOWER_LAYERS[0];
+  for (const candidate of LOWER_LAYERS) {
+    if (h >= candidate.h) layer = candidate;
+  }
+  const dh = h - layer.h;
+  const temperature = layer.T + layer.L * dh;
+  const pressure =
+    layer.L === 0
+      ? layer.P * Math.exp((-G0 * M0 * dh) / (R_STAR * layer.T))
+      : layer.P * Math.pow(layer.T / temperature, (G0 * M0) / (R_STAR * layer.L));
+  const density = (pressure * M0) / (R_STAR * temperature);
+  return { density, temperature, pressure };
+}
+
+function upperAtmosphere(z) {
+  const clamped = Math.min(z, MAX_ALTITUDE);
+  let i = 0;
+  while (i < UPPER_TABLE.length - 2 && clamped > UPPER_TABLE[i + 1].z) i++;
+  const lo = UPPER_TABLE[i];
+  const hi = UPPER_TABLE[i + 1];
+  const f = (clamped - lo.z) / (hi.z - lo.z);
+  const pressure = Math.exp(Math.log(lo.P) + f * (Math.log(hi.P) - Math.log(lo.P)));
+  const density = Math.exp(Math.log(lo.rho) + f * (Math.log(hi.rho) - Math.log(lo.rho)));
+  return { density, temperature: upperTemperature(clamped), pressure };
+}
+
+/**
+ * Layered US Standard Atmosphere 1976, valid from 0 to 1000 km.
+ * Altitudes outside that range are clamped.
+ */
+export function usStandardAtmosphere1976(altitude) {
+  const z = Math.max(altitude, 0);
+  const { density, temperature, pressure } =
+    z < UPPER_TABLE[0].z ? lowerAtmosphere(z) : upperAtmosphere(z);
+  return { density, temperature, pressure, speedOfSound: speedOfSound(pressure, density) };
+}
+
+/**
+ * Atmosphere models selectable from the UI, keyed by the id stored in the
+ * dynamics params. evaluate(altitude, params) returns the full state.
+ */
+export const ATMOSPHERE_MODELS = {
+  exponential: { label: 'Exponential', evaluate: exponentialAtmosphere },
+  us1976: { label: 'US Standard 1976', evaluate: (altitude) => usStandardAtmosphere1976(altitude) },
+};
+
+export const DEFAULT_ATMOSPHERE = 'exponential';
+
+/**
+ * Evaluates the atmosphere model named by params.atmosphere.
+ * params.densityScale (default 1) multiplies density and pressure together,
+ * leaving temperature and speed of sound alone; dispersion runs use it to
+ * model day-to-day density variation.
+ */
+export function atmosphereAt(altitude, params = {}) {
+  const model = ATMOSPHERE_MODELS[params.atmosphere ?? DEFAULT_ATMOSPHERE];
+  if (!model) {
+    throw new Error(`Unknown atmosphere model: ${params.atmosphere}`);
+  }
+  const state = model.evaluate(altitude, params);
+  const scale = params.densityScale ?? 1;
+  if (scale === 1) return state;
+  return { ...state, density: state.density * scale, pressure: state.pressure * scale };
+}
@@ -0,0 +1,45 @@
+import { atmosphereAt, exponentialAtmosphere, usStandardAtmosphere1976 } from './atmosphere.js';
+
+test('US76 matches the standard sea-level values', () => {
+  const sl = usStandardAtmosphere1976(0);
+  expect(sl.temperature).toBeCloseTo(288.15, 2);
+  expect(sl.pressure).toBeCloseTo(101325, 0);
+  expect(sl.density).toBeCloseTo(1.225, 3);
+  expect(sl.speedOfSound).toBeCloseTo(340.29, 1);
+});
+
+test('US76 reproduces tabulated values across the layers', () => {
+  // Geometric altitude (m) -> [temperature K, density kg/m^3] from the US76 tables.
+  const table = [
+    [20000, 216.65, 8.891e-2],
+    [50000, 270.65, 1.027e-3],
+    [80000, 198.64, 1.846e-5],
+    [100000, 195.08, 5.604e-7],
+    [300000, 976.01, 1.916e-11],
+  ];
+  for (const [z, T, rho] of table) {
+    const atm = usStandardAtmosphere1976(z);
+    expect(atm.temperature).toBeCloseTo(T, 0);
+    expect(Math.abs(atm.density - rho) / rho).toBeLessThan(0.01);
+  }
+});
+
+test('the exponential model diverges from US76 high up', () => {
+  const exp = exponentialAtmosphere(150000);
+  const us76 = usStandardAtmosphere1976(150000);
+  expect(exp.density / us76.density).toBeGreaterThan(5);
+});
+
+test('atmosphereAt dispatches on params.atmosphere', () => {
+  expect(atmosphereAt(0, { atmosphere: 'us1976' }).temperature).toBeCloseTo(288.15, 2);
+  expect(() => atmosphereAt(0, { atmosphere: 'mars' })).toThrow(/Unknown atmosphere/);
+});
+
+test('densityScale perturbs density and pressure but not temperature', () => {
+  const nominal = atmosphereAt(70000, { atmosphere: 'us1976' });
+  const dense = atmosphereAt(70000, { atmosphere: 'us1976', densityScale: 1.2 });
+  expect(dense.density / nominal.density).toBeCloseTo(1.2, 10);
+  expect(dense.pressure / nominal.pressure).toBeCloseTo(1.2, 10);
+  expect(dense.temperature).toBe(nominal.temperature);
+  expect(dense.speedOfSound).toBe(nominal.speedOfSound);
+});
@@ -0,0 +1,159 @@
+// src/sim/attitude.js
+import { flowProperties, flowCoefficients, tableRatios, rarefiedBridge } from './aeroDatabase.js';
+
+/**
+ * Pitch attitude and aerodynamics as a function of angle of attack.
+ *
+ * Angles: pitch is the body axis above the local horizontal, so the angle
+ * of attack is alpha = pitch - flightPathAngle. Moments are positive
+ * nose-up.
+ *
+ * With attitude dynamics enabled the vehicle is a slender body flown
+ * belly-first, Starship style. Its normal force follows modified
+ * Newtonian flow, CN = Cd * sin(alpha) * |sin(alpha)|, so Cd is the
+ * broadside drag coefficient, plus a small constant axial force. Four
+ * flaps (a forward and an aft pair) add normal force in proportion to how
+ * far they are deployed, sin(deflection), and provide pitch control: the
+ * forward pair sits ahead of the centre of gravity and pitches the nose
+ * up, the aft pair pitches it down.
+ *
+ * With attitude dynamics disabled (capsules, the Shuttle preset) the
+ * vehicle flies at a fixed trim angle of attack with the Cd and L/D from
+ * its definition.
+ *
+ * Either way the coefficients vary with the flow (aeroDatabase.js): Cd and
+ * L/D are scaled from the vehicle's aero table by Mach number, and bridged
+ * to their free-molecular values in rarefied flow.
+ */
+
+const DEG = Math.PI / 180;
+
+/**
+ * Target angle of attack against altitude for the automatic flap
+ * controller: hold a high hypersonic angle of attack, then ease into the
+ * 90° belly-flop for the subsonic fall. [altitude (m), alpha (deg)].
+ */
+export const BELLY_FLOP_PROFILE = [
+  [0, 90],
+  [20000, 90],
+  [60000, 70],
+  [1e9, 70],
+];
+
+// Closed-loop natural frequency (rad/s) and damping ratio of the automatic
+// flap controller.
+const CONTROL_FREQUENCY = 1;
+const CONTROL_DAMPING = 0.7;
+
+export const FLAP_MODES = ['auto', 'manual'];
+
+export function targetAngleOfAttack(altitude) {
+  const table = BELLY_FLOP_PROFILE;
+  let i = 0;
+  while (i < table.length - 2 && altitude > table[i + 1][0]) i++;
+  const [h0, a0] = table[i];
+  const [h1, a1] = table[i + 1];
+  const f = Math.min(Math.max((altitude - h0) / (h1 - h0), 0), 1);
+  return (a0 + f * (a1 - a0)) * DEG;
+}
+
+/**
+ * Angle of attack the vehicle starts the run at.
+ */
+export function initialAngleOfAttack(altitude, params) {
+  if (params.attitudeEnabled && params.flapMode === 'auto') {
+    return targetAngleOfAttack(altitude);
+  }
+  return params.trimAngleOfAttack;
+}
+
+// Normal-force shape sin(alpha) * |sin(alpha)|: zero edge-on, maximum
+// broadside, and sign-correct for negative angles.
+function newtonianShape(alpha) {
+  const s = Math.sin(alpha);
+  return s * Math.abs(s);
+}
+
+// Forward/aft deployment (as sin(deflection), 0..1) that produces the
+// moment the controller wants, with the two pairs kept complementary
+// (forward + aft = 1) so the total flap area in the flow stays constant.
+function autoFlapDeployment(desiredMoment, perUnitArea, params) {
+  const { forwardFlapArea: Af, aftFlapArea: Aa, forwardFlapArm: xf, aftFlapArm: xa } = params;
+  if (Math.abs(perUnitArea) < 1e-9) return { forward: 0.5, aft: 0.5 };
+  const forward = Math.min(Math.max((desiredMoment / perUnitArea + Aa * xa) / (Af * xf + Aa * xa), 0), 1);
+  return { forward, aft: 1 - forward };
+}
+
+/**
+ * Aerodynamic coefficients, pitch moment and flap deflections for a flight
+ * state { altitude, speed, flightPathAngle, pitch, pitchRate } in the given
+ * freestream atmosphere and at planet radius r, with the flow they were
+ * evaluated for (flow, see flowProperties).
+ */
+export function aerodynamics(state, atmosphere, r, params) {
+  const { speed, flightPathAngle: gamma } = state;
+  const { density } = atmosphere;
+  const flow = flowProperties(atmosphere, speed, params.referenceLength);
+  if (!params.attitudeEnabled) {
+    const { dragCoefficient, liftCoefficient } = flowCoefficients(flow, params);
+    return {
+      flow,
+      liftCoefficient,
+      dragCoefficient,
+      angleOfAttack: params.trimAngleOfAttack,
+      pitchMoment: 0,
+      flapDeflections: [0, 0, 0, 0],
+      windwardHeatingFactor: 1,
+    };
+  }
+
+  const alpha = state.pitch - gamma;
+  const shape = newtonianShape(alpha);
+  // Broadside drag coefficient in this flow.
+  const continuumCd = params.Cd * tableRatios(params.aeroTable, flow.machNumber).drag;
+  const Cd = continuumCd + (params.freeMolecularCd - continuumCd) * rarefiedBridge(flow.knudsenNumber);
+  const qbar = 0.5 * density * speed * speed;
+  const S = params.referenceArea;
+  const L = params.referenceLength;
+  const v = Math.max(speed, 1);
+  // Pitch rate relative to the local horizontal.
+  const relativeRate = state.pitchRate - (speed * Math.cos(gamma)) / r;
+
+  const bodyMoment = qbar * S * Cd * shape * params.cpOffset;
+  const dampingMoment = qbar * S * L * params.pitchDampingCoefficient * ((state.pitchRate * L) / (2 * v));
+  // Moment from one unit of sin(deflection) on both flaps of a pair, per m² of flap per m of arm.
+  const perUnitArea = 2 * qbar * params.flapNormalCoefficient * shape;
+
+  let flapDeflections;
+  if (params.flapMode === 'manual') {
+    flapDeflections = params.flapDeflections;
+  } else {
+    const error = alpha - targetAngleOfAttack(state.altitude);
+    const desiredAcceleration =
+      -CONTROL_FREQUENCY * CONTROL_FREQUENCY * error - 2 * CONTROL_DAMPING * CONTROL_FREQUENCY * relativeRate;
+    const desiredMoment = params.pitchInertia * desiredAcceleration - bodyMoment - dampingMoment;
+    const { forward, aft } = autoFlapDeployment(desiredMoment, perUnitArea, params);
+    flapDeflections = [Math.asin(forward), Math.asin(forward), Math.asin(aft), Math.asin(aft)];
+  }
+  const [fl, fr, al, ar] = flapDeflections.map(Math.sin);
+  const forwardExposure = params.forwardFlapArea * (fl + fr);
+  const aftExposure = params.aftFlapArea * (al + ar);
+
+  const flapMoment =
+    qbar * params.flapNormalCoefficient * shape *
+    (forwardExposure * params.forwardFlapArm - aftExposure * params.aftFlapArm);
+  const CN = Cd * shape + (params.flapNormalCoefficient * shape * (forwardExposure + aftExposure)) / S;
+  // The axial force opposes the flow along the body, nose- or tail-first.
+  const CA = params.axialCoefficient * Math.sign(Math.cos(alpha));
+  return {
+    flow,
+    angleOfAttack: alpha,
+    liftCoefficient: CN * Math.cos(alpha) - CA * Math.sin(alpha),
+    dragCoefficient: CN * Math.sin(alpha) + CA * Math.cos(alpha),
+    pitchMoment: bodyMoment + dampingMoment + flapMoment,
+    flapDeflections,
+    // Windward centreline heating of a swept cylinder, q ~ cos^1.2(sweep),
+    // with sweep = 90° - alpha.
+    windwardHeatingFactor: Math.pow(Math.abs(Math.sin(alpha)), 1.2),
+  };
+}
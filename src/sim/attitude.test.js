@@ -0,0 +1,32 @@
+import { runSimulation } from './engine.js';
+import { targetAngleOfAttack } from './attitude.js';
+import { VEHICLE_PRESETS, validateVehicle, vehicleToParams } from './vehicles.js';
+
+const DEG = Math.PI / 180;
+
+test('the flap controller flies the belly-flop angle-of-attack profile', () => {
+  const history = runSimulation({ maxTime: 3600 });
+  for (const s of history.filter((_, i) => i % 100 === 0)) {
+    if (s.altitude < 1000) continue;
+    expect(Math.abs(s.angleOfAttack - targetAngleOfAttack(s.altitude))).toBeLessThan(3 * DEG);
+  }
+  const end = history[history.length - 1];
+  expect(end.angleOfAttack).toBeCloseTo(90 * DEG, 1);
+});
+
+test('manual flaps move the trim angle of attack', () => {
+  const aftHeavy = [10 * DEG, 10 * DEG, 80 * DEG, 80 * DEG];
+  const forwardHeavy = [80 * DEG, 80 * DEG, 10 * DEG, 10 * DEG];
+  const run = (flapDeflections) =>
+    runSimulation({ params: { flapMode: 'manual', flapDeflections }, maxTime: 400 }).pop();
+  expect(run(forwardHeavy).angleOfAttack).toBeGreaterThan(run(aftHeavy).angleOfAttack);
+});
+
+test('vehicles without attitude dynamics hold their trim angle of attack', () => {
+  const params = vehicleToParams(validateVehicle(VEHICLE_PRESETS.orion));
+  const history = runSimulation({ params, maxTime: 300 });
+  for (const s of history) {
+    expect(s.angleOfAttack).toBeCloseTo(17 * DEG, 9);
+    expect(s.pitch - s.flightPathAngle).toBeCloseTo(17 * DEG, 6);
+  }
+});
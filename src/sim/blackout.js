@@ -0,0 +1,135 @@
+// src/sim/blackout.js
+
+/**
+ * Radio blackout model.
+ *
+ * The shock layer is ionised. A radio wave cannot get through a plasma
+ * whose electron plasma frequency
+ *
+ *   f_pe = 8.98 * sqrt(n_e)   (Hz, n_e in electrons/m³)
+ *
+ * is above the wave's frequency, so a link blacks out while f_pe > f.
+ *
+ * Electron density comes from the Saha equation for nitric oxide, the
+ * first species to ionise in hot air (9.26 eV), at the post-shock
+ * temperature and density:
+ *
+ *   n_e² / (n_NO - n_e) = 2.415e21 * T^1.5 * exp(-E_i / kT)
+ *
+ * with n_NO a fixed 5 % of the post-shock number density. This gives the
+ * peak density in the stagnation region, which is the conservative case:
+ * antennas in the wake see less.
+ *
+ * A magnetic field opens a window: a right-hand polarised wave travelling
+ * along the field propagates (as a whistler) whatever the density, as long
+ * as its frequency is below the electron cyclotron frequency
+ *
+ *   f_ce = 2.8e10 * B   (Hz, B in T).
+ *
+ * The field in the shock layer is taken to be the magnet field, as in
+ * mhd.js. Collisions, which damp the wave, are neglected.
+ */
+
+import { shockDensityRatio } from './mhd.js';
+
+const SAHA_CONSTANT = 2.415e21; // m^-3 K^-1.5
+const NO_IONIZATION_ENERGY = 9.26; // eV
+const BOLTZMANN_EV = 8.617333e-5; // eV/K
+const NO_FRACTION = 0.05;
+const AIR_MOLECULE_MASS = 28.96 * 1.66054e-27; // kg
+
+const PLASMA_FREQUENCY_COEFFICIENT = 8.98; // Hz per sqrt(electrons/m³)
+const CYCLOTRON_FREQUENCY_PER_TESLA = 2.8e10; // Hz/T
+
+/**
+ * Radio links to check, by carrier frequency (Hz).
+ */
+export const LINK_BANDS = {
+  sBand: { label: 'S-band', frequency: 2.2e9 },
+  kuBand: { label: 'Ku-band (TDRSS)', frequency: 13.8e9 },
+  starlink: { label: 'Starlink', frequency: 11.7e9 },
+};
+
+/**
+ * Equilibrium electron density (electrons/m³) of air at the given density
+ * (kg/m³) and temperature (K).
+ */
+export function electronDensity(density, temperature) {
+  if (density <= 0 || temperature <= 0) return 0;
+  const neutrals = NO_FRACTION * (density / AIR_MOLECULE_MASS);
+  const saha = SAHA_CONSTANT * Math.pow(temperature, 1.5) * Math.exp(-NO_IONIZATION_ENERGY / (BOLTZMANN_EV * temperature));
+  // Positive root of n_e² + S n_e - S n_NO = 0.
+  return (2 * saha * neutrals) / (saha + Math.sqrt(saha * saha + 4 * saha * neutrals));
+}
+
+export const plasmaFrequency = (electrons) => PLASMA_FREQUENCY_COEFFICIENT * Math.sqrt(electrons);
+
+export const cyclotronFrequency = (field) => CYCLOTRON_FREQUENCY_PER_TESLA * Math.abs(field);
+
+/**
+ * Smallest magnet field (T) whose whistler window covers a link frequency.
+ */
+export const windowField = (frequency) => frequency / CYCLOTRON_FREQUENCY_PER_TESLA;
+
+/**
+ * Shock-layer plasma for one flight condition: freestream density (kg/m³),
+ * speed (m/s), post-shock temperature (K) and field (T). Returns electron
+ * density, plasma frequency and electron cyclotron frequency.
+ */
+export function shockLayerPlasma(density, speed, shockTemperature, field) {
+  const electrons = electronDensity(density / shockDensityRatio(speed), shockTemperature);
+  return {
+    electronDensity: electrons,
+    plasmaFrequency: plasmaFrequency(electrons),
+    cyclotronFrequency: cyclotronFrequency(field),
+  };
+}
+
+/**
+ * Whether a link at the given frequency (Hz) is blacked out in a state.
+ * field (T) overrides the state's magnet field, to ask what another
+ * setting would have done for the same flight (the field does not change
+ * the trajectory or the shock temperature).
+ */
+export function isBlackedOut(state, frequency, field) {
+  const fce = field === undefined ? state.cyclotronFrequency : cyclotronFrequency(field);
+  return state.plasmaFrequency > frequency && !(fce > frequency);
+}
+
+/**
+ * Blackout periods of each link over recorded states (oldest first):
+ * { [bandId]: [{ start, end }] } in sim time. A period still going at the
+ * last state ends there.
+ */
+export function blackoutIntervals(states, bands = LINK_BANDS) {
+  const result = {};
+  Object.entries(bands).forEach(([id, { frequency }]) => {
+    const intervals = [];
+    let open = null;
+    states.forEach((state) => {
+      const out = isBlackedOut(state, frequency);
+      if (out && !open) {
+        open = { start: state.time, end: state.time };
+        intervals.push(open);
+      } else if (out) {
+        open.end = state.time;
+      } else {
+        open = null;
+      }
+    });
+    result[id] = intervals;
+  });
+  return result;
+}
+
+/**
+ * Total blackout time (s) of a link at the given frequency over recorded
+ * states, optionally with the magnet field fixed at field (T).
+ */
+export function blackoutDuration(states, frequency, field) {
+  let total = 0;
+  for (let i = 1; i < states.length; i++) {
+    if (isBlackedOut(states[i], frequency, field)) total += states[i].time - states[i - 1].time;
+  }
+  return total;
+}
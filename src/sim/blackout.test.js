@@ -0,0 +1,60 @@
+import {
+  electronDensity,
+  plasmaFrequency,
+  cyclotronFrequency,
+  windowField,
+  isBlackedOut,
+  blackoutIntervals,
+  blackoutDuration,
+  LINK_BANDS,
+} from './blackout.js';
+import { runSimulation } from './engine.js';
+
+test('electron density climbs steeply with temperature', () => {
+  // Far too few to stop even S-band (critical density ~6e16).
+  expect(electronDensity(1e-3, 2000)).toBeLessThan(1e13);
+  const warm = electronDensity(1e-3, 4000);
+  const hot = electronDensity(1e-3, 6000);
+  expect(hot / warm).toBeGreaterThan(100);
+  // Never more electrons than NO molecules to ionise.
+  expect(electronDensity(1e-3, 50000)).toBeLessThan(0.05 * (1e-3 / (28.96 * 1.66054e-27)) * 1.0001);
+  expect(electronDensity(0, 6000)).toBe(0);
+});
+
+test('plasma and cyclotron frequencies', () => {
+  // 6e16 electrons/m³ is the S-band critical density.
+  expect(plasmaFrequency(6e16) / 1e9).toBeCloseTo(2.2, 1);
+  expect(cyclotronFrequency(1)).toBe(2.8e10);
+  expect(windowField(2.8e9)).toBeCloseTo(0.1, 12);
+});
+
+test('a link is out while the plasma frequency is above it, unless the magnet opens a window', () => {
+  const state = { plasmaFrequency: 5e9, cyclotronFrequency: 0 };
+  expect(isBlackedOut(state, 2.2e9)).toBe(true);
+  expect(isBlackedOut(state, 12e9)).toBe(false);
+  expect(isBlackedOut({ ...state, cyclotronFrequency: 3e9 }, 2.2e9)).toBe(false);
+  expect(isBlackedOut(state, 2.2e9, 0.1)).toBe(false);
+  expect(isBlackedOut(state, 2.2e9, 0.05)).toBe(true);
+});
+
+test('blackout periods and durations over a run', () => {
+  const states = [0, 1, 2, 3, 4, 5].map((time) => ({
+    time,
+    plasmaFrequency: [1e9, 3e9, 3e9, 1e9, 3e9, 3e9][time],
+    cyclotronFrequency: 0,
+  }));
+  const { sBand } = blackoutIntervals(states, { sBand: LINK_BANDS.sBand });
+  expect(sBand).toEqual([{ start: 1, end: 2 }, { start: 4, end: 5 }]);
+  expect(blackoutDuration(states, 2.2e9)).toBe(4);
+  expect(blackoutDuration(states, 2.2e9, 0.1)).toBe(0);
+});
+
+test('the magnet shortens blackout on a flown entry', () => {
+  const states = runSimulation({ dt: 2 });
+  const { frequency } = LINK_BANDS.kuBand;
+  const off = blackoutDuration(states, frequency, 0);
+  expect(off).toBeGreaterThan(300);
+  expect(blackoutDuration(states, frequency, windowField(frequency) * 1.01)).toBe(0);
+  // Lower frequency links stay out longer.
+  expect(blackoutDuration(states, LINK_BANDS.sBand.frequency, 0)).toBeGreaterThan(off);
+});
@@ -0,0 +1,210 @@
+// src/sim/clock.js
+
+/**
+ * Simulation clock.
+ *
+ * Sits between the render loop and the engine: it decides how much sim
+ * time each frame is worth (play/pause and time warp), records a snapshot
+ * after every engine step, and lets the view move to any recorded instant.
+ *
+ * Moving back in time only changes what is shown until the run resumes.
+ * Playing or stepping from an earlier instant rewinds the engine to it and
+ * discards the recorded future, so the run is re-flown from there with
+ * whatever settings are current.
+ *
+ * The recorded states double as the run's telemetry (see telemetry.js), and
+ * a replay clock plays a loaded recording back through the same interface.
+ */
+
+export const TIME_WARPS = [1, 2, 5, 10, 50, 100, 1000];
+
+// Index of the last state at or before time (the first state if none is).
+function indexAtTime(states, time) {
+  let lo = 0;
+  let hi = states.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (states[mid].time <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// States up to and including cursor, thinned to about maxPoints evenly
+// spaced states that always keep the one at cursor.
+function historyUpTo(states, cursor, maxPoints) {
+  const count = cursor + 1;
+  if (count <= maxPoints) return states.slice(0, count);
+  const stride = Math.ceil(count / maxPoints);
+  const thinned = [];
+  for (let i = 0; i < cursor; i += stride) thinned.push(states[i]);
+  thinned.push(states[cursor]);
+  return thinned;
+}
+
+export function createSimulationClock(engine, options = {}) {
+  let playing = options.playing ?? true;
+  let warp = options.warp ?? 1;
+  let snapshots = [engine.snapshot()];
+  let states = [engine.getState()];
+  let cursor = 0;
+
+  const record = () => {
+    snapshots.push(engine.snapshot());
+    states.push(engine.getState());
+    cursor = states.length - 1;
+  };
+
+  // Called before the engine moves: if the view is in the past, rewind the
+  // engine to it and drop everything recorded after it.
+  const branchFromCursor = () => {
+    if (cursor < states.length - 1) {
+      engine.restore(snapshots[cursor]);
+      snapshots = snapshots.slice(0, cursor + 1);
+      states = states.slice(0, cursor + 1);
+    }
+  };
+
+  /**
+   * Advances by one rendered frame of wallDelta seconds. Returns the new
+   * current state, or null if nothing changed.
+   */
+  function tick(wallDelta) {
+    if (!playing) return null;
+    branchFromCursor();
+    if (engine.isFinished()) return null;
+    const steps = engine.advance(wallDelta * warp, record);
+    return steps > 0 ? states[cursor] : null;
+  }
+
+  /**
+   * Takes exactly one engine step, whether playing or paused.
+   */
+  function stepOnce() {
+    branchFromCursor();
+    if (engine.isFinished()) return states[cursor];
+    engine.step();
+    record();
+    return states[cursor];
+  }
+
+  /**
+   * Moves the view to the last recorded instant at or before time.
+   */
+  function seek(time) {
+    cursor = indexAtTime(states, time);
+    return states[cursor];
+  }
+
+  /**
+   * States from the start of the run up to the instant being shown. With
+   * maxPoints, the history is thinned to about that many evenly spaced
+   * states, always keeping the current one, so plots stay cheap on long runs.
+   */
+  function getHistory(maxPoints = Infinity) {
+    return historyUpTo(states, cursor, maxPoints);
+  }
+
+  /**
+   * Restarts the run; nextInitialState is passed to engine.reset().
+   */
+  function reset(nextInitialState) {
+    engine.reset(nextInitialState);
+    snapshots = [engine.snapshot()];
+    states = [engine.getState()];
+    cursor = 0;
+    return states[0];
+  }
+
+  return {
+    tick,
+    stepOnce,
+    seek,
+    reset,
+    play: () => {
+      playing = true;
+    },
+    pause: () => {
+      playing = false;
+    },
+    isPlaying: () => playing,
+    setWarp: (value) => {
+      warp = value;
+    },
+    getWarp: () => warp,
+    getState: () => states[cursor],
+    // Whether the run is over (landed or out of time), so nothing more will
+    // be recorded unless it is re-flown from an earlier instant.
+    isFinished: () => engine.isFinished(),
+    getHistory,
+    // Every recorded state, including any ahead of the instant being shown.
+    getRecording: () => states.slice(),
+    // Sim time of the first, shown and last recorded instants.
+    getTimeline: () => ({
+      start: states[0].time,
+      current: states[cursor].time,
+      end: states[states.length - 1].time,
+    }),
+  };
+}
+
+/**
+ * Plays back a recorded list of states (e.g. from parseTelemetry) with the
+ * same interface as createSimulationClock. Nothing is simulated: play and
+ * time warp move a playhead through the recording, and reset rewinds it.
+ */
+export function createReplayClock(states, options = {}) {
+  if (states.length === 0) {
+    throw new Error('A replay needs at least one recorded state');
+  }
+  let playing = options.playing ?? true;
+  let warp = options.warp ?? 1;
+  let cursor = 0;
+  // Sim time the playhead has reached; kept apart from the cursor so frames
+  // shorter than a recorded step still add up.
+  let playhead = states[0].time;
+  const last = states.length - 1;
+
+  function moveTo(index) {
+    cursor = index;
+    playhead = states[cursor].time;
+    return states[cursor];
+  }
+
+  function tick(wallDelta) {
+    if (!playing || cursor === last) return null;
+    playhead += wallDelta * warp;
+    const next = indexAtTime(states, playhead);
+    if (next === cursor) return null;
+    cursor = next;
+    return states[cursor];
+  }
+
+  return {
+    tick,
+    stepOnce: () => moveTo(Math.min(cursor + 1, last)),
+    seek: (time) => moveTo(indexAtTime(states, time)),
+    reset: () => moveTo(0),
+    play: () => {
+      playing = true;
+    },
+    pause: () => {
+      playing = false;
+    },
+    isPlaying: () => playing,
+    setWarp: (value) => {
+      warp = value;
+    },
+    getWarp: () => warp,
+    getState: () => states[cursor],
+    // A recording never grows.
+    isFinished: () => true,
+    getHistory: (maxPoints = Infinity) => historyUpTo(states, cursor, maxPoints),
+    getRecording: () => states.slice(),
+    getTimeline: () => ({
+      start: states[0].time,
+      current: states[cursor].time,
+      end: states[last].time,
+    }),
+  };
+}
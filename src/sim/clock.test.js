@@ -0,0 +1,68 @@
+import { createReentryEngine } from './engine.js';
+import { createSimulationClock } from './clock.js';
+
+test('time warp scales how much sim time a frame is worth', () => {
+  const clock = createSimulationClock(createReentryEngine());
+  clock.setWarp(100);
+  clock.tick(0.5);
+  expect(clock.getState().time).toBeCloseTo(50, 6);
+});
+
+test('a paused clock only moves on single steps', () => {
+  const engine = createReentryEngine();
+  const clock = createSimulationClock(engine, { playing: false });
+  expect(clock.tick(1)).toBeNull();
+  clock.stepOnce();
+  expect(clock.getState().time).toBeCloseTo(engine.dt, 9);
+});
+
+test('scrubbing back shows the recorded instant and keeps the future until resumed', () => {
+  const clock = createSimulationClock(createReentryEngine());
+  clock.setWarp(10);
+  for (let i = 0; i < 20; i++) clock.tick(0.5);
+  const end = clock.getTimeline().end;
+  const earlier = clock.seek(30);
+  expect(earlier.time).toBeCloseTo(30, 6);
+  expect(clock.getHistory()[clock.getHistory().length - 1]).toBe(earlier);
+  expect(clock.getTimeline().end).toBe(end);
+  // Going forward again returns the originally recorded state.
+  expect(clock.seek(end).time).toBe(end);
+});
+
+test('resuming from an earlier instant re-flies the same trajectory', () => {
+  const clock = createSimulationClock(createReentryEngine());
+  clock.setWarp(10);
+  for (let i = 0; i < 20; i++) clock.tick(0.5);
+  const original = clock.getState();
+  clock.seek(30);
+  clock.setWarp(1);
+  clock.tick(original.time - 30 + 1e-9);
+  expect(clock.getState().time).toBeCloseTo(original.time, 6);
+  expect(clock.getState().altitude).toBeCloseTo(original.altitude, 6);
+  expect(clock.getState().heatLoad).toBeCloseTo(original.heatLoad, 3);
+});
+
+test('playing from before the end of a finished run re-flies it', () => {
+  const clock = createSimulationClock(createReentryEngine({ maxTime: 60 }));
+  clock.setWarp(100);
+  clock.tick(1);
+  expect(clock.getState().time).toBeCloseTo(60, 6);
+  expect(clock.tick(1)).toBeNull();
+  expect(clock.isFinished()).toBe(true);
+  clock.seek(30);
+  clock.setWarp(10);
+  expect(clock.tick(1).time).toBeCloseTo(40, 6);
+  expect(clock.getTimeline().end).toBeCloseTo(40, 6);
+});
+
+test('history can be thinned for plotting and always ends at the shown instant', () => {
+  const clock = createSimulationClock(createReentryEngine());
+  clock.setWarp(100);
+  clock.tick(1);
+  const full = clock.getHistory();
+  const thinned = clock.getHistory(100);
+  expect(full.length).toBe(2001);
+  expect(thinned.length).toBeLessThanOrEqual(101);
+  expect(thinned[0]).toBe(full[0]);
+  expect(thinned[thinned.length - 1]).toBe(full[full.length - 1]);
+});
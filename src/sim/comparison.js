@@ -0,0 +1,104 @@
+// src/sim/comparison.js
+
+/**
+ * Comparison runs.
+ *
+ * Several configurations (e.g. magnet off and on, or two vehicles) fly the
+ * same entry side by side. Each has its own engine and simulation clock;
+ * a clock group drives them together so play, warp, single-step, scrub and
+ * restart act on every run at once. When the runs are over, each is
+ * summarized and compared against the first.
+ */
+
+/**
+ * Wraps several simulation clocks behind the single-clock interface. The
+ * first clock is the primary run: getState() and getHistory() report it,
+ * while the timeline spans every run, since they can land at different times.
+ */
+export function createClockGroup(clocks) {
+  const [primary] = clocks;
+  return {
+    // Returns the primary state if any run moved, so the view refreshes
+    // while slower runs are still flying after the primary has landed.
+    tick: (wallDelta) => {
+      const advanced = clocks.map((clock) => clock.tick(wallDelta));
+      return advanced.some(Boolean) ? primary.getState() : null;
+    },
+    stepOnce: () => {
+      clocks.forEach((clock) => clock.stepOnce());
+      return primary.getState();
+    },
+    seek: (time) => {
+      clocks.forEach((clock) => clock.seek(time));
+      return primary.getState();
+    },
+    reset: (nextInitialState) => {
+      clocks.forEach((clock) => clock.reset(nextInitialState));
+      return primary.getState();
+    },
+    play: () => clocks.forEach((clock) => clock.play()),
+    pause: () => clocks.forEach((clock) => clock.pause()),
+    isPlaying: () => primary.isPlaying(),
+    setWarp: (value) => clocks.forEach((clock) => clock.setWarp(value)),
+    getWarp: () => primary.getWarp(),
+    getState: () => primary.getState(),
+    isFinished: () => clocks.every((clock) => clock.isFinished()),
+    getHistory: (maxPoints) => primary.getHistory(maxPoints),
+    getRecording: () => primary.getRecording(),
+    getTimeline: () => {
+      const timelines = clocks.map((clock) => clock.getTimeline());
+      return {
+        start: Math.min(...timelines.map((t) => t.start)),
+        current: timelines[0].current,
+        end: Math.max(...timelines.map((t) => t.end)),
+      };
+    },
+  };
+}
+
+/**
+ * Headline results of a run, for the comparison summary.
+ */
+export const RUN_SUMMARY_METRICS = {
+  peakHeatFlux: { label: 'Peak heat flux at tiles', unit: 'W/m²' },
+  heatLoad: { label: 'Heat load', unit: 'J/m²' },
+  tileCapacityUsed: { label: 'Tile capacity used', unit: '%' },
+  peakSurfaceTemperature: { label: 'Peak surface temperature', unit: 'K' },
+  magnetEnergy: { label: 'Coil energy', unit: 'J' },
+  flightTime: { label: 'Flight time', unit: 's' },
+  downrange: { label: 'Downrange', unit: 'm' },
+};
+
+/**
+ * Summarizes a run from its recorded states (oldest first).
+ */
+export function summarizeRun(states) {
+  const last = states[states.length - 1];
+  return {
+    peakHeatFlux: states.reduce((peak, s) => Math.max(peak, s.effectiveHeatFlux), 0),
+    heatLoad: last.heatLoad,
+    tileCapacityUsed: last.tileCapacityUsed,
+    peakSurfaceTemperature: last.layerPeakTemperatures[0],
+    magnetEnergy: last.magnetEnergy,
+    flightTime: last.time,
+    downrange: last.downrange,
+    tileFailed: last.tileFailed,
+  };
+}
+
+/**
+ * Differences of a run summary from the baseline: for every metric,
+ * { value, delta, percent }. percent is null when the baseline is zero.
+ */
+export function compareRuns(baseline, run) {
+  const rows = {};
+  Object.keys(RUN_SUMMARY_METRICS).forEach((key) => {
+    const delta = run[key] - baseline[key];
+    rows[key] = {
+      value: run[key],
+      delta,
+      percent: baseline[key] !== 0 ? (delta / Math.abs(baseline[key])) * 100 : null,
+    };
+  });
+  return rows;
+}
@@ -0,0 +1,49 @@
+import { createReentryEngine } from './engine.js';
+import { createSimulationClock } from './clock.js';
+import { createClockGroup, summarizeRun, compareRuns } from './comparison.js';
+
+function group(...magnetPowers) {
+  const clocks = magnetPowers.map((magnetPower) =>
+    createSimulationClock(createReentryEngine({ magnetPower, dt: 0.5 }))
+  );
+  return { clocks, group: createClockGroup(clocks) };
+}
+
+test('a clock group moves every run together', () => {
+  const { clocks, group: runs } = group(0, 2);
+  runs.setWarp(100);
+  runs.tick(1);
+  expect(clocks.map((c) => c.getState().time)).toEqual([100, 100]);
+  runs.seek(40);
+  expect(clocks.map((c) => c.getState().time)).toEqual([40, 40]);
+  runs.pause();
+  expect(runs.tick(1)).toBeNull();
+  runs.stepOnce();
+  expect(clocks.map((c) => c.getState().time)).toEqual([40.5, 40.5]);
+  expect(runs.reset().time).toBe(0);
+  expect(clocks[1].getState().time).toBe(0);
+});
+
+test('a clock group is finished once every run is over', () => {
+  const clocks = [50, 100].map((maxTime) => createSimulationClock(createReentryEngine({ maxTime, dt: 0.5 })));
+  const runs = createClockGroup(clocks);
+  runs.setWarp(60);
+  runs.tick(1);
+  expect(clocks.map((c) => c.isFinished())).toEqual([true, false]);
+  expect(runs.isFinished()).toBe(false);
+  runs.tick(1);
+  expect(runs.isFinished()).toBe(true);
+});
+
+test('the magnet cuts heating and costs energy relative to the baseline', () => {
+  const { clocks, group: runs } = group(0, 2);
+  runs.setWarp(400);
+  runs.tick(1);
+  const [baseline, magnet] = clocks.map((c) => summarizeRun(c.getRecording()));
+  const rows = compareRuns(baseline, magnet);
+  expect(rows.peakHeatFlux.delta).toBeLessThan(0);
+  expect(rows.heatLoad.percent).toBeLessThan(0);
+  expect(rows.magnetEnergy.delta).toBeGreaterThan(0);
+  expect(rows.magnetEnergy.percent).toBeNull();
+  expect(rows.flightTime.delta).toBe(0);
+});
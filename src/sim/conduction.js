@@ -0,0 +1,222 @@
+// src/sim/conduction.js
+
+/**
+ * Transient 1D through-thickness conduction in the heat shield stack.
+ *
+ * The stack (outer tile, strain-isolation felt, steel skin) is split into
+ * finite-volume cells and advanced with backward Euler, which stays stable
+ * at the engine's timestep no matter how thin the cells are. Conductivity
+ * and specific heat are evaluated at the start of each step. The outer
+ * face takes the incoming heat flux and re-radiates to the surroundings
+ * (the radiation term is linearised about the previous temperature); the
+ * inner face of the steel is adiabatic, the conservative assumption for
+ * the structure.
+ */
+
+const STEFAN_BOLTZMANN = 5.670374419e-8; // W/(m^2 K^4)
+
+/**
+ * Material properties. k and cp are [temperature (K), value] tables,
+ * interpolated linearly and held constant beyond their ends.
+ * maxTemperature is the limit above which the layer is considered failed.
+ */
+export const MATERIALS = {
+  tile: {
+    label: 'Silica tile',
+    density: 144, // kg/m^3
+    k: [[300, 0.05], [500, 0.06], [800, 0.08], [1100, 0.11], [1400, 0.16], [1700, 0.22]], // W/(m K)
+    cp: [[300, 630], [500, 900], [800, 1100], [1100, 1200], [1700, 1260]], // J/(kg K)
+    emissivity: 0.85,
+    maxTemperature: 1755, // K, single-mission limit
+  },
+  felt: {
+    label: 'Strain-isolation felt',
+    density: 88,
+    k: [[300, 0.035], [450, 0.05], [600, 0.07]],
+    cp: [[300, 1200], [450, 1450], [600, 1700]],
+    emissivity: 0.8,
+    maxTemperature: 560,
+  },
+  pica: {
+    label: 'PICA ablator',
+    density: 270,
+    k: [[300, 0.2], [800, 0.3], [1500, 0.5], [2500, 0.9]],
+    cp: [[300, 900], [800, 1600], [1500, 2000], [2500, 2200]],
+    emissivity: 0.9,
+    maxTemperature: 3000,
+  },
+  avcoat: {
+    label: 'Avcoat ablator',
+    density: 512,
+    k: [[300, 0.23], [800, 0.35], [1500, 0.55], [2500, 1.0]],
+    cp: [[300, 1000], [800, 1500], [1500, 1900], [2500, 2100]],
+    emissivity: 0.9,
+    maxTemperature: 3000,
+  },
+  aluminum: {
+    label: 'Aluminium structure',
+    density: 2780,
+    k: [[300, 121], [400, 137], [500, 150]],
+    cp: [[300, 875], [400, 925], [500, 980]],
+    emissivity: 0.3,
+    maxTemperature: 450,
+  },
+  steel: {
+    label: '304L steel skin',
+    density: 7900,
+    k: [[300, 14.9], [400, 16.6], [600, 19.8], [800, 22.6], [1000, 25.4]],
+    cp: [[300, 477], [400, 515], [600, 557], [800, 582], [1000, 611]],
+    emissivity: 0.6,
+    maxTemperature: 800,
+  },
+};
+
+// Outer layer first. thickness in meters.
+export const DEFAULT_HEAT_SHIELD_STACK = [
+  { material: 'tile', thickness: 0.04, cells: 12 },
+  { material: 'felt', thickness: 0.005, cells: 3 },
+  { material: 'steel', thickness: 0.004, cells: 3 },
+];
+
+function interpolate(table, T) {
+  if (T <= table[0][0]) return table[0][1];
+  const last = table[table.length - 1];
+  if (T >= last[0]) return last[1];
+  let i = 0;
+  while (T > table[i + 1][0]) i++;
+  const [T0, v0] = table[i];
+  const [T1, v1] = table[i + 1];
+  return v0 + ((T - T0) / (T1 - T0)) * (v1 - v0);
+}
+
+/**
+ * Builds the cell layout and the initial (uniform) temperature field.
+ */
+export function createThermalModel(stack = DEFAULT_HEAT_SHIELD_STACK, initialTemperature = 300) {
+  const cells = [];
+  let depth = 0;
+  stack.forEach((layer, layerIndex) => {
+    const material = MATERIALS[layer.material];
+    if (!material) {
+      throw new Error(`Unknown heat shield material: ${layer.material}`);
+    }
+    const dx = layer.thickness / layer.cells;
+    for (let i = 0; i < layer.cells; i++) {
+      cells.push({ layerIndex, material, dx, depth: depth + dx * (i + 0.5) });
+    }
+    depth += layer.thickness;
+  });
+  const layers = stack.map((layer) => ({
+    ...layer,
+    label: MATERIALS[layer.material].label,
+    maxTemperature: MATERIALS[layer.material].maxTemperature,
+  }));
+  return {
+    cells,
+    layers,
+    temperatures: cells.map(() => initialTemperature),
+    layerPeaks: layers.map(() => initialTemperature),
+    layerFailures: [], // { layer, time, temperature } when a layer first passes its limit
+  };
+}
+
+// Thomas algorithm for a tridiagonal system a[i] x[i-1] + b[i] x[i] + c[i] x[i+1] = d[i].
+function solveTridiagonal(a, b, c, d) {
+  const n = d.length;
+  const cp = new Array(n);
+  const dp = new Array(n);
+  cp[0] = c[0] / b[0];
+  dp[0] = d[0] / b[0];
+  for (let i = 1; i < n; i++) {
+    const m = b[i] - a[i] * cp[i - 1];
+    cp[i] = c[i] / m;
+    dp[i] = (d[i] - a[i] * dp[i - 1]) / m;
+  }
+  const x = new Array(n);
+  x[n - 1] = dp[n - 1];
+  for (let i = n - 2; i >= 0; i--) {
+    x[i] = dp[i] - cp[i] * x[i + 1];
+  }
+  return x;
+}
+
+/**
+ * Advances the temperature field by dt seconds.
+ *
+ * heatFlux            incoming heat flux on the outer face (W/m²)
+ * sinkTemperature     temperature the outer face radiates to (K)
+ * time                sim time at the end of the step, used to stamp failures
+ *
+ * Returns a new model object.
+ */
+export function stepThermalModel(model, heatFlux, dt, sinkTemperature = 300, time = 0) {
+  const { cells, layers } = model;
+  const T = model.temperatures;
+  const n = cells.length;
+  const k = cells.map((cell, i) => interpolate(cell.material.k, T[i]));
+  const capacity = cells.map(
+    (cell, i) => cell.material.density * interpolate(cell.material.cp, T[i]) * cell.dx
+  );
+  // Conductance between cell i and i + 1 (series resistance of the two half cells).
+  const conductance = [];
+  for (let i = 0; i < n - 1; i++) {
+    conductance.push(1 / (cells[i].dx / (2 * k[i]) + cells[i + 1].dx / (2 * k[i + 1])));
+  }
+
+  const a = new Array(n).fill(0);
+  const b = new Array(n).fill(0);
+  const c = new Array(n).fill(0);
+  const d = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    b[i] = capacity[i] / dt;
+    d[i] = (capacity[i] / dt) * T[i];
+    if (i > 0) {
+      a[i] = -conductance[i - 1];
+      b[i] += conductance[i - 1];
+    }
+    if (i < n - 1) {
+      c[i] = -conductance[i];
+      b[i] += conductance[i];
+    }
+  }
+  // Outer face: incoming flux minus re-radiation, eps*sigma*(T^4 - Tsink^4),
+  // with T^4 linearised as 4 T0^3 T - 3 T0^4.
+  const es = cells[0].material.emissivity * STEFAN_BOLTZMANN;
+  const T0 = T[0];
+  b[0] += 4 * es * T0 ** 3;
+  d[0] += heatFlux + 3 * es * T0 ** 4 + es * sinkTemperature ** 4;
+
+  const temperatures = solveTridiagonal(a, b, c, d);
+
+  const layerPeaks = model.layerPeaks.slice();
+  temperatures.forEach((temperature, i) => {
+    const layerIndex = cells[i].layerIndex;
+    layerPeaks[layerIndex] = Math.max(layerPeaks[layerIndex], temperature);
+  });
+  let layerFailures = model.layerFailures;
+  layers.forEach((layer, layerIndex) => {
+    const failed = layerFailures.some((f) => f.layer === layerIndex);
+    if (!failed && layerPeaks[layerIndex] > layer.maxTemperature) {
+      layerFailures = [
+        ...layerFailures,
+        { layer: layerIndex, label: layer.label, time, temperature: layerPeaks[layerIndex] },
+      ];
+    }
+  });
+
+  return { ...model, temperatures, layerPeaks, layerFailures };
+}
+
+/**
+ * Values the engine merges into its reported state.
+ */
+export function thermalOutputs(model) {
+  const T = model.temperatures;
+  return {
+    surfaceTemperature: T[0],
+    backfaceTemperature: T[T.length - 1],
+    temperatureProfile: T,
+    layerPeakTemperatures: model.layerPeaks,
+    layerFailures: model.layerFailures,
+  };
+}
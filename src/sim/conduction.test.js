@@ -0,0 +1,27 @@
+import { createThermalModel, stepThermalModel, MATERIALS } from './conduction.js';
+
+test('a heated stack is hottest at the surface and cools toward the skin', () => {
+  let model = createThermalModel();
+  for (let i = 0; i < 200; i++) model = stepThermalModel(model, 2e5, 0.5, 300, i * 0.5);
+  const T = model.temperatures;
+  expect(T[0]).toBeGreaterThan(1000);
+  for (let i = 1; i < T.length; i++) expect(T[i]).toBeLessThanOrEqual(T[i - 1] + 1e-9);
+  expect(T[T.length - 1]).toBeLessThan(T[0]);
+});
+
+test('an insulated surface approaches radiative equilibrium', () => {
+  const q = 1e5;
+  let model = createThermalModel([{ material: 'tile', thickness: 0.01, cells: 5 }]);
+  for (let i = 0; i < 5000; i++) model = stepThermalModel(model, q, 1, 0);
+  const equilibrium = Math.pow(q / (MATERIALS.tile.emissivity * 5.670374419e-8), 0.25);
+  expect(model.temperatures[0]).toBeCloseTo(equilibrium, 0);
+});
+
+test('records the first time a layer passes its limit', () => {
+  let model = createThermalModel();
+  for (let i = 1; i <= 100; i++) model = stepThermalModel(model, 1e6, 1, 300, i);
+  const tileFailure = model.layerFailures.find((f) => f.label === MATERIALS.tile.label);
+  expect(tileFailure).toBeDefined();
+  expect(tileFailure.temperature).toBeGreaterThan(MATERIALS.tile.maxTemperature);
+  expect(model.layerFailures.filter((f) => f.layer === tileFailure.layer)).toHaveLength(1);
+});
@@ -0,0 +1,229 @@
+// src/sim/dynamics.js
+import { atmosphereAt, DEFAULT_ATMOSPHERE } from './atmosphere.js';
+import { stagnationHeating } from './heating.js';
+import { mhdShockLayer, coilRequirements } from './mhd.js';
+import { shockLayerPlasma } from './blackout.js';
+import { aerodynamicLoads, withThrust } from './loads.js';
+import { aerodynamics } from './attitude.js';
+import { AERO_TABLES } from './aeroDatabase.js';
+
+/**
+ * Equations of motion for the reentry vehicle.
+ *
+ * A 3-DOF point-mass entry model over a spherical, rotating Earth: the
+ * standard (Vinh) entry equations in altitude, latitude, longitude, speed,
+ * flight-path angle and heading, with the Coriolis and centrifugal terms
+ * of Earth's rotation. Speed, flight-path angle and heading are relative
+ * to the rotating Earth; heading is the azimuth of the velocity, clockwise
+ * from north. The bank angle tilts the lift vector out of the vertical
+ * plane: cos(bank) of it lifts, sin(bank) of it turns the vehicle, to the
+ * right for a positive bank. The default entry flies due east along the
+ * equator, where with zero bank the equations reduce to planar flight.
+ * downrange is the distance flown along the ground track.
+ *
+ * Pitch attitude is integrated alongside the trajectory: pitch is measured
+ * from the local horizontal and pitchRate is the inertial body rate. Lift,
+ * drag and the pitch moment come from attitude.js. Engine thrust acts along
+ * the body axis; while the engines hold the attitude (the landing burn, see
+ * landing.js) pitch is set from outside and not integrated.
+ *
+ * The engine owns the time stepping; this module only describes the state
+ * vector and its derivatives.
+ */
+
+export const EARTH_RADIUS = 6371000; // m
+export const EARTH_MU = 3.986004418e14; // Gravitational parameter (m^3/s^2)
+export const EARTH_ROTATION_RATE = 7.2921159e-5; // rad/s
+
+// |cos(flight-path angle)| below which the path counts as vertical (~3°).
+const NEAR_VERTICAL = 0.05;
+
+export const DEFAULT_PARAMS = {
+  atmosphere: DEFAULT_ATMOSPHERE, // Key into ATMOSPHERE_MODELS
+  rho0: 1.225, // Sea-level density (kg/m^3), exponential model only
+  scaleHeight: 8400, // Scale height (m), exponential model only
+  densityScale: 1, // Multiplier on model density (dispersion studies)
+  Cd: 0.81, // Drag coefficient (broadside, when attitude dynamics are enabled)
+  referenceArea: 50 * 10, // Frontal area (m^2) for a 50 m x 10 m face
+  referenceLength: 50, // Body length (m) for the pitch damping moment
+  mass: 2e5, // Vehicle mass (kg)
+  liftToDrag: 0.3, // Lift-to-drag ratio, when attitude dynamics are disabled
+  aeroTable: AERO_TABLES.slenderBody.points, // [mach, dragRatio, liftRatio] rows scaling Cd and lift
+  freeMolecularCd: 2, // Drag coefficient in free-molecular flow
+  freeMolecularLiftToDrag: 0, // Lift-to-drag ratio in free-molecular flow, when attitude dynamics are disabled
+  trimAngleOfAttack: (70 * Math.PI) / 180, // rad, used when attitude dynamics are disabled
+  attitudeEnabled: true, // Integrate pitch dynamics and derive aero from angle of attack
+  pitchInertia: 4.2e7, // kg m^2
+  axialCoefficient: 0.05, // Axial force coefficient
+  cpOffset: 2, // Body centre of pressure ahead of the centre of gravity (m)
+  pitchDampingCoefficient: -0.3, // Cmq
+  forwardFlapArea: 25, // m^2 per forward flap
+  aftFlapArea: 45, // m^2 per aft flap
+  forwardFlapArm: 18, // Forward flap hinge ahead of the CG (m)
+  aftFlapArm: 20, // Aft flap hinge behind the CG (m)
+  flapNormalCoefficient: 1.5, // Normal force coefficient of a fully deployed flap
+  flapMode: 'auto', // 'auto' follows BELLY_FLOP_PROFILE, 'manual' uses flapDeflections
+  flapDeflections: [Math.PI / 6, Math.PI / 6, Math.PI / 6, Math.PI / 6], // rad: fwd L, fwd R, aft L, aft R
+  bankAngle: 0, // Bank angle (rad); 0 = lift straight up, positive rolls right
+  thrust: 0, // Engine thrust along the body axis (N)
+  pitchHeld: false, // The engines hold the pitch, so it is not integrated
+  rotatingEarth: true, // Include Coriolis and centrifugal terms
+  noseRadius: 4.5, // Effective nose radius (m) for stagnation-point heating
+  magnetCoilRadius: 4, // Radius of the nose magnet coil (m)
+  magnetConductor: 'hts', // Key into COIL_CONDUCTORS
+};
+
+// Order of the values in the integrator's state vector.
+// flightPathAngle, pitch, latitude, longitude and heading are in radians,
+// pitchRate in rad/s.
+export const STATE_KEYS = [
+  'altitude',
+  'downrange',
+  'speed',
+  'flightPathAngle',
+  'pitch',
+  'pitchRate',
+  'latitude',
+  'longitude',
+  'heading',
+];
+
+export function toVector(state) {
+  return STATE_KEYS.map((key) => state[key]);
+}
+
+export function fromVector(y) {
+  const state = {};
+  STATE_KEYS.forEach((key, i) => {
+    state[key] = y[i];
+  });
+  return state;
+}
+
+/**
+ * Inverse-square gravity at the given altitude (m/s^2).
+ */
+export function gravity(altitude) {
+  const r = EARTH_RADIUS + altitude;
+  return EARTH_MU / (r * r);
+}
+
+/**
+ * Returns d/dt of the state vector (see STATE_KEYS).
+ */
+export function derivatives(t, y, params) {
+  const [altitude, , speed, gamma, pitch, pitchRate, latitude, , heading] = y;
+  const r = EARTH_RADIUS + altitude;
+  const g = gravity(altitude);
+  const omega = params.rotatingEarth ? EARTH_ROTATION_RATE : 0;
+  const atmosphere = atmosphereAt(altitude, params);
+  const { density } = atmosphere;
+  const aero = aerodynamics({ altitude, speed, flightPathAngle: gamma, pitch, pitchRate }, atmosphere, r, params);
+  const qbarS = 0.5 * density * speed ** 2 * params.referenceArea;
+  const F_drag = qbarS * aero.dragCoefficient;
+  const F_lift = qbarS * aero.liftCoefficient;
+  const sinG = Math.sin(gamma);
+  const cosG = Math.cos(gamma);
+  const sinLat = Math.sin(latitude);
+  // Guard the 1/cos(latitude) terms at the poles.
+  const cosLat = Math.max(Math.cos(latitude), 1e-6);
+  const sinH = Math.sin(heading);
+  const cosH = Math.cos(heading);
+  // Guard the 1/V terms; the vehicle never gets near zero speed in flight.
+  const v = Math.max(speed, 1);
+
+  const dAltitude = speed * sinG;
+  const dDownrange = speed * cosG * EARTH_RADIUS / r;
+  const dLatitude = (speed * cosG * cosH) / r;
+  const dLongitude = (speed * cosG * sinH) / (r * cosLat);
+  // Thrust along the body axis, split along and across the velocity.
+  const thrustAngle = pitch - gamma;
+  const dSpeed =
+    (params.thrust * Math.cos(thrustAngle) - F_drag) / params.mass -
+    g * sinG +
+    omega * omega * r * cosLat * (sinG * cosLat - cosG * sinLat * cosH);
+  const dGamma =
+    (F_lift * Math.cos(params.bankAngle) + params.thrust * Math.sin(thrustAngle)) / (params.mass * v) -
+    (g / v - v / r) * cosG +
+    2 * omega * cosLat * sinH +
+    (omega * omega * r * cosLat * (cosG * cosLat + sinG * sinLat * cosH)) / v;
+  // Heading is undefined on a vertical path, so it is held there.
+  const dHeading =
+    Math.abs(cosG) < NEAR_VERTICAL
+      ? 0
+      : (F_lift * Math.sin(params.bankAngle)) / (params.mass * v * cosG) +
+        (v / r) * cosG * sinH * (sinLat / cosLat) -
+        2 * omega * ((sinG / cosG) * cosLat * cosH - sinLat) +
+        (omega * omega * r * sinLat * cosLat * sinH) / (v * cosG);
+  // Without attitude dynamics the body simply holds its trim angle of attack.
+  let dPitch = params.attitudeEnabled ? pitchRate - (speed * cosG) / r : dGamma;
+  let dPitchRate = params.attitudeEnabled ? aero.pitchMoment / params.pitchInertia : 0;
+  if (params.pitchHeld) {
+    dPitch = 0;
+    dPitchRate = 0;
+  }
+  return [dAltitude, dDownrange, dSpeed, dGamma, dPitch, dPitchRate, dLatitude, dLongitude, dHeading];
+}
+
+/**
+ * Applies the limits the integrator cannot express: altitude never goes
+ * below the ground.
+ */
+export function constrain(y) {
+  const next = y.slice();
+  next[0] = Math.max(next[0], 0);
+  return next;
+}
+
+/**
+ * Derived quantities reported alongside the integrated state: the local
+ * atmosphere (density, temperature, pressure, speedOfSound), the
+ * stagnation-point heat flux in W/m² (convective, radiative, total), the
+ * MHD shock-layer state for the current magnet field, the shock-layer
+ * electron density and plasma/cyclotron frequencies used for radio
+ * blackout, and what the coil costs to run. machNumber, reynoldsNumber,
+ * knudsenNumber, flowRegime and speedRegime describe the freestream the
+ * aero coefficients were looked up for. Dynamic pressure and the axial,
+ * normal and resultant g-loads come from the same coefficients the
+ * equations of motion use, plus any engine thrust. plasmaFluxDensity is
+ * the freestream energy flux density * v^3 that reentrygraph.py compares
+ * against its plasma threshold; effectiveHeatFlux is the total heat flux
+ * after magnetic cooling, which only acts on the convective part.
+ * Convective heating is for the windward surface, so it falls off as the
+ * body turns edge-on to the flow.
+ */
+export function outputs(state, params, magnetPower) {
+  const atmosphere = atmosphereAt(state.altitude, params);
+  const plasmaFluxDensity = atmosphere.density * Math.pow(state.speed, 3);
+  const aero = aerodynamics(state, atmosphere, EARTH_RADIUS + state.altitude, params);
+  const stagnation = stagnationHeating(atmosphere.density, state.speed, params.noseRadius);
+  const heating = {
+    convective: stagnation.convective * aero.windwardHeatingFactor,
+    radiative: stagnation.radiative,
+  };
+  heating.total = heating.convective + heating.radiative;
+  const mhd = mhdShockLayer(atmosphere, state.speed, magnetPower, params.noseRadius);
+  const plasma = shockLayerPlasma(atmosphere.density, state.speed, mhd.postShockTemperature, magnetPower);
+  const coil = coilRequirements(magnetPower, params.magnetCoilRadius, params.magnetConductor);
+  return {
+    ...atmosphere,
+    plasmaFluxDensity,
+    convectiveHeatFlux: heating.convective,
+    radiativeHeatFlux: heating.radiative,
+    totalHeatFlux: heating.total,
+    effectiveHeatFlux: heating.convective * mhd.heatFluxRatio + heating.radiative,
+    ...mhd,
+    ...plasma,
+    ...aero.flow,
+    angleOfAttack: aero.angleOfAttack,
+    liftCoefficient: aero.liftCoefficient,
+    dragCoefficient: aero.dragCoefficient,
+    ...withThrust(
+      aerodynamicLoads(atmosphere.density, state.speed, aero.dragCoefficient, aero.liftCoefficient, aero.angleOfAttack, params),
+      params
+    ),
+    flapDeflections: aero.flapDeflections,
+    magnetElectricalPower: coil.electricalPower,
+    magnetCoilMass: coil.coilMass,
+  };
+}
@@ -0,0 +1,333 @@
+// src/sim/engine.js
+import { INTEGRATORS } from './integrators.js';
+import {
+  DEFAULT_PARAMS,
+  toVector,
+  fromVector,
+  derivatives,
+  constrain,
+  outputs,
+} from './dynamics.js';
+import { initialAngleOfAttack } from './attitude.js';
+import {
+  DEFAULT_TPS_PARAMS,
+  createTileBudget,
+  updateTileBudget,
+  rescaleTileBudget,
+} from './tps.js';
+import { createThermalModel, stepThermalModel, thermalOutputs } from './conduction.js';
+import { validateMagnetSchedule, scheduleField } from './magnetSchedule.js';
+import { DEFAULT_LOAD_LIMITS, createLoadMonitor, updateLoadMonitor } from './loads.js';
+import { DEFAULT_GUIDANCE_PARAMS, startGuidance, updateGuidance, guidanceOutputs } from './guidance.js';
+import { DEFAULT_LANDING_PARAMS, createLanding, updateLanding, landingOutputs } from './landing.js';
+
+/**
+ * Headless reentry engine.
+ *
+ * The engine advances the simulation on a fixed timestep, independent of
+ * the render loop. React (or a test, or a Node script) feeds it elapsed
+ * wall-clock time through advance(), or calls step() directly, and reads
+ * back the current state. The same inputs always produce the same
+ * trajectory.
+ */
+
+export const DEFAULT_TIMESTEP = 0.05; // s
+export const DEFAULT_INTEGRATOR = 'rk4';
+
+// Tolerance when comparing accumulated wall time against dt, so float
+// round-off in the frame deltas does not drop or add a step.
+const TIME_EPSILON = 1e-9;
+
+// Upper bound on steps taken by a single advance() call, so a long stall
+// (e.g. a throttled background tab) does not lock up the page catching up.
+export const MAX_STEPS_PER_ADVANCE = 2000;
+
+export const INITIAL_CONDITIONS = {
+  altitude: 120000, // m
+  downrange: 0, // m, measured along the surface
+  speed: 7222, // m/s (~26000 km/hr), relative to the rotating Earth
+  flightPathAngle: (-1.5 * Math.PI) / 180, // rad, negative = descending
+  pitchRate: 0, // rad/s
+  latitude: 0, // rad
+  longitude: 0, // rad
+  heading: Math.PI / 2, // rad clockwise from north; due east
+  // pitch defaults to the flight-path angle plus the vehicle's initial angle of attack
+};
+
+// Fills in the initial pitch when the initial state does not give one.
+function initialCore(initialState, params) {
+  const pitch =
+    initialState.pitch ??
+    initialState.flightPathAngle + initialAngleOfAttack(initialState.altitude, params);
+  return { ...initialState, pitch };
+}
+
+function buildState(time, core, params, magnetPower) {
+  return {
+    time,
+    ...core,
+    ...outputs(core, params, magnetPower),
+    magnetPower,
+    bankAngle: params.bankAngle,
+    landed: core.altitude <= 0,
+  };
+}
+
+/**
+ * Creates an engine instance.
+ *
+ * options:
+ *   dt            fixed timestep in seconds
+ *   integrator    'euler' | 'rk4' | 'rk45'
+ *   magnetPower   magnet field strength (T)
+ *   magnetSchedule  optional field schedule (see magnetSchedule.js); while
+ *                 set it decides the field and magnetPower is ignored
+ *   params        overrides for dynamics DEFAULT_PARAMS, DEFAULT_TPS_PARAMS,
+ *                 DEFAULT_LOAD_LIMITS, DEFAULT_GUIDANCE_PARAMS and
+ *                 DEFAULT_LANDING_PARAMS; with a guidanceTarget set,
+ *                 guidance flies the bank angle until the landing flip
+ *   initialState  overrides for INITIAL_CONDITIONS
+ *   maxTime       simulated time (s) the run stops at if it has not landed;
+ *                 no limit by default
+ */
+export function createReentryEngine(options = {}) {
+  const dt = options.dt ?? DEFAULT_TIMESTEP;
+  const params = {
+    ...DEFAULT_PARAMS,
+    ...DEFAULT_TPS_PARAMS,
+    ...DEFAULT_LOAD_LIMITS,
+    ...DEFAULT_GUIDANCE_PARAMS,
+    ...DEFAULT_LANDING_PARAMS,
+    ...options.params,
+  };
+  let integratorId = options.integrator ?? DEFAULT_INTEGRATOR;
+  let magnetPower = options.magnetPower ?? 0;
+  let magnetSchedule = options.magnetSchedule ? validateMagnetSchedule(options.magnetSchedule) : null;
+  let initialState = { ...INITIAL_CONDITIONS, ...options.initialState };
+  let maxTime = options.maxTime ?? Infinity;
+  let budget = createTileBudget();
+  let thermal = createThermalModel(params.heatShieldStack);
+  let loads = null;
+  let guidance = null;
+  let landing = createLanding();
+  // Electrical energy (J) spent holding the magnet field so far.
+  let magnetEnergy = 0;
+  let accumulator = 0;
+  let stepCount = 0;
+
+  if (!INTEGRATORS[integratorId]) {
+    throw new Error(`Unknown integrator: ${integratorId}`);
+  }
+
+  // Params the vehicle flies with: guidance, when on, owns the bank angle,
+  // and once the landing starts the engines own thrust and attitude.
+  const flightParams = () => {
+    if (!guidance && landing.phase === 'entry') return params;
+    return {
+      ...params,
+      bankAngle: guidance ? guidance.bankAngle : params.bankAngle,
+      thrust: landing.thrust,
+      mass: params.mass - landing.propellantUsed,
+      pitchHeld: landing.pitch !== null,
+    };
+  };
+  const guidanceFrom = (flight) => (params.guidanceTarget ? startGuidance(flight, params.guidanceTarget, params) : null);
+
+  // Flight state plus the heat shield, magnet, load, guidance and landing bookkeeping carried alongside it.
+  const compose = (flight) => ({
+    ...flight,
+    ...budget,
+    ...thermalOutputs(thermal),
+    magnetEnergy,
+    ...loads,
+    ...(guidance && guidanceOutputs(guidance, flight)),
+    ...landingOutputs(landing, params),
+  });
+  const fieldAt = (time, core) =>
+    magnetSchedule ? scheduleField(magnetSchedule, time, core.altitude) : magnetPower;
+  const build = (time, core) => buildState(time, core, flightParams(), fieldAt(time, core));
+  const rebuild = () => compose(build(state.time, fromVector(toVector(state))));
+  const start = () => {
+    const core = initialCore(initialState, params);
+    landing = createLanding();
+    guidance = guidanceFrom({ time: 0, ...core });
+    const first = build(0, core);
+    loads = createLoadMonitor(first, params);
+    return compose(first);
+  };
+
+  let state = start();
+
+  // The run is over at touchdown or once maxTime is reached.
+  const isFinished = () => state.landed || state.time >= maxTime - TIME_EPSILON;
+
+  function step() {
+    if (isFinished()) return state;
+    const y = toVector(state);
+    const stepParams = flightParams();
+    const f = (t, yt) => derivatives(t, yt, stepParams);
+    const yNext = constrain(INTEGRATORS[integratorId].step(f, state.time, y, dt));
+    stepCount++;
+    // Derive time from the step count rather than summing dt, so long runs do not drift.
+    const time = stepCount * dt;
+    const core = fromVector(yNext);
+    landing = updateLanding(landing, { time, ...core }, dt, params);
+    if (landing.pitch !== null) {
+      core.pitch = landing.pitch;
+      core.pitchRate = landing.pitchRate;
+    }
+    const next = build(time, core);
+    budget = updateTileBudget(budget, state, next, dt, params);
+    magnetEnergy += 0.5 * (state.magnetElectricalPower + next.magnetElectricalPower) * dt;
+    thermal = stepThermalModel(thermal, next.effectiveHeatFlux, dt, next.temperature, next.time);
+    loads = updateLoadMonitor(loads, next, dt, params);
+    if (guidance && landing.phase === 'entry') guidance = updateGuidance(guidance, next, dt, params);
+    state = compose(next);
+    return state;
+  }
+
+  /**
+   * Consumes elapsed time (s) in whole fixed steps and carries the
+   * remainder over to the next call. onStep, if given, is called with the
+   * new state after every step. Returns the number of steps taken.
+   */
+  function advance(elapsed, onStep) {
+    accumulator += elapsed;
+    let steps = 0;
+    while (accumulator >= dt - TIME_EPSILON && !isFinished()) {
+      if (steps >= MAX_STEPS_PER_ADVANCE) {
+        accumulator = 0;
+        break;
+      }
+      step();
+      if (onStep) onStep(state);
+      accumulator -= dt;
+      steps++;
+    }
+    // Time left over once the run is over does not carry into a resumed run.
+    if (isFinished()) accumulator = 0;
+    return steps;
+  }
+
+  function reset(nextInitialState) {
+    if (nextInitialState) {
+      initialState = { ...INITIAL_CONDITIONS, ...nextInitialState };
+    }
+    accumulator = 0;
+    stepCount = 0;
+    magnetEnergy = 0;
+    budget = createTileBudget();
+    thermal = createThermalModel(params.heatShieldStack);
+    state = start();
+    return state;
+  }
+
+  /**
+   * Captures everything needed to resume the run from this instant.
+   * All captured pieces are immutable, so snapshots are cheap to keep.
+   */
+  function snapshot() {
+    return { state, budget, thermal, stepCount, magnetEnergy, loads, guidance, landing };
+  }
+
+  /**
+   * Rewinds (or fast-forwards) to a snapshot taken from this engine. The
+   * current params, magnet setting and integrator stay as they are, so a run
+   * can be re-flown from that instant with different settings. Guidance
+   * picks up from the snapshot if it was steering to the same target, and
+   * starts over from that instant otherwise.
+   */
+  function restore(snap) {
+    ({ state, budget, thermal, stepCount, magnetEnergy, loads, landing } = snap);
+    accumulator = 0;
+    if ((snap.guidance?.target ?? null) === params.guidanceTarget) {
+      guidance = snap.guidance ?? null;
+    } else {
+      guidance = guidanceFrom(state);
+      state = rebuild();
+    }
+    return state;
+  }
+
+  function setMagnetPower(value) {
+    magnetPower = value;
+    state = rebuild();
+  }
+
+  /**
+   * Flies the field from a schedule (or, given null, goes back to the
+   * constant magnetPower).
+   */
+  function setMagnetSchedule(schedule) {
+    magnetSchedule = schedule ? validateMagnetSchedule(schedule) : null;
+    state = rebuild();
+  }
+
+  /**
+   * Updates vehicle/environment parameters mid-run (e.g. bank angle or L/D).
+   * A new heatShieldStack takes effect on the next reset(); a new
+   * guidanceTarget re-plans from the current state (or, after touchdown,
+   * from the start of the next run).
+   */
+  function setParams(partial) {
+    Object.assign(params, partial);
+    if ('tileCapacity' in partial) {
+      budget = rescaleTileBudget(budget, state.time, params);
+    }
+    if ('guidanceTarget' in partial && partial.guidanceTarget !== (guidance?.target ?? null) && !state.landed) {
+      guidance = guidanceFrom(state);
+    }
+    state = rebuild();
+  }
+
+  /**
+   * Sets the simulated time (s) to stop at, or null for no limit. A run
+   * stopped by the old limit carries on if the new one is later.
+   */
+  function setMaxTime(value) {
+    maxTime = value ?? Infinity;
+  }
+
+  function setIntegrator(id) {
+    if (!INTEGRATORS[id]) {
+      throw new Error(`Unknown integrator: ${id}`);
+    }
+    integratorId = id;
+  }
+
+  return {
+    dt,
+    params,
+    getState: () => state,
+    isFinished,
+    getIntegrator: () => integratorId,
+    // Cell depths and layer limits for plotting the temperature profile.
+    getThermalLayout: () => ({ cells: thermal.cells, layers: thermal.layers }),
+    step,
+    advance,
+    reset,
+    snapshot,
+    restore,
+    setMagnetPower,
+    setMagnetSchedule,
+    getMagnetSchedule: () => magnetSchedule,
+    setParams,
+    setMaxTime,
+    setIntegrator,
+  };
+}
+
+/**
+ * Runs a whole trajectory without rendering and returns every sampled state.
+ * Stops at touchdown or after maxTime seconds of simulated time (an hour
+ * when maxTime is null or not given).
+ */
+export function runSimulation(options = {}) {
+  const maxTime = options.maxTime ?? 3600;
+  const engine = createReentryEngine({ ...options, maxTime });
+  const history = [engine.getState()];
+  while (!engine.isFinished()) {
+    history.push(engine.step());
+  }
+  return history;
+}
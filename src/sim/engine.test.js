@@ -0,0 +1,83 @@
+import { createReentryEngine, runSimulation } from './engine.js';
+
+test('identical inputs produce identical trajectories', () => {
+  const a = runSimulation({ integrator: 'rk4', magnetPower: 1, maxTime: 120 });
+  const b = runSimulation({ integrator: 'rk4', magnetPower: 1, maxTime: 120 });
+  expect(a).toEqual(b);
+});
+
+test('result does not depend on how wall time is sliced into frames', () => {
+  const fast = createReentryEngine();
+  const slow = createReentryEngine();
+  // 144 Hz vs a throttled ~7 Hz tab, both covering 30 s of wall time.
+  for (let i = 0; i < 30 * 144; i++) fast.advance(1 / 144);
+  for (let i = 0; i < 30 * 8; i++) slow.advance(1 / 8);
+  expect(fast.getState().time).toBeCloseTo(slow.getState().time, 6);
+  expect(fast.getState().altitude).toBeCloseTo(slow.getState().altitude, 6);
+});
+
+test('RK4 and adaptive RK45 agree closely', () => {
+  const rk4 = runSimulation({ integrator: 'rk4', maxTime: 60 });
+  const rk45 = runSimulation({ integrator: 'rk45', maxTime: 60 });
+  const last = rk4.length - 1;
+  expect(rk45[last].altitude).toBeCloseTo(rk4[last].altitude, 1);
+  expect(rk45[last].speed).toBeCloseTo(rk4[last].speed, 2);
+});
+
+test('rejects unknown integrators', () => {
+  expect(() => createReentryEngine({ integrator: 'leapfrog' })).toThrow(/Unknown integrator/);
+});
+
+test('lift stretches the entry downrange', () => {
+  // Fixed-trim aero, so liftToDrag is used as given.
+  const ballistic = runSimulation({ params: { attitudeEnabled: false, liftToDrag: 0 }, maxTime: 3600 });
+  const lifting = runSimulation({ params: { attitudeEnabled: false, liftToDrag: 0.3 }, maxTime: 3600 });
+  const ballisticEnd = ballistic[ballistic.length - 1];
+  const liftingEnd = lifting[lifting.length - 1];
+  expect(ballisticEnd.landed).toBe(true);
+  expect(liftingEnd.landed).toBe(true);
+  expect(liftingEnd.downrange).toBeGreaterThan(ballisticEnd.downrange);
+  // Both end up falling nearly vertically.
+  expect(ballisticEnd.flightPathAngle).toBeLessThan(-Math.PI / 3);
+});
+
+test('tile budget accumulates heat load and flags failure once', () => {
+  const history = runSimulation({ params: { tileCapacity: 2e7 }, maxTime: 3600 });
+  const end = history[history.length - 1];
+  expect(end.heatLoad).toBeGreaterThan(2e7);
+  expect(end.tileFailed).toBe(true);
+  const failure = history.find((s) => s.tileFailed);
+  expect(failure.tileCapacityUsed).toBeGreaterThan(100);
+  expect(end.tileFailureTime).toBe(failure.time);
+});
+
+test('magnetic cooling lowers the absorbed heat load', () => {
+  const history = runSimulation({ magnetPower: 2, maxTime: 3600 });
+  const end = history[history.length - 1];
+  expect(end.heatLoad).toBeLessThan(end.heatLoadUnshielded);
+});
+
+test('a flat magnet schedule flies the same as a constant field', () => {
+  const constant = runSimulation({ magnetPower: 0.8, maxTime: 200 });
+  const scheduled = runSimulation({
+    magnetSchedule: { basis: 'altitude', points: [[0, 0.8]] },
+    maxTime: 200,
+  });
+  expect(scheduled).toEqual(constant);
+});
+
+test('a time schedule switches the field and coil energy accrues while it is on', () => {
+  const engine = createReentryEngine({
+    dt: 0.5,
+    magnetSchedule: { basis: 'time', points: [[50, 0], [50.5, 1]] },
+  });
+  while (engine.getState().time < 50) engine.step();
+  expect(engine.getState().magnetPower).toBe(0);
+  expect(engine.getState().magnetEnergy).toBe(0);
+  while (engine.getState().time < 100) engine.step();
+  const { magnetPower, magnetElectricalPower, magnetEnergy } = engine.getState();
+  expect(magnetPower).toBe(1);
+  expect(magnetEnergy).toBeCloseTo(magnetElectricalPower * 49.75, 0);
+  engine.setMagnetSchedule(null);
+  expect(engine.getState().magnetPower).toBe(0);
+});
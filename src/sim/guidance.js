@@ -0,0 +1,222 @@
+// src/sim/guidance.js
+import { EARTH_RADIUS, derivatives, toVector, fromVector } from './dynamics.js';
+import { rk4Step } from './integrators.js';
+import { initialAngleOfAttack } from './attitude.js';
+
+/**
+ * Closed-loop entry guidance to a landing site, in the style of the
+ * Apollo and Shuttle predictor-correctors.
+ *
+ * Range is controlled with the size of the bank angle: banked over, less
+ * of the lift holds the vehicle up, so it sinks into thicker air sooner
+ * and lands shorter. Every guidance cycle a predictor flies the rest of
+ * the entry faster than real time, and a secant corrector adjusts the
+ * bank size until the predicted landing point is neither long nor short
+ * of the target.
+ *
+ * Crossrange is controlled with the sign of the bank angle: the lift
+ * pulls the vehicle towards the side it is banked to. The bank is held on
+ * one side until the target has drifted past the ground track by more
+ * than a deadband, then the vehicle rolls through wings-level to the
+ * other side (a roll reversal). The deadband shrinks with speed so the
+ * last reversals trim out the remaining crossrange.
+ *
+ * The predictor is a trimmed point mass: it assumes the vehicle flies its
+ * angle-of-attack profile and reverses by the same rule. Both it and the
+ * flown bank angle follow the command at no more than maxBankRate.
+ *
+ * Targets are { latitude, longitude } in radians; distances are in metres
+ * along the surface.
+ */
+
+export const DEFAULT_GUIDANCE_PARAMS = {
+  guidanceTarget: null, // { latitude, longitude } (rad) to steer to, or null to fly bankAngle
+  maxBankAngle: (80 * Math.PI) / 180, // rad
+  maxBankRate: (5 * Math.PI) / 180, // rad/s
+  reversalDeadband: 4, // Crossrange deadband for roll reversals, m per m/s of speed
+};
+
+const GUIDANCE_PERIOD = 2; // s between corrector updates
+const PREDICTOR_STEP = 2; // s
+const PREDICTOR_MAX_TIME = 3600; // s of flight the predictor gives up after
+const CORRECTOR_ITERATIONS = 3;
+const CORRECTOR_PERTURBATION = (5 * Math.PI) / 180; // rad, first secant step
+const RANGE_TOLERANCE = 500; // m
+
+/**
+ * Where a target lies from a point on the surface heading a given way:
+ * { range, downrange, crossrange } in metres. downrange is along the
+ * great circle the heading points down; crossrange is positive with the
+ * target to the right.
+ */
+export function targetOffset(position, heading, target) {
+  const { latitude: lat1, longitude: lon1 } = position;
+  const { latitude: lat2, longitude: lon2 } = target;
+  const dLon = lon2 - lon1;
+  const haversine =
+    Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  const angle = 2 * Math.asin(Math.min(Math.sqrt(haversine), 1));
+  const bearing = Math.atan2(
+    Math.sin(dLon) * Math.cos(lat2),
+    Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon)
+  );
+  const relative = bearing - heading;
+  return {
+    range: angle * EARTH_RADIUS,
+    downrange: Math.atan2(Math.sin(angle) * Math.cos(relative), Math.cos(angle)) * EARTH_RADIUS,
+    crossrange: Math.asin(Math.sin(angle) * Math.sin(relative)) * EARTH_RADIUS,
+  };
+}
+
+/**
+ * How far a landing point is from the target, { distance, downrange,
+ * crossrange } in metres: downrange positive when long, crossrange
+ * positive when right of the target, both along the final heading.
+ */
+export function landingMiss(landing, target) {
+  const offset = targetOffset(landing, landing.heading, target);
+  return { distance: offset.range, downrange: -offset.downrange, crossrange: -offset.crossrange };
+}
+
+// Bank side (+1 right, -1 left) after the reversal test: stay on this side
+// until the target is more than the deadband past the ground track.
+function bankSide(side, state, target, params) {
+  const { crossrange } = targetOffset(state, state.heading, target);
+  const deadband = params.reversalDeadband * state.speed;
+  if (side > 0 && crossrange < -deadband) return -1;
+  if (side < 0 && crossrange > deadband) return 1;
+  return side;
+}
+
+// Moves a bank angle towards the command by at most maxBankRate * dt.
+function slew(bankAngle, command, dt, params) {
+  const maxChange = params.maxBankRate * dt;
+  return bankAngle + Math.min(Math.max(command - bankAngle, -maxChange), maxChange);
+}
+
+/**
+ * Flies the rest of the entry from state at the given bank size, reversing
+ * by the guidance rule, and returns the point it reaches the ground:
+ * { latitude, longitude, heading, time }. The roll starts from
+ * state.bankAngle, or from the command if the state has none.
+ */
+export function predictLanding(state, target, bankMagnitude, side, params) {
+  // Hold the profile angle of attack with no pitch rate relative to the horizon.
+  const trim = (y) => {
+    const trimmed = y.slice();
+    const r = EARTH_RADIUS + y[0];
+    trimmed[4] = y[3] + initialAngleOfAttack(y[0], params);
+    trimmed[5] = (y[2] * Math.cos(y[3])) / r;
+    return trimmed;
+  };
+  let bankAngle = state.bankAngle ?? side * bankMagnitude;
+  let y = trim(toVector(state));
+  let time = state.time;
+  while (time - state.time < PREDICTOR_MAX_TIME) {
+    const flightParams = { ...params, bankAngle };
+    const f = (t, v) => derivatives(t, trim(v), flightParams);
+    const next = rk4Step(f, time, y, PREDICTOR_STEP);
+    if (next[0] <= 0) {
+      // Interpolate to the ground between the last two points.
+      const last = y;
+      const fraction = last[0] / Math.max(last[0] - next[0], 1e-9);
+      const at = (i) => last[i] + fraction * (next[i] - last[i]);
+      return { latitude: at(6), longitude: at(7), heading: at(8), time: time + fraction * PREDICTOR_STEP };
+    }
+    y = trim(next);
+    time += PREDICTOR_STEP;
+    side = bankSide(side, { ...fromVector(y), time }, target, params);
+    bankAngle = slew(bankAngle, side * bankMagnitude, PREDICTOR_STEP, params);
+  }
+  const last = fromVector(y);
+  return { latitude: last.latitude, longitude: last.longitude, heading: last.heading, time };
+}
+
+/**
+ * Secant search on the bank size for a prediction that is neither long nor
+ * short, starting from the last command. Returns the best { magnitude,
+ * miss } found; the size saturates at 0 (target out of reach) or
+ * maxBankAngle (target too close).
+ */
+function correctBank(state, target, side, magnitude, params) {
+  const clamp = (m) => Math.min(Math.max(m, 0), params.maxBankAngle);
+  const evaluate = (m) => ({ magnitude: m, miss: landingMiss(predictLanding(state, target, m, side, params), target) });
+  let previous = evaluate(clamp(magnitude));
+  let best = previous;
+  if (Math.abs(previous.miss.downrange) < RANGE_TOLERANCE) return best;
+  // Long means bank over further.
+  let trial = clamp(previous.magnitude + Math.sign(previous.miss.downrange) * CORRECTOR_PERTURBATION);
+  for (let i = 0; i < CORRECTOR_ITERATIONS && trial !== previous.magnitude; i++) {
+    const current = evaluate(trial);
+    if (Math.abs(current.miss.downrange) < Math.abs(best.miss.downrange)) best = current;
+    if (Math.abs(current.miss.downrange) < RANGE_TOLERANCE) break;
+    const slope = (current.miss.downrange - previous.miss.downrange) / (current.magnitude - previous.magnitude);
+    if (!(slope < 0)) break;
+    trial = clamp(current.magnitude - current.miss.downrange / slope);
+    previous = current;
+  }
+  return best;
+}
+
+function guide(guidance, state, side, params) {
+  const { magnitude, miss } = correctBank(state, guidance.target, side, guidance.bankMagnitude, params);
+  return {
+    ...guidance,
+    side,
+    bankMagnitude: magnitude,
+    bankCommand: side * magnitude,
+    predictedMiss: miss,
+    nextUpdate: state.time + GUIDANCE_PERIOD,
+  };
+}
+
+/**
+ * Starts guidance from a flight state. The first command is flown at once;
+ * the vehicle is assumed to enter already banked.
+ */
+export function startGuidance(state, target, params) {
+  const { crossrange } = targetOffset(state, state.heading, target);
+  const initial = {
+    target,
+    side: crossrange < 0 ? -1 : 1,
+    bankMagnitude: params.maxBankAngle / 2,
+    rollReversals: 0,
+  };
+  const guidance = guide(initial, state, initial.side, params);
+  return { ...guidance, bankAngle: state.bankAngle ?? guidance.bankCommand };
+}
+
+/**
+ * Advances guidance to the next state, dt after the last one: re-plans on
+ * the guidance cycle and slews the flown bank angle towards the command.
+ * Returns a new guidance object.
+ */
+export function updateGuidance(guidance, next, dt, params) {
+  let updated = guidance;
+  if (next.time >= guidance.nextUpdate - 1e-9) {
+    const side = bankSide(guidance.side, next, guidance.target, params);
+    updated = guide(guidance, next, side, params);
+    if (side !== guidance.side) updated.rollReversals = guidance.rollReversals + 1;
+  }
+  return { ...updated, bankAngle: slew(guidance.bankAngle, updated.bankCommand, dt, params) };
+}
+
+/**
+ * Guidance fields reported with the flight state: the flown and commanded
+ * bank angles, roll reversals so far, the predicted miss and where the
+ * target lies from the vehicle now (which at touchdown is the final miss).
+ */
+export function guidanceOutputs(guidance, state) {
+  const offset = targetOffset(state, state.heading, guidance.target);
+  return {
+    bankAngle: guidance.bankAngle,
+    bankCommand: guidance.bankCommand,
+    rollReversals: guidance.rollReversals,
+    predictedMiss: guidance.predictedMiss.distance,
+    predictedDownrangeMiss: guidance.predictedMiss.downrange,
+    predictedCrossrangeMiss: guidance.predictedMiss.crossrange,
+    targetRange: offset.range,
+    targetDownrange: offset.downrange,
+    targetCrossrange: offset.crossrange,
+  };
+}
@@ -0,0 +1,60 @@
+import { targetOffset, landingMiss } from './guidance.js';
+import { EARTH_RADIUS } from './dynamics.js';
+import { createReentryEngine, runSimulation } from './engine.js';
+
+const DEG = Math.PI / 180;
+
+test('targets are split along and across the heading', () => {
+  const origin = { latitude: 0, longitude: 0 };
+  const east = { latitude: 0, longitude: 1 * DEG };
+  const ahead = targetOffset(origin, 90 * DEG, east);
+  expect(ahead.range).toBeCloseTo(EARTH_RADIUS * DEG, 3);
+  expect(ahead.downrange).toBeCloseTo(ahead.range, 3);
+  expect(ahead.crossrange).toBeCloseTo(0, 3);
+  // Heading north, a target due east is off to the right.
+  const right = targetOffset(origin, 0, east);
+  expect(right.crossrange).toBeCloseTo(EARTH_RADIUS * DEG, 3);
+  expect(right.downrange).toBeCloseTo(0, 3);
+  // Landing past the target heading east is long.
+  expect(landingMiss({ ...east, heading: 90 * DEG }, origin).downrange).toBeCloseTo(EARTH_RADIUS * DEG, 3);
+});
+
+test('without a target the bank angle is flown as set', () => {
+  const engine = createReentryEngine({ dt: 1, params: { bankAngle: 0.3 } });
+  for (let i = 0; i < 100; i++) engine.step();
+  const state = engine.getState();
+  expect(state.bankAngle).toBe(0.3);
+  expect('bankCommand' in state).toBe(false);
+  // A steady bank turns the vehicle right, off its easterly heading.
+  expect(state.heading).toBeGreaterThan(90 * DEG);
+  expect(state.latitude).toBeLessThan(0);
+});
+
+test('guidance steers a lifting entry onto an off-track landing site', () => {
+  const target = { latitude: 0.8 * DEG, longitude: 24 * DEG };
+  const params = { guidanceTarget: target };
+  const states = runSimulation({ dt: 0.5, params });
+  const end = states[states.length - 1];
+  expect(end.landed).toBe(true);
+  expect(end.targetRange).toBeLessThan(10000);
+  // The site is to the north (left) of the easterly entry, so it starts
+  // banked left and has to reverse at least once.
+  expect(states[0].bankCommand).toBeLessThan(0);
+  expect(end.rollReversals).toBeGreaterThan(0);
+  // The flown bank never rolls faster than the vehicle can.
+  const maxStep = DEG * 5 * 0.5 + 1e-12;
+  states.slice(1).forEach((state, i) => {
+    expect(Math.abs(state.bankAngle - states[i].bankAngle)).toBeLessThanOrEqual(maxStep);
+  });
+});
+
+test('a snapshot resumes guidance where it left off', () => {
+  const params = { guidanceTarget: { latitude: 0, longitude: 22 * DEG } };
+  const engine = createReentryEngine({ dt: 1, params });
+  for (let i = 0; i < 100; i++) engine.step();
+  const snap = engine.snapshot();
+  const ahead = [];
+  for (let i = 0; i < 20; i++) ahead.push(engine.step());
+  engine.restore(snap);
+  for (let i = 0; i < 20; i++) expect(engine.step()).toEqual(ahead[i]);
+});
@@ -0,0 +1,79 @@
+// src/sim/heating.js
+
+/**
+ * Stagnation-point heating correlations. All fluxes are in W/m².
+ *
+ * Convective: Sutton-Graves, q = k * sqrt(rho / Rn) * V^3.
+ * Radiative:  Tauber-Sutton, q = C * Rn^a * rho^b * f(V), which only
+ *             contributes above ~9 km/s (lunar/interplanetary returns).
+ */
+
+// Sutton-Graves constant for Earth air (kg^0.5 / m), giving W/m².
+export const SUTTON_GRAVES_K = 1.7415e-4;
+
+// Tauber-Sutton constants for Earth. The correlation yields W/cm².
+const TAUBER_SUTTON_C = 4.736e4;
+const TAUBER_SUTTON_B = 1.22;
+
+// Tauber-Sutton velocity function f(V) for Earth entry: [speed (m/s), f].
+const TAUBER_SUTTON_F = [
+  [9000, 1.5],
+  [9250, 4.3],
+  [9500, 9.7],
+  [9750, 19.5],
+  [10000, 35],
+  [10250, 55],
+  [10500, 81],
+  [10750, 115],
+  [11000, 151],
+  [11500, 238],
+  [12000, 359],
+  [12500, 495],
+  [13000, 660],
+  [13500, 850],
+  [14000, 1065],
+  [14500, 1313],
+  [15000, 1550],
+  [15500, 1780],
+  [16000, 2040],
+];
+
+function tauberSuttonVelocityFunction(speed) {
+  const table = TAUBER_SUTTON_F;
+  if (speed < table[0][0]) return 0;
+  if (speed >= table[table.length - 1][0]) return table[table.length - 1][1];
+  let i = 0;
+  while (speed > table[i + 1][0]) i++;
+  const [v0, f0] = table[i];
+  const [v1, f1] = table[i + 1];
+  return f0 + ((speed - v0) / (v1 - v0)) * (f1 - f0);
+}
+
+/**
+ * Sutton-Graves convective stagnation-point heat flux (W/m²).
+ */
+export function convectiveHeatFlux(density, speed, noseRadius) {
+  if (density <= 0 || speed <= 0) return 0;
+  return SUTTON_GRAVES_K * Math.sqrt(density / noseRadius) * Math.pow(speed, 3);
+}
+
+/**
+ * Tauber-Sutton radiative stagnation-point heat flux (W/m²).
+ */
+export function radiativeHeatFlux(density, speed, noseRadius) {
+  const f = tauberSuttonVelocityFunction(speed);
+  if (f === 0 || density <= 0) return 0;
+  // The nose-radius exponent depends on the flow; Tauber-Sutton cap it at 1 for Earth.
+  const a = Math.min(1, 1.072e6 * Math.pow(speed, -1.88) * Math.pow(density, -0.325));
+  const wPerCm2 = TAUBER_SUTTON_C * Math.pow(noseRadius, a) * Math.pow(density, TAUBER_SUTTON_B) * f;
+  return wPerCm2 * 1e4;
+}
+
+/**
+ * Convective, radiative and total stagnation-point heat flux (W/m²).
+ */
+export function stagnationHeating(density, speed, noseRadius) {
+  const convective = convectiveHeatFlux(density, speed, noseRadius);
+  const radiative = radiativeHeatFlux(density, speed, noseRadius);
+  return { convective, radiative, total: convective + radiative };
+}
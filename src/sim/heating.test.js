@@ -0,0 +1,21 @@
+import { convectiveHeatFlux, radiativeHeatFlux, stagnationHeating } from './heating.js';
+
+test('Sutton-Graves scales with sqrt(rho / Rn) and V^3', () => {
+  const base = convectiveHeatFlux(1e-4, 7000, 1);
+  expect(base).toBeCloseTo(1.7415e-4 * Math.sqrt(1e-4) * 7000 ** 3, 6);
+  expect(convectiveHeatFlux(4e-4, 7000, 1) / base).toBeCloseTo(2, 6);
+  expect(convectiveHeatFlux(1e-4, 7000, 4) / base).toBeCloseTo(0.5, 6);
+  expect(convectiveHeatFlux(1e-4, 14000, 1) / base).toBeCloseTo(8, 6);
+});
+
+test('radiative heating only appears for superorbital entries', () => {
+  expect(radiativeHeatFlux(3e-4, 7800, 1)).toBe(0);
+  const lunar = radiativeHeatFlux(3e-4, 11000, 1);
+  expect(lunar).toBeGreaterThan(1e5);
+  expect(radiativeHeatFlux(3e-4, 12000, 1)).toBeGreaterThan(lunar);
+});
+
+test('total is the sum of the components', () => {
+  const q = stagnationHeating(2e-4, 11500, 2);
+  expect(q.total).toBeCloseTo(q.convective + q.radiative, 6);
+});
@@ -0,0 +1,119 @@
+// src/sim/integrators.js
+
+/**
+ * Numerical integrators used by the reentry engine.
+ *
+ * Every integrator has the same signature:
+ *   step(f, t, y, h, options) -> y at t + h
+ * where f(t, y) returns dy/dt as an array the same length as y.
+ * State vectors are plain arrays so the engine runs identically in the
+ * browser, in Jest and in Node.
+ */
+
+// y + h * k, element-wise.
+function addScaled(y, h, k) {
+  const out = new Array(y.length);
+  for (let i = 0; i < y.length; i++) {
+    out[i] = y[i] + h * k[i];
+  }
+  return out;
+}
+
+// y + h * sum(weights[j] * ks[j]), element-wise.
+function combine(y, h, weights, ks) {
+  const out = y.slice();
+  for (let j = 0; j < weights.length; j++) {
+    const w = weights[j];
+    if (w === 0) continue;
+    const k = ks[j];
+    for (let i = 0; i < y.length; i++) {
+      out[i] += h * w * k[i];
+    }
+  }
+  return out;
+}
+
+/**
+ * Explicit (forward) Euler. First order; kept because it is what the
+ * original useFrame loop did and it is handy for comparisons.
+ */
+export function eulerStep(f, t, y, h) {
+  return addScaled(y, h, f(t, y));
+}
+
+/**
+ * Classic fourth-order Runge-Kutta.
+ */
+export function rk4Step(f, t, y, h) {
+  const k1 = f(t, y);
+  const k2 = f(t + h / 2, addScaled(y, h / 2, k1));
+  const k3 = f(t + h / 2, addScaled(y, h / 2, k2));
+  const k4 = f(t + h, addScaled(y, h, k3));
+  return combine(y, h, [1 / 6, 1 / 3, 1 / 3, 1 / 6], [k1, k2, k3, k4]);
+}
+
+// Dormand-Prince 5(4) tableau.
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+// One Dormand-Prince trial step. Returns the 5th order solution and the
+// scaled error norm (<= 1 means the step meets the tolerance).
+function dormandPrinceTrial(f, t, y, h, rtol, atol) {
+  const ks = [];
+  for (let s = 0; s < 7; s++) {
+    const yStage = s === 0 ? y : combine(y, h, DP_A[s], ks);
+    ks.push(f(t + DP_C[s] * h, yStage));
+  }
+  const y5 = combine(y, h, DP_B5, ks);
+  const y4 = combine(y, h, DP_B4, ks);
+  let err = 0;
+  for (let i = 0; i < y.length; i++) {
+    const scale = atol + rtol * Math.max(Math.abs(y[i]), Math.abs(y5[i]));
+    err = Math.max(err, Math.abs(y5[i] - y4[i]) / scale);
+  }
+  return { y: y5, err };
+}
+
+/**
+ * Adaptive Dormand-Prince RK45. The outer step h is still fixed (so the
+ * engine samples on a regular grid); inside it the integrator sub-steps
+ * as finely as needed to meet the tolerance.
+ */
+export function rk45Step(f, t, y, h, options = {}) {
+  const { rtol = 1e-8, atol = 1e-6, minStep = 1e-6, maxSubsteps = 1000 } = options;
+  const tEnd = t + h;
+  let tCur = t;
+  let yCur = y;
+  let hCur = h;
+  for (let n = 0; n < maxSubsteps && tEnd - tCur > h * 1e-12; n++) {
+    hCur = Math.min(hCur, tEnd - tCur);
+    const { y: yTrial, err } = dormandPrinceTrial(f, tCur, yCur, hCur, rtol, atol);
+    if (err <= 1 || hCur <= minStep) {
+      tCur += hCur;
+      yCur = yTrial;
+    }
+    // Standard step-size controller with a safety factor and growth limits.
+    const factor = err === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(err, -1 / 5)));
+    hCur = Math.max(hCur * factor, minStep);
+  }
+  return yCur;
+}
+
+/**
+ * Integrators selectable from the UI, keyed by the id stored in the engine options.
+ */
+export const INTEGRATORS = {
+  euler: { label: 'Euler', step: eulerStep },
+  rk4: { label: 'RK4', step: rk4Step },
+  rk45: { label: 'Adaptive RK45', step: rk45Step },
+};
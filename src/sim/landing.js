@@ -0,0 +1,184 @@
+// src/sim/landing.js
+import { gravity } from './dynamics.js';
+import { STANDARD_GRAVITY } from './loads.js';
+
+/**
+ * Terminal flip and propulsive landing.
+ *
+ * The run goes through these phases:
+ *  - entry: unpowered, the attitude flown by the flaps;
+ *  - flip: at landingAltitude the engines light at minimum throttle and
+ *    swing the vehicle from its belly-flop attitude towards the thrust
+ *    direction the descent guidance asks for, at up to flipRate;
+ *  - burn: powered descent. The engines hold the attitude and the throttle
+ *    follows the guidance law, within minThrottle..maxThrottle of
+ *    landingThrust, until touchdown or until the propellant runs out;
+ *  - touchdown: the run is over and judged on how it arrived.
+ *
+ * Descent guidance is zero-effort-miss / zero-effort-velocity (ZEM/ZEV)
+ * feedback in the vertical plane of the track: it aims to reach the ground
+ * descending at FINAL_DESCENT_SPEED with no horizontal speed, the time to
+ * go taken from a constant-deceleration stop over the remaining height. In
+ * the last MIN_TIME_TO_GO it only holds the descent speed.
+ *
+ * Propellant is part of the vehicle mass; it is burnt at thrust / (Isp g0)
+ * and the vehicle gets lighter as it goes.
+ */
+
+export const DEFAULT_LANDING_PARAMS = {
+  landingEnabled: false, // Fly the flip and landing burn (needs landing engines)
+  landingAltitude: 1000, // m, where the flip starts
+  landingThrust: 4.4e6, // N at full throttle, all landing engines
+  landingIsp: 330, // s
+  minThrottle: 0.35, // Fraction of landingThrust the engines cannot go below
+  maxThrottle: 1,
+  landingPropellant: 30000, // kg available for landing, included in mass
+  flipRate: (30 * Math.PI) / 180, // rad/s
+  touchdownSpeedLimit: 3, // m/s the legs take
+  touchdownTiltLimit: (5 * Math.PI) / 180, // rad from vertical
+};
+
+export const LANDING_PHASES = {
+  entry: 'Entry',
+  flip: 'Flip',
+  burn: 'Landing burn',
+  touchdown: 'Touchdown',
+};
+
+export const TOUCHDOWN_OUTCOMES = {
+  landed: 'Landed',
+  hard: 'Hard landing',
+  tipped: 'Tipped over',
+  crashed: 'Crashed',
+};
+
+const FINAL_DESCENT_SPEED = 1.5; // m/s
+const MIN_TIME_TO_GO = 0.5; // s
+// The flip is over once the attitude is this close to the guidance direction.
+const FLIP_TOLERANCE = (2 * Math.PI) / 180;
+// Faster than this many times the touchdown limit is a crash, not a hard landing.
+const CRASH_FACTOR = 3;
+
+export function createLanding() {
+  return {
+    phase: 'entry',
+    throttle: 0,
+    thrust: 0, // N
+    propellantUsed: 0, // kg
+    engineOut: false, // Ran out of propellant under power
+    pitch: null, // Attitude held by the engines (rad), once the flip starts
+    pitchRate: 0, // rad/s
+    touchdown: null, // Verdict, see touchdownVerdict()
+  };
+}
+
+/**
+ * Thrust acceleration (m/s², beyond gravity) the descent guidance asks
+ * for: { horizontal, vertical, timeToGo }, horizontal along the track.
+ */
+export function descentGuidance(state) {
+  const { altitude, speed, flightPathAngle } = state;
+  const horizontalSpeed = speed * Math.cos(flightPathAngle);
+  const verticalSpeed = speed * Math.sin(flightPathAngle);
+  const g = gravity(altitude);
+  const timeToGo = (2 * altitude) / (Math.max(-verticalSpeed, 0) + FINAL_DESCENT_SPEED);
+  // Right at the ground only the descent speed is still steered.
+  const t = Math.max(timeToGo, MIN_TIME_TO_GO);
+  const zeroEffortMiss = -(altitude + verticalSpeed * t - 0.5 * g * t * t);
+  const zeroEffortVelocity = -FINAL_DESCENT_SPEED - (verticalSpeed - g * t);
+  return {
+    horizontal: -horizontalSpeed / t,
+    vertical:
+      timeToGo < MIN_TIME_TO_GO
+        ? zeroEffortVelocity / t
+        : (6 * zeroEffortMiss) / (t * t) - (2 * zeroEffortVelocity) / t,
+    timeToGo,
+  };
+}
+
+/**
+ * How the vehicle arrived: { outcome (key into TOUCHDOWN_OUTCOMES),
+ * verticalSpeed, horizontalSpeed (m/s), tilt (rad from vertical),
+ * propellantRemaining (kg), propellantMargin (% of landingPropellant) }.
+ */
+export function touchdownVerdict(state, landing, params) {
+  const verticalSpeed = -state.speed * Math.sin(state.flightPathAngle);
+  const horizontalSpeed = Math.abs(state.speed * Math.cos(state.flightPathAngle));
+  const speed = Math.hypot(verticalSpeed, horizontalSpeed);
+  const tilt = Math.abs(state.pitch - Math.PI / 2);
+  const propellantRemaining = Math.max(params.landingPropellant - landing.propellantUsed, 0);
+  let outcome = 'landed';
+  if (speed > CRASH_FACTOR * params.touchdownSpeedLimit) {
+    outcome = 'crashed';
+  } else if (tilt > params.touchdownTiltLimit) {
+    outcome = 'tipped';
+  } else if (speed > params.touchdownSpeedLimit) {
+    outcome = 'hard';
+  }
+  return {
+    outcome,
+    verticalSpeed,
+    horizontalSpeed,
+    tilt,
+    propellantRemaining,
+    propellantMargin: params.landingPropellant > 0 ? (100 * propellantRemaining) / params.landingPropellant : 0,
+  };
+}
+
+/**
+ * Advances the landing sequence to the flight state reached after a step
+ * of dt, flown with landing.thrust. Returns a new landing object whose
+ * thrust and pitch are what to fly next.
+ */
+export function updateLanding(landing, state, dt, params) {
+  const propellantUsed = Math.min(
+    landing.propellantUsed + (landing.thrust * dt) / (params.landingIsp * STANDARD_GRAVITY),
+    params.landingPropellant
+  );
+  const burnt = { ...landing, propellantUsed };
+  if (state.altitude <= 0) {
+    const touchdown = touchdownVerdict(state, burnt, params);
+    return { ...burnt, phase: 'touchdown', throttle: 0, thrust: 0, pitchRate: 0, touchdown };
+  }
+  let { phase, pitch } = burnt;
+  if (phase === 'entry') {
+    if (!params.landingEnabled || state.altitude > params.landingAltitude) return burnt;
+    phase = 'flip';
+    pitch = state.pitch;
+  }
+
+  const mass = params.mass - propellantUsed;
+  const command = descentGuidance(state);
+  const commandPitch = Math.atan2(command.vertical, command.horizontal);
+  const maxTurn = params.flipRate * dt;
+  const turn = Math.min(Math.max(commandPitch - pitch, -maxTurn), maxTurn);
+  if (phase === 'flip' && Math.abs(commandPitch - pitch - turn) < FLIP_TOLERANCE) phase = 'burn';
+
+  const engineOut = propellantUsed >= params.landingPropellant;
+  const wanted = (mass * Math.hypot(command.horizontal, command.vertical)) / params.landingThrust;
+  let throttle = phase === 'flip' ? params.minThrottle : Math.min(Math.max(wanted, params.minThrottle), params.maxThrottle);
+  if (engineOut) throttle = 0;
+  return {
+    ...burnt,
+    phase,
+    throttle,
+    thrust: throttle * params.landingThrust,
+    engineOut,
+    pitch: pitch + turn,
+    pitchRate: turn / dt,
+  };
+}
+
+/**
+ * Landing fields reported with the flight state.
+ */
+export function landingOutputs(landing, params) {
+  return {
+    landingPhase: landing.phase,
+    throttle: landing.throttle,
+    thrust: landing.thrust,
+    propellantRemaining: params.landingPropellant - landing.propellantUsed,
+    engineOut: landing.engineOut,
+    touchdown: landing.touchdown,
+  };
+}
@@ -0,0 +1,54 @@
+import { descentGuidance, touchdownVerdict, createLanding } from './landing.js';
+import { gravity } from './dynamics.js';
+import { runSimulation } from './engine.js';
+
+const params = { landingPropellant: 30000, touchdownSpeedLimit: 3, touchdownTiltLimit: (5 * Math.PI) / 180 };
+const falling = (speed, pitch = Math.PI / 2) => ({ speed, flightPathAngle: -Math.PI / 2, pitch });
+
+test('descent guidance starts a constant-deceleration stop straight down', () => {
+  const command = descentGuidance({ altitude: 500, speed: 60, flightPathAngle: -Math.PI / 2 });
+  // Stopping from 60 to 1.5 m/s over 500 m, on top of holding up the weight.
+  expect(command.vertical).toBeCloseTo((60 ** 2 - 1.5 ** 2) / (2 * 500) + gravity(500), 6);
+  expect(command.horizontal).toBeCloseTo(0, 9);
+  expect(command.timeToGo).toBeCloseTo(1000 / 61.5, 9);
+});
+
+test('touchdowns are judged on speed and tilt', () => {
+  const landing = { ...createLanding(), propellantUsed: 20000 };
+  const soft = touchdownVerdict(falling(2), landing, params);
+  expect(soft.outcome).toBe('landed');
+  expect(soft.verticalSpeed).toBeCloseTo(2, 9);
+  expect(soft.propellantRemaining).toBe(10000);
+  expect(soft.propellantMargin).toBeCloseTo(100 / 3, 9);
+  expect(touchdownVerdict(falling(5), landing, params).outcome).toBe('hard');
+  expect(touchdownVerdict(falling(2, 1.3), landing, params).outcome).toBe('tipped');
+  expect(touchdownVerdict(falling(50), landing, params).outcome).toBe('crashed');
+});
+
+test('the flip and landing burn set Starship down softly', () => {
+  const states = runSimulation({ dt: 0.25, params: { landingEnabled: true } });
+  const end = states[states.length - 1];
+  expect(end.landingPhase).toBe('touchdown');
+  expect(end.touchdown.outcome).toBe('landed');
+  expect(end.touchdown.propellantMargin).toBeGreaterThan(0);
+  // Unpowered until the flip, and the engines stay within their throttle range.
+  const powered = states.filter((s) => s.thrust > 0);
+  expect(powered[0].altitude).toBeLessThanOrEqual(1000);
+  expect(powered.every((s) => s.throttle >= 0.35 - 1e-9 && s.throttle <= 1)).toBe(true);
+  expect(states.map((s) => s.landingPhase)).toEqual(expect.arrayContaining(['entry', 'flip', 'burn']));
+});
+
+test('running out of propellant ends in a crash', () => {
+  const states = runSimulation({ dt: 0.25, params: { landingEnabled: true, landingPropellant: 2000 } });
+  const end = states[states.length - 1];
+  expect(states.some((s) => s.engineOut)).toBe(true);
+  expect(end.thrust).toBe(0);
+  expect(end.touchdown.outcome).toBe('crashed');
+});
+
+test('without landing engines the vehicle falls to the ground unpowered', () => {
+  const end = runSimulation({ dt: 0.5 }).pop();
+  expect(end.landingPhase).toBe('touchdown');
+  expect(end.propellantRemaining).toBe(30000);
+  expect(end.touchdown.outcome).toBe('crashed');
+});
@@ -0,0 +1,170 @@
+// src/sim/loads.js
+
+/**
+ * Aerodynamic loads and limit monitoring.
+ *
+ * The aerodynamic force is split along the body: axial along the body
+ * axis (positive pushing the nose back) and normal across it (positive
+ * pushing the belly up). Engine thrust adds to the axial load. Loads are in
+ * g of standard gravity; the crew feel the resultant of the two.
+ *
+ * Two kinds of limit are checked:
+ *  - crew: a g-duration curve, [[seconds, g], ...]. The crew limit is
+ *    exceeded once the load has stayed at or above a level for longer than
+ *    that level allows, so short peaks can go higher than long plateaus;
+ *  - structure: a maximum dynamic pressure.
+ *
+ * The monitor is carried alongside the flight state like the tile budget
+ * (see tps.js) and exposes max-Q, peak g and the limit flags as state.
+ */
+
+export const STANDARD_GRAVITY = 9.80665; // m/s^2
+
+export const DEFAULT_LOAD_LIMITS = {
+  // Resultant g the crew can hold for a given time, shortest first. A
+  // generic sustained-acceleration envelope for seated, suited crew.
+  crewGLimits: [
+    [1, 15],
+    [10, 10],
+    [100, 6],
+    [1000, 4],
+    [10000, 3],
+  ],
+  maxDynamicPressure: 35000, // Pa, structural limit
+  cautionFraction: 0.8, // Caution at this fraction of a limit
+};
+
+/**
+ * Dynamic pressure (Pa) and axial, normal and resultant aerodynamic load
+ * (g) for the given drag and lift coefficients and angle of attack (rad).
+ */
+export function aerodynamicLoads(density, speed, dragCoefficient, liftCoefficient, angleOfAttack, params) {
+  const dynamicPressure = 0.5 * density * speed * speed;
+  const perCoefficient = (dynamicPressure * params.referenceArea) / (params.mass * STANDARD_GRAVITY);
+  const drag = dragCoefficient * perCoefficient;
+  const lift = liftCoefficient * perCoefficient;
+  const cosA = Math.cos(angleOfAttack);
+  const sinA = Math.sin(angleOfAttack);
+  return {
+    dynamicPressure,
+    axialLoad: drag * cosA - lift * sinA,
+    normalLoad: drag * sinA + lift * cosA,
+    gLoad: Math.hypot(drag, lift),
+  };
+}
+
+/**
+ * Adds engine thrust (params.thrust, N, along the body axis towards the
+ * nose) to a set of aerodynamic loads.
+ */
+export function withThrust(loads, params) {
+  if (!params.thrust) return loads;
+  const axialLoad = loads.axialLoad - params.thrust / (params.mass * STANDARD_GRAVITY);
+  return { ...loads, axialLoad, gLoad: Math.hypot(axialLoad, loads.normalLoad) };
+}
+
+// Seconds the load has stayed at or above each crew limit level.
+function exposures(previous, state, dt, curve) {
+  return curve.map(([, g], i) => (state.gLoad >= g ? (previous[i] ?? 0) + dt : 0));
+}
+
+function limitFlags(state, gExposure, params) {
+  return {
+    crewOverLimit: params.crewGLimits.some(([seconds], i) => gExposure[i] >= seconds),
+    qOverLimit: state.dynamicPressure > params.maxDynamicPressure,
+  };
+}
+
+/**
+ * Starts the monitor at the first state of a run.
+ */
+export function createLoadMonitor(state, params) {
+  const gExposure = params.crewGLimits.map(() => 0);
+  const flags = limitFlags(state, gExposure, params);
+  return {
+    maxQ: state.dynamicPressure,
+    maxQTime: state.time,
+    peakG: state.gLoad,
+    peakGTime: state.time,
+    gExposure,
+    ...flags,
+    crewLimitExceeded: flags.crewOverLimit,
+    qLimitExceeded: flags.qOverLimit,
+  };
+}
+
+/**
+ * Advances the monitor to the next state, dt after the last one. The
+ * *OverLimit flags say whether a limit is broken now; the *LimitExceeded
+ * flags stay set once it has been. Returns a new monitor object.
+ */
+export function updateLoadMonitor(monitor, next, dt, params) {
+  const gExposure = exposures(monitor.gExposure, next, dt, params.crewGLimits);
+  const flags = limitFlags(next, gExposure, params);
+  const newMaxQ = next.dynamicPressure > monitor.maxQ;
+  const newPeakG = next.gLoad > monitor.peakG;
+  return {
+    maxQ: newMaxQ ? next.dynamicPressure : monitor.maxQ,
+    maxQTime: newMaxQ ? next.time : monitor.maxQTime,
+    peakG: newPeakG ? next.gLoad : monitor.peakG,
+    peakGTime: newPeakG ? next.time : monitor.peakGTime,
+    gExposure,
+    ...flags,
+    crewLimitExceeded: monitor.crewLimitExceeded || flags.crewOverLimit,
+    qLimitExceeded: monitor.qLimitExceeded || flags.qOverLimit,
+  };
+}
+
+/**
+ * How close a state is to each limit: { crew, structure }, each 'ok',
+ * 'caution' (past cautionFraction of a limit) or 'alarm' (over it).
+ */
+export function loadStatus(state, params) {
+  const { cautionFraction } = params;
+  let crew = 'ok';
+  if (state.crewOverLimit) {
+    crew = 'alarm';
+  } else if (params.crewGLimits.some(([seconds, g], i) => state.gLoad >= g && state.gExposure[i] >= cautionFraction * seconds)) {
+    crew = 'caution';
+  }
+  let structure = 'ok';
+  if (state.qOverLimit) {
+    structure = 'alarm';
+  } else if (state.dynamicPressure > cautionFraction * params.maxDynamicPressure) {
+    structure = 'caution';
+  }
+  return { crew, structure };
+}
+
+/**
+ * Alarm events in recorded states (oldest first): each time a limit is
+ * broken or recovered. Returns [{ time, kind: 'crew' | 'structure',
+ * active, message }].
+ */
+export function loadAlarms(states) {
+  const events = [];
+  states.forEach((state, i) => {
+    const prev = i > 0 ? states[i - 1] : { crewOverLimit: false, qOverLimit: false };
+    if (state.crewOverLimit !== prev.crewOverLimit) {
+      events.push({
+        time: state.time,
+        kind: 'crew',
+        active: state.crewOverLimit,
+        message: state.crewOverLimit
+          ? `Crew g-limit exceeded at ${state.gLoad.toFixed(1)} g`
+          : 'Crew load back within limits',
+      });
+    }
+    if (state.qOverLimit !== prev.qOverLimit) {
+      events.push({
+        time: state.time,
+        kind: 'structure',
+        active: state.qOverLimit,
+        message: state.qOverLimit
+          ? `Structural q-limit exceeded at ${(state.dynamicPressure / 1000).toFixed(1)} kPa`
+          : 'Dynamic pressure back within limit',
+      });
+    }
+  });
+  return events;
+}
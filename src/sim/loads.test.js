@@ -0,0 +1,78 @@
+import {
+  aerodynamicLoads,
+  createLoadMonitor,
+  updateLoadMonitor,
+  loadStatus,
+  loadAlarms,
+  DEFAULT_LOAD_LIMITS,
+  STANDARD_GRAVITY,
+} from './loads.js';
+import { createReentryEngine, runSimulation } from './engine.js';
+
+const params = { ...DEFAULT_LOAD_LIMITS, mass: 1000, referenceArea: 2 };
+
+test('loads split into axial and normal components', () => {
+  // q = 0.5 * 0.01 * 1000^2 = 5000 Pa; drag 5000 * 2 * 1 / (1000 g0).
+  const broadside = aerodynamicLoads(0.01, 1000, 1, 0, Math.PI / 2, params);
+  expect(broadside.dynamicPressure).toBe(5000);
+  expect(broadside.normalLoad).toBeCloseTo(10000 / (1000 * STANDARD_GRAVITY), 9);
+  expect(broadside.axialLoad).toBeCloseTo(0, 9);
+  const noseOn = aerodynamicLoads(0.01, 1000, 1, 0.5, 0, params);
+  expect(noseOn.axialLoad).toBeCloseTo(10000 / (1000 * STANDARD_GRAVITY), 9);
+  expect(noseOn.gLoad).toBeCloseTo(Math.hypot(noseOn.axialLoad, noseOn.normalLoad), 12);
+});
+
+test('the crew limit depends on how long a load is held', () => {
+  const limits = { ...params, crewGLimits: [[2, 8], [10, 4]] };
+  const at = (time, gLoad) => ({ time, gLoad, dynamicPressure: 0 });
+  let monitor = createLoadMonitor(at(0, 0), limits);
+  // 6 g is fine for under 10 s, so 9 s at 6 g passes...
+  for (let t = 1; t <= 9; t++) monitor = updateLoadMonitor(monitor, at(t, 6), 1, limits);
+  expect(monitor.crewOverLimit).toBe(false);
+  expect(loadStatus({ ...at(9, 6), ...monitor }, limits).crew).toBe('caution');
+  // ...but the 10th second breaks it.
+  monitor = updateLoadMonitor(monitor, at(10, 6), 1, limits);
+  expect(monitor.crewOverLimit).toBe(true);
+  expect(monitor.peakG).toBe(6);
+  // Dropping off clears the current flag but the run stays marked.
+  monitor = updateLoadMonitor(monitor, at(11, 1), 1, limits);
+  expect(monitor.crewOverLimit).toBe(false);
+  expect(monitor.crewLimitExceeded).toBe(true);
+  expect(monitor.gExposure).toEqual([0, 0]);
+});
+
+test('the structural limit trips on dynamic pressure', () => {
+  const state = { time: 0, gLoad: 0, dynamicPressure: 30000 };
+  const monitor = createLoadMonitor(state, params);
+  expect(loadStatus({ ...state, ...monitor }, params).structure).toBe('caution');
+  const over = updateLoadMonitor(monitor, { ...state, time: 1, dynamicPressure: 40000 }, 1, params);
+  expect(over.qOverLimit).toBe(true);
+  expect(over.maxQ).toBe(40000);
+  expect(over.maxQTime).toBe(1);
+});
+
+test('a flown entry tracks max-Q and raises alarms against tight limits', () => {
+  const nominal = runSimulation({ dt: 1 });
+  const last = nominal[nominal.length - 1];
+  const peakQ = nominal.reduce((peak, s) => Math.max(peak, s.dynamicPressure), 0);
+  expect(last.maxQ).toBe(peakQ);
+  expect(last.qLimitExceeded).toBe(false);
+  expect(loadAlarms(nominal)).toEqual([]);
+
+  const tight = runSimulation({ dt: 1, params: { maxDynamicPressure: 10000 } });
+  const alarms = loadAlarms(tight);
+  expect(alarms.map((a) => [a.kind, a.active])).toEqual([['structure', true], ['structure', false]]);
+  expect(alarms[0].time).toBeLessThan(last.maxQTime);
+});
+
+test('snapshots carry the load monitor', () => {
+  const engine = createReentryEngine({ dt: 1 });
+  for (let i = 0; i < 200; i++) engine.step();
+  const snap = engine.snapshot();
+  const early = engine.getState().peakG;
+  for (let i = 0; i < 400; i++) engine.step();
+  expect(engine.getState().peakG).toBeGreaterThan(2 * early);
+  engine.restore(snap);
+  // Rewound, the peak is the one seen by 200 s, not the later one.
+  expect(engine.step().peakG).toBeLessThan(1.1 * early);
+});
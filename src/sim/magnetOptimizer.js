@@ -0,0 +1,192 @@
+// src/sim/magnetOptimizer.js
+import { createReentryEngine } from './engine.js';
+
+/**
+ * Magnet schedule optimizer.
+ *
+ * Searches for the magnet field schedule that spends the least coil
+ * electrical energy while keeping the tiles under a limit, flying the
+ * reentry engine for every candidate. The schedule is a set of evenly
+ * spaced knots (in time or altitude) across the heating pulse of the
+ * unmagnetized run; the search starts from the weakest constant field that
+ * meets the limit and then walks the knots down one at a time, shifting
+ * field between neighbours when no single knot can drop further.
+ */
+
+// The field only changes heating, not the trajectory, and the heat load is
+// insensitive to the step size, so candidates can be flown with a coarse step.
+export const OPTIMIZER_TIMESTEP = 1; // s
+
+export const OPTIMIZER_CONSTRAINTS = {
+  tileCapacity: { label: 'Tile capacity used', unit: '%' },
+  peakHeatFlux: { label: 'Peak heat flux', unit: 'W/m²' },
+};
+
+// Flies one schedule and returns the energy spent and the constrained value.
+function fly(schedule, options) {
+  const { maxTime = 3600 } = options;
+  const engine = createReentryEngine({
+    dt: options.dt ?? OPTIMIZER_TIMESTEP,
+    integrator: options.integrator,
+    params: options.params,
+    initialState: options.initialState,
+    magnetSchedule: schedule,
+  });
+  let state = engine.getState();
+  let peakHeatFlux = state.effectiveHeatFlux;
+  const samples = [state];
+  while (!state.landed && state.time < maxTime) {
+    state = engine.step();
+    peakHeatFlux = Math.max(peakHeatFlux, state.effectiveHeatFlux);
+    samples.push(state);
+  }
+  return {
+    energy: state.magnetEnergy,
+    tileCapacity: state.tileCapacityUsed,
+    peakHeatFlux,
+    samples,
+    threshold: engine.params.plasmaThreshold,
+  };
+}
+
+// Knot positions across the part of the run where the tiles absorb heat.
+function knotPositions(baseline, basis, knots) {
+  const heating = baseline.samples.filter((s) => s.plasmaFluxDensity >= baseline.threshold);
+  const window = heating.length > 1 ? heating : baseline.samples;
+  const xs = window.map((s) => (basis === 'time' ? s.time : s.altitude));
+  const lo = Math.min(...xs);
+  const hi = Math.max(...xs);
+  return Array.from({ length: knots }, (_, i) => lo + ((hi - lo) * i) / Math.max(knots - 1, 1));
+}
+
+/**
+ * Finds a low-energy magnet schedule.
+ *
+ * options:
+ *   basis           'time' | 'altitude' (default 'time')
+ *   knots           number of schedule points (default 8)
+ *   constraint      'tileCapacity' (% used at the end of the run) or
+ *                   'peakHeatFlux' (W/m², after magnetic reduction)
+ *   limit           value the constraint must not exceed
+ *   maxField        strongest field the coil can hold (T)
+ *   maxEvaluations  budget of forward runs (default 150)
+ *   initialState, params, integrator, dt, maxTime   the entry to fly
+ *   onProgress({ evaluations, best })   called after every forward run
+ *   signal          AbortSignal; stops with the best schedule so far
+ *
+ * Resolves to { schedule, energy, value, feasible, evaluations, constant },
+ * where constant is the weakest constant field meeting the limit and its
+ * energy, for comparison. If even maxField everywhere breaks the limit,
+ * feasible is false and that schedule is returned.
+ */
+export async function optimizeMagnetSchedule(options) {
+  const {
+    basis = 'time',
+    knots = 8,
+    constraint = 'tileCapacity',
+    limit,
+    maxField,
+    maxEvaluations = 150,
+    onProgress,
+    signal,
+  } = options;
+  if (!OPTIMIZER_CONSTRAINTS[constraint]) {
+    throw new Error(`Unknown optimizer constraint: ${constraint}`);
+  }
+  if (!(limit > 0) || !(maxField > 0)) {
+    throw new Error('Optimizer limit and maxField must be positive numbers');
+  }
+
+  let evaluations = 0;
+  let best = null;
+  const toSchedule = (fields) => ({ basis, points: xs.map((x, i) => [x, fields[i]]) });
+  const evaluate = async (fields) => {
+    const run = fly(toSchedule(fields), options);
+    evaluations++;
+    const candidate = { fields, energy: run.energy, value: run[constraint], feasible: run[constraint] <= limit };
+    if (candidate.feasible && (!best || candidate.energy < best.energy)) best = candidate;
+    if (onProgress) onProgress({ evaluations, best: best && { energy: best.energy, value: best.value } });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    return candidate;
+  };
+  const finish = (fallback) => {
+    const chosen = best ?? fallback;
+    return {
+      schedule: toSchedule(chosen.fields),
+      energy: chosen.energy,
+      value: chosen.value,
+      feasible: chosen.feasible,
+      evaluations,
+      constant,
+    };
+  };
+  const outOfBudget = () => evaluations >= maxEvaluations || signal?.aborted;
+
+  const baseline = fly(null, options);
+  const xs = knotPositions(baseline, basis, knots);
+  const flat = (field) => xs.map(() => field);
+  let constant = { field: 0, energy: 0 };
+
+  if (baseline[constraint] <= limit) {
+    best = { fields: flat(0), energy: 0, value: baseline[constraint], feasible: true };
+    return finish(best);
+  }
+  const strongest = await evaluate(flat(maxField));
+  if (!strongest.feasible) {
+    constant = null;
+    return finish(strongest);
+  }
+
+  // Weakest constant field that meets the limit.
+  let lo = 0;
+  let hi = maxField;
+  let feasibleConstant = strongest;
+  while (hi - lo > maxField / 64 && !outOfBudget()) {
+    const mid = (lo + hi) / 2;
+    const candidate = await evaluate(flat(mid));
+    if (candidate.feasible) {
+      hi = mid;
+      feasibleConstant = candidate;
+    } else {
+      lo = mid;
+    }
+  }
+  constant = { field: hi, energy: feasibleConstant.energy };
+
+  // Walk the knots down, then try moving field between neighbours.
+  let current = feasibleConstant;
+  let step = hi / 2;
+  const tryFields = async (fields) => {
+    const candidate = await evaluate(fields);
+    if (candidate.feasible && candidate.energy < current.energy) {
+      current = candidate;
+      return true;
+    }
+    return false;
+  };
+  while (step > maxField / 256 && !outOfBudget()) {
+    let improved = false;
+    for (let i = 0; i < knots && !outOfBudget(); i++) {
+      if (current.fields[i] <= 0) continue;
+      const fields = [...current.fields];
+      fields[i] = Math.max(fields[i] - step, 0);
+      if (await tryFields(fields)) improved = true;
+    }
+    for (let i = 0; i < knots && !improved && !outOfBudget(); i++) {
+      if (current.fields[i] <= 0) continue;
+      for (const j of [i - 1, i + 1]) {
+        if (j < 0 || j >= knots || outOfBudget()) continue;
+        const fields = [...current.fields];
+        const moved = Math.min(step, fields[i]);
+        fields[i] -= moved;
+        fields[j] = Math.min(fields[j] + moved / 2, maxField);
+        if (await tryFields(fields)) {
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+  return finish(current);
+}
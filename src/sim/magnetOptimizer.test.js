@@ -0,0 +1,33 @@
+import { optimizeMagnetSchedule } from './magnetOptimizer.js';
+import { runSimulation } from './engine.js';
+
+// A coarse step and a small search keep the suite fast.
+const SEARCH = { dt: 2, knots: 4, maxField: 1, maxEvaluations: 25 };
+
+test('a shaped schedule meets the tile limit for less energy than a constant field', async () => {
+  const result = await optimizeMagnetSchedule({ ...SEARCH, constraint: 'tileCapacity', limit: 45 });
+  expect(result.feasible).toBe(true);
+  expect(result.value).toBeLessThanOrEqual(45);
+  expect(result.energy).toBeLessThan(result.constant.energy);
+  expect(result.evaluations).toBeLessThanOrEqual(25);
+
+  // The schedule is flyable in the engine at the live timestep.
+  const run = runSimulation({ magnetSchedule: result.schedule });
+  expect(run[run.length - 1].tileCapacityUsed).toBeLessThan(45.5);
+});
+
+test('a peak heat flux limit is honoured', async () => {
+  const result = await optimizeMagnetSchedule({ ...SEARCH, basis: 'altitude', constraint: 'peakHeatFlux', limit: 2.5e5 });
+  expect(result.feasible).toBe(true);
+  expect(result.value).toBeLessThanOrEqual(2.5e5);
+  expect(result.schedule.basis).toBe('altitude');
+});
+
+test('a limit already met needs no field, and an unreachable one is reported', async () => {
+  const easy = await optimizeMagnetSchedule({ ...SEARCH, limit: 90 });
+  expect(easy.energy).toBe(0);
+  expect(easy.evaluations).toBe(0);
+  const hard = await optimizeMagnetSchedule({ ...SEARCH, limit: 5 });
+  expect(hard.feasible).toBe(false);
+  expect(hard.constant).toBeNull();
+});
@@ -0,0 +1,56 @@
+// src/sim/magnetSchedule.js
+
+/**
+ * Magnet field schedules.
+ *
+ * A schedule is { basis, points }: basis is 'time' (s since entry) or
+ * 'altitude' (m), and points is a list of [x, field] pairs with x
+ * ascending and the field in tesla. The field is interpolated linearly
+ * between points and held at the end values outside them.
+ */
+
+export const SCHEDULE_BASES = {
+  time: { label: 'Time', unit: 's' },
+  altitude: { label: 'Altitude', unit: 'm' },
+};
+
+/**
+ * Checks a schedule and returns it; throws naming the problem otherwise.
+ */
+export function validateMagnetSchedule(schedule) {
+  if (!schedule || !SCHEDULE_BASES[schedule.basis]) {
+    throw new Error(`Magnet schedule basis must be one of: ${Object.keys(SCHEDULE_BASES).join(', ')}`);
+  }
+  const { points } = schedule;
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error('Magnet schedule needs at least one point');
+  }
+  points.forEach((point, i) => {
+    if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+      throw new Error(`Magnet schedule point ${i} must be an [x, field] pair of numbers`);
+    }
+    if (point[1] < 0) {
+      throw new Error(`Magnet schedule point ${i} has a negative field`);
+    }
+    if (i > 0 && point[0] <= points[i - 1][0]) {
+      throw new Error(`Magnet schedule points must be in ascending ${schedule.basis}`);
+    }
+  });
+  return schedule;
+}
+
+/**
+ * Field (T) the schedule asks for at the given time (s) and altitude (m).
+ */
+export function scheduleField(schedule, time, altitude) {
+  const x = schedule.basis === 'time' ? time : altitude;
+  const { points } = schedule;
+  if (x <= points[0][0]) return points[0][1];
+  const last = points[points.length - 1];
+  if (x >= last[0]) return last[1];
+  let i = 1;
+  while (points[i][0] < x) i++;
+  const [x0, b0] = points[i - 1];
+  const [x1, b1] = points[i];
+  return b0 + ((b1 - b0) * (x - x0)) / (x1 - x0);
+}
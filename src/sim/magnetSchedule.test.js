@@ -0,0 +1,17 @@
+import { scheduleField, validateMagnetSchedule } from './magnetSchedule.js';
+
+test('the field interpolates between points and holds at the ends', () => {
+  const schedule = { basis: 'altitude', points: [[40000, 0], [60000, 1], [80000, 0.5]] };
+  expect(scheduleField(schedule, 0, 50000)).toBeCloseTo(0.5, 12);
+  expect(scheduleField(schedule, 0, 70000)).toBeCloseTo(0.75, 12);
+  expect(scheduleField(schedule, 0, 10000)).toBe(0);
+  expect(scheduleField(schedule, 0, 120000)).toBe(0.5);
+  expect(scheduleField({ ...schedule, basis: 'time' }, 60000, 0)).toBe(1);
+});
+
+test('malformed schedules are rejected with a reason', () => {
+  expect(() => validateMagnetSchedule({ basis: 'mach', points: [[0, 1]] })).toThrow(/basis/);
+  expect(() => validateMagnetSchedule({ basis: 'time', points: [] })).toThrow(/at least one/);
+  expect(() => validateMagnetSchedule({ basis: 'time', points: [[0, -1]] })).toThrow(/negative/);
+  expect(() => validateMagnetSchedule({ basis: 'time', points: [[5, 1], [5, 2]] })).toThrow(/ascending/);
+});
@@ -0,0 +1,195 @@
+// src/sim/mhd.js
+
+/**
+ * Magnetohydrodynamic (MHD) heat-shield model.
+ *
+ * A magnet in the nose pushes on the ionised shock layer. How hard it
+ * pushes is measured by the magnetic interaction (Stuart) parameter
+ *
+ *   Q = sigma * B^2 * Rn / (rho * V)
+ *
+ * with sigma the shock-layer electrical conductivity, B the field, Rn the
+ * nose radius and rho, V the freestream density and speed. Q > ~1 means
+ * the Lorentz force is comparable to the flow's inertia: the shock stands
+ * further off the body, which lowers the stagnation-point velocity
+ * gradient and with it the convective heat flux.
+ *
+ * The relations here are engineering estimates meant for trade studies,
+ * not a resolved MHD solution:
+ *  - post-shock temperature: perfect-gas normal shock, capped by an
+ *    equilibrium-air curve once dissociation sets in;
+ *  - conductivity: equilibrium-air sigma(T), interpolated in log space;
+ *  - standoff: delta0 = 0.78 * eps * Rn (Billig), growing as (1 + Q)^(1/3);
+ *  - heating: q / q0 = sqrt(delta0 / delta), since stagnation heating goes
+ *    as the square root of the velocity gradient, which scales inversely
+ *    with standoff.
+ */
+
+const MU0 = 4 * Math.PI * 1e-7; // Vacuum permeability (H/m)
+
+// Equilibrium post-normal-shock temperature of air: [speed (m/s), T (K)].
+const EQUILIBRIUM_SHOCK_TEMPERATURE = [
+  [2000, 2100],
+  [3000, 3500],
+  [4000, 4500],
+  [5000, 5200],
+  [6000, 5900],
+  [7000, 6500],
+  [8000, 7200],
+  [9000, 8000],
+  [10000, 9000],
+  [11000, 10500],
+  [12000, 11500],
+];
+
+// Equilibrium air electrical conductivity: [T (K), sigma (S/m)].
+const AIR_CONDUCTIVITY = [
+  [3000, 1e-3],
+  [4000, 0.3],
+  [5000, 10],
+  [6000, 80],
+  [7000, 350],
+  [8000, 1000],
+  [10000, 2800],
+  [12000, 4500],
+  [15000, 6500],
+  [20000, 9000],
+];
+
+/**
+ * Coil conductor options. currentDensity is the engineering current
+ * density (A/m²) the winding is designed to; specificPower is the
+ * cryocooler power per kg of winding for superconductors (W/kg).
+ */
+export const COIL_CONDUCTORS = {
+  copper: {
+    label: 'Copper (resistive)',
+    currentDensity: 5e6,
+    density: 8960, // kg/m^3
+    resistivity: 1.7e-8, // Ohm m
+    specificPower: 0,
+  },
+  hts: {
+    label: 'HTS (REBCO, cryocooled)',
+    currentDensity: 3e8,
+    density: 8900,
+    resistivity: 0,
+    specificPower: 5,
+  },
+};
+
+// Structural material reacting the magnetic hoop stress.
+const STRUCTURE_DENSITY = 8000; // kg/m^3
+const STRUCTURE_ALLOWABLE_STRESS = 1e9; // Pa
+
+function interpolate(table, x, logValues = false) {
+  if (x <= table[0][0]) return table[0][1];
+  const last = table[table.length - 1];
+  if (x >= last[0]) return last[1];
+  let i = 0;
+  while (x > table[i + 1][0]) i++;
+  const [x0, y0] = table[i];
+  const [x1, y1] = table[i + 1];
+  const f = (x - x0) / (x1 - x0);
+  if (logValues) {
+    return Math.exp(Math.log(y0) + f * (Math.log(y1) - Math.log(y0)));
+  }
+  return y0 + f * (y1 - y0);
+}
+
+/**
+ * Shock density ratio eps = rho_freestream / rho_shock. Falls from the
+ * perfect-gas 1/6 toward ~1/14 as real-gas effects lower the effective
+ * ratio of specific heats.
+ */
+export function shockDensityRatio(speed) {
+  const gammaEff = 1.4 - 0.25 * Math.min(Math.max((speed - 2000) / 5000, 0), 1);
+  return (gammaEff - 1) / (gammaEff + 1);
+}
+
+/**
+ * Post-normal-shock temperature (K).
+ */
+export function postShockTemperature(speed, temperature, speedOfSound) {
+  const gamma = 1.4;
+  const M2 = (speed / Math.max(speedOfSound, 1)) ** 2;
+  if (M2 <= 1) return temperature;
+  const perfectGas =
+    (temperature * (2 * gamma * M2 - (gamma - 1)) * ((gamma - 1) * M2 + 2)) / ((gamma + 1) ** 2 * M2);
+  return Math.min(perfectGas, interpolate(EQUILIBRIUM_SHOCK_TEMPERATURE, speed));
+}
+
+/**
+ * Equilibrium air electrical conductivity (S/m) at the given temperature.
+ */
+export function plasmaConductivity(temperature) {
+  if (temperature < AIR_CONDUCTIVITY[0][0]) return 0;
+  return interpolate(AIR_CONDUCTIVITY, temperature, true);
+}
+
+/**
+ * Magnetic interaction (Stuart) parameter.
+ */
+export function stuartNumber(conductivity, field, noseRadius, density, speed) {
+  if (density <= 0 || speed <= 0) return 0;
+  return (conductivity * field * field * noseRadius) / (density * speed);
+}
+
+/**
+ * Shock-layer MHD state for one flight condition.
+ *
+ * atmosphere   { density, temperature, speedOfSound } of the freestream
+ * field        magnetic field strength in the shock layer (T)
+ *
+ * Returns post-shock temperature (K), conductivity (S/m), Stuart number,
+ * shock standoff with and without the field (m) and the resulting
+ * heat-flux ratio q / q0 (1 = no reduction).
+ */
+export function mhdShockLayer(atmosphere, speed, field, noseRadius) {
+  const { density, temperature, speedOfSound } = atmosphere;
+  const shockTemperature = postShockTemperature(speed, temperature, speedOfSound);
+  const conductivity = plasmaConductivity(shockTemperature);
+  const Q = stuartNumber(conductivity, field, noseRadius, density, speed);
+  const standoff0 = 0.78 * shockDensityRatio(speed) * noseRadius;
+  const standoff = standoff0 * Math.cbrt(1 + Q);
+  return {
+    postShockTemperature: shockTemperature,
+    plasmaConductivity: conductivity,
+    stuartNumber: Q,
+    shockStandoffUnmagnetized: standoff0,
+    shockStandoff: standoff,
+    heatFluxRatio: Math.sqrt(standoff0 / standoff),
+  };
+}
+
+/**
+ * Sizes a single-loop coil of the given radius for a field at its centre
+ * (B = mu0 * N * I / (2 * a)).
+ *
+ * Returns ampere-turns, winding and structure mass (kg), total coil mass
+ * and the electrical power (W) to hold the field: ohmic loss for copper,
+ * cryocooler power for superconductors.
+ */
+export function coilRequirements(field, coilRadius, conductorId) {
+  const conductor = COIL_CONDUCTORS[conductorId];
+  if (!conductor) {
+    throw new Error(`Unknown coil conductor: ${conductorId}`);
+  }
+  const ampereTurns = (2 * coilRadius * field) / MU0;
+  const windingVolume = (2 * Math.PI * coilRadius * ampereTurns) / conductor.currentDensity;
+  const windingMass = windingVolume * conductor.density;
+  // Virial theorem: structure mass >= rho * W / sigma. Stored energy is
+  // approximated as the field energy density over a sphere of the coil radius.
+  const storedEnergy = ((field * field) / (2 * MU0)) * (4 / 3) * Math.PI * coilRadius ** 3;
+  const structureMass = (STRUCTURE_DENSITY * storedEnergy) / STRUCTURE_ALLOWABLE_STRESS;
+  const ohmicPower = conductor.resistivity * conductor.currentDensity ** 2 * windingVolume;
+  const cryoPower = conductor.specificPower * windingMass;
+  return {
+    ampereTurns,
+    windingMass,
+    structureMass,
+    coilMass: windingMass + structureMass,
+    storedEnergy,
+    electricalPower: ohmicPower + cryoPower,
+  };
+}
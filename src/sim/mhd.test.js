@@ -0,0 +1,34 @@
+import { mhdShockLayer, coilRequirements, postShockTemperature, plasmaConductivity } from './mhd.js';
+import { usStandardAtmosphere1976 } from './atmosphere.js';
+
+const atmosphere = usStandardAtmosphere1976(70000);
+
+test('no field means no heat-flux reduction', () => {
+  const layer = mhdShockLayer(atmosphere, 7000, 0, 4.5);
+  expect(layer.stuartNumber).toBe(0);
+  expect(layer.heatFluxRatio).toBe(1);
+  expect(layer.shockStandoff).toBeCloseTo(layer.shockStandoffUnmagnetized, 9);
+});
+
+test('a stronger field pushes the shock out and cuts heating', () => {
+  const weak = mhdShockLayer(atmosphere, 7000, 1, 4.5);
+  const strong = mhdShockLayer(atmosphere, 7000, 4, 4.5);
+  expect(strong.stuartNumber).toBeCloseTo(16 * weak.stuartNumber, 6);
+  expect(strong.shockStandoff).toBeGreaterThan(weak.shockStandoff);
+  expect(strong.heatFluxRatio).toBeLessThan(weak.heatFluxRatio);
+  expect(strong.heatFluxRatio).toBeGreaterThan(0);
+});
+
+test('the shock layer only conducts once it is hot enough', () => {
+  expect(plasmaConductivity(postShockTemperature(1000, 220, 300))).toBe(0);
+  expect(plasmaConductivity(postShockTemperature(7000, 220, 300))).toBeGreaterThan(100);
+});
+
+test('superconducting coils are far lighter and cheaper to run than copper', () => {
+  const hts = coilRequirements(2, 4, 'hts');
+  const copper = coilRequirements(2, 4, 'copper');
+  expect(hts.coilMass).toBeLessThan(copper.coilMass);
+  expect(hts.electricalPower).toBeLessThan(copper.electricalPower);
+  expect(coilRequirements(0, 4, 'copper').electricalPower).toBe(0);
+  expect(() => coilRequirements(1, 1, 'unobtainium')).toThrow(/Unknown coil conductor/);
+});
@@ -0,0 +1,75 @@
+import {
+  createRandom,
+  nominalInputs,
+  sampleInputs,
+  percentile,
+  runDispersedCase,
+  runMonteCarlo,
+  DEFAULT_DISPERSIONS,
+} from './montecarlo.js';
+
+// Short runs keep the suite fast; the metrics still respond to every input.
+const SHORT = { maxTime: 200, dt: 0.5 };
+
+test('draws are repeatable for a seed and match the requested spread', () => {
+  expect(createRandom(7)()).toBe(createRandom(7)());
+  const random = createRandom(3);
+  const nominal = nominalInputs();
+  const speeds = Array.from({ length: 5000 }, () => sampleInputs(random, nominal).speed);
+  const mean = speeds.reduce((a, b) => a + b, 0) / speeds.length;
+  const std = Math.sqrt(speeds.reduce((a, b) => a + (b - mean) ** 2, 0) / speeds.length);
+  expect(mean).toBeCloseTo(nominal.speed, -1);
+  expect(std / DEFAULT_DISPERSIONS.speed.sigma).toBeCloseTo(1, 1);
+});
+
+test('draws are clamped to physical values and undispersed inputs stay nominal', () => {
+  const random = createRandom(1);
+  const nominal = nominalInputs({ magnetPower: 0 });
+  const draws = Array.from({ length: 200 }, () => sampleInputs(random, nominal, {
+    magnetPower: { distribution: 'uniform', sigma: 1 },
+  }));
+  draws.forEach((inputs) => {
+    expect(inputs.magnetPower).toBeGreaterThanOrEqual(0);
+    expect(inputs.speed).toBe(nominal.speed);
+  });
+});
+
+test('percentiles interpolate between samples', () => {
+  expect(percentile([0, 10, 20, 30], 50)).toBe(15);
+  expect(percentile([0, 10, 20, 30], 100)).toBe(30);
+});
+
+test('a denser atmosphere raises heating and g-load', () => {
+  const nominal = nominalInputs();
+  const base = runDispersedCase(nominal, SHORT);
+  const dense = runDispersedCase({ ...nominal, densityScale: 1.5 }, SHORT);
+  expect(dense.peakHeatFlux).toBeGreaterThan(base.peakHeatFlux);
+  expect(dense.peakG).toBeGreaterThan(base.peakG);
+  expect(dense.tileMargin).toBeLessThan(base.tileMargin);
+});
+
+test('a study is repeatable and reports percentiles for every metric', async () => {
+  const first = await runMonteCarlo({ runs: 5, seed: 11, ...SHORT });
+  const second = await runMonteCarlo({ runs: 5, seed: 11, ...SHORT });
+  expect(second.results).toEqual(first.results);
+  const { summary } = first;
+  expect(summary.runs).toBe(5);
+  ['peakHeatFlux', 'heatLoad', 'peakG', 'tileMargin'].forEach((key) => {
+    const { min, max, percentiles } = summary.metrics[key];
+    expect(percentiles[50]).toBeGreaterThanOrEqual(min);
+    expect(percentiles[50]).toBeLessThanOrEqual(max);
+  });
+});
+
+test('an aborted study stops between runs', async () => {
+  const controller = new AbortController();
+  const { results } = await runMonteCarlo({
+    runs: 10,
+    ...SHORT,
+    signal: controller.signal,
+    onProgress: (done) => {
+      if (done === 2) controller.abort();
+    },
+  });
+  expect(results).toHaveLength(2);
+});
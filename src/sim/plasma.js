@@ -0,0 +1,65 @@
+// src/sim/plasma.js
+
+/**
+ * Plasma sheath appearance.
+ *
+ * The shock layer ahead of the windward surface glows at roughly the
+ * post-shock gas temperature. How bright it looks follows the heat flux
+ * that actually reaches the tiles, and it only lights up once the
+ * freestream energy flux (density * v^3) approaches the plasma threshold.
+ * The magnet pushes the shock further off the body (see mhd.js); the ratio
+ * of the unmagnetized to the actual standoff says how far.
+ *
+ * These are display mappings for the 3D view, not emission physics.
+ */
+
+// Effective heat flux (W/m²) over which the glow goes from faint to full.
+export const SHEATH_FLUX_RANGE = [1e3, 1e6];
+
+// Color temperatures (K) are clamped to what the blackbody fit covers.
+const MIN_COLOR_TEMPERATURE = 1000;
+const MAX_COLOR_TEMPERATURE = 40000;
+
+const clamp01 = (x) => Math.min(Math.max(x, 0), 1);
+
+/**
+ * Approximate sRGB color of a blackbody at the given temperature (K), as
+ * [r, g, b] in 0..1. Uses Tanner Helland's curve fit to the CIE data.
+ */
+export function blackbodyColor(temperature) {
+  const t = Math.min(Math.max(temperature, MIN_COLOR_TEMPERATURE), MAX_COLOR_TEMPERATURE) / 100;
+  const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const g = t <= 66
+    ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  let b;
+  if (t >= 66) b = 255;
+  else if (t <= 19) b = 0;
+  else b = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  return [r, g, b].map((c) => clamp01(c / 255));
+}
+
+/**
+ * Sheath appearance for one simulation state.
+ *
+ * Returns:
+ *   intensity    0..1 brightness of the glow
+ *   color        [r, g, b] from the post-shock temperature
+ *   standoff     shock standoff (m) with the current field
+ *   compression  unmagnetized / actual standoff, 1 with the magnet off and
+ *                falling toward 0 as the field pushes the shock out
+ */
+export function plasmaSheath(state, plasmaThreshold) {
+  const [low, high] = SHEATH_FLUX_RANGE;
+  const brightness = clamp01(Math.log10(Math.max(state.effectiveHeatFlux, low) / low) / Math.log10(high / low));
+  // Fade in over the decade below the threshold rather than switching on.
+  const onset = state.plasmaFluxDensity > 0
+    ? clamp01(1 + Math.log10(state.plasmaFluxDensity / plasmaThreshold))
+    : 0;
+  return {
+    intensity: brightness * onset,
+    color: blackbodyColor(state.postShockTemperature),
+    standoff: state.shockStandoff,
+    compression: state.shockStandoff > 0 ? clamp01(state.shockStandoffUnmagnetized / state.shockStandoff) : 1,
+  };
+}
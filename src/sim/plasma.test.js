@@ -0,0 +1,43 @@
+import { blackbodyColor, plasmaSheath } from './plasma.js';
+import { runSimulation } from './engine.js';
+
+test('blackbody color runs from red through white to blue', () => {
+  const [r1, g1, b1] = blackbodyColor(2000);
+  expect(r1).toBe(1);
+  expect(g1).toBeLessThan(r1);
+  expect(b1).toBeLessThan(g1);
+  blackbodyColor(6600).forEach((c) => expect(c).toBeGreaterThan(0.9));
+  const [r2, , b2] = blackbodyColor(20000);
+  expect(b2).toBe(1);
+  expect(r2).toBeLessThan(b2);
+  // Out-of-range temperatures are clamped.
+  expect(blackbodyColor(100)).toEqual(blackbodyColor(1000));
+});
+
+test('sheath fades in below the plasma threshold and follows heat flux', () => {
+  const base = {
+    effectiveHeatFlux: 1e5,
+    plasmaFluxDensity: 1e6,
+    postShockTemperature: 6000,
+    shockStandoff: 0.3,
+    shockStandoffUnmagnetized: 0.3,
+  };
+  const lit = plasmaSheath(base, 1e5);
+  expect(lit.intensity).toBeCloseTo(2 / 3, 6);
+  expect(lit.compression).toBe(1);
+  expect(plasmaSheath({ ...base, plasmaFluxDensity: 1e4 }, 1e5).intensity).toBe(0);
+  expect(plasmaSheath({ ...base, plasmaFluxDensity: 10 ** 4.5 }, 1e5).intensity).toBeCloseTo(lit.intensity / 2, 6);
+  expect(plasmaSheath({ ...base, effectiveHeatFlux: 1e6 }, 1e5).intensity).toBe(1);
+  expect(plasmaSheath({ ...base, effectiveHeatFlux: 10 }, 1e5).intensity).toBe(0);
+});
+
+test('the magnet dims the sheath and pushes it off the body', () => {
+  const peak = (states) => states.reduce((a, b) => (b.effectiveHeatFlux > a.effectiveHeatFlux ? b : a));
+  const off = peak(runSimulation({ dt: 2, magnetPower: 0 }));
+  const on = peak(runSimulation({ dt: 2, magnetPower: 1 }));
+  const sheathOff = plasmaSheath(off, 1e5);
+  const sheathOn = plasmaSheath(on, 1e5);
+  expect(sheathOn.intensity).toBeLessThan(sheathOff.intensity);
+  expect(sheathOn.standoff).toBeGreaterThan(sheathOff.standoff);
+  expect(sheathOn.compression).toBeLessThan(1);
+});
@@ -0,0 +1,370 @@
+// src/sim/scenario.js
+import { INITIAL_CONDITIONS, DEFAULT_INTEGRATOR } from './engine.js';
+import { DEFAULT_PARAMS } from './dynamics.js';
+import { DEFAULT_TPS_PARAMS } from './tps.js';
+import { DEFAULT_LOAD_LIMITS } from './loads.js';
+import { ATMOSPHERE_MODELS } from './atmosphere.js';
+import { INTEGRATORS } from './integrators.js';
+import { validateMagnetSchedule } from './magnetSchedule.js';
+import { VEHICLE_PRESETS, DEFAULT_VEHICLE, validateVehicle, vehicleToParams } from './vehicles.js';
+
+/**
+ * Scenarios: everything needed to fly a run again, in one shareable file.
+ *
+ * A scenario is
+ *   name           label for the run
+ *   initialState   { altitude (m), downrange (m), speed (m/s),
+ *                    flightPathAngle, latitude, longitude, heading (deg),
+ *                    pitch (deg, or null for the vehicle's trim attitude) }
+ *   environment    { atmosphere (key into ATMOSPHERE_MODELS), integrator
+ *                    (key into INTEGRATORS), plasmaThreshold (W/m²),
+ *                    bankAngle (deg), landingSite ({ latitude, longitude }
+ *                    in deg for entry guidance to steer to, or null),
+ *                    flapMode ('auto' | 'manual'), flapDeflections (deg) }
+ *   vehicle        a vehicle definition (see vehicles.js), or a preset id
+ *   magnet         { power (T), schedule (see magnetSchedule.js, or null) }
+ *   limits         { crewGLimits ([[seconds, g], ...]), maxDynamicPressure
+ *                    (Pa), cautionFraction }: the load limits alarms are
+ *                    raised against (see loads.js)
+ *   duration       simulated seconds to stop after, or null to fly to
+ *                  touchdown
+ *
+ * Angles are in degrees, as in vehicle files. Scenarios are saved as JSON
+ * or packed into a URL query string, which only lists what differs from
+ * DEFAULT_SCENARIO so links stay short. Numbers are written in full, so a
+ * link flies exactly the same run.
+ */
+
+export const SCENARIO_FORMAT = 'starship-reentry-scenario';
+export const SCENARIO_VERSION = 1;
+
+const RAD_TO_DEG = 180 / Math.PI;
+const DEG_TO_RAD = Math.PI / 180;
+
+const FLAP_MODES = ['auto', 'manual'];
+
+export const DEFAULT_SCENARIO = {
+  name: 'Nominal entry',
+  initialState: {
+    altitude: INITIAL_CONDITIONS.altitude,
+    downrange: INITIAL_CONDITIONS.downrange,
+    speed: INITIAL_CONDITIONS.speed,
+    flightPathAngle: -1.5,
+    latitude: 0,
+    longitude: 0,
+    heading: 90,
+    pitch: null,
+  },
+  environment: {
+    atmosphere: DEFAULT_PARAMS.atmosphere,
+    integrator: DEFAULT_INTEGRATOR,
+    plasmaThreshold: DEFAULT_TPS_PARAMS.plasmaThreshold,
+    bankAngle: 0,
+    landingSite: null,
+    flapMode: DEFAULT_PARAMS.flapMode,
+    flapDeflections: DEFAULT_PARAMS.flapDeflections.map((d) => Math.round(d * RAD_TO_DEG)),
+  },
+  vehicle: DEFAULT_VEHICLE,
+  magnet: { power: 0, schedule: null },
+  limits: DEFAULT_LOAD_LIMITS,
+  duration: null,
+};
+
+function finiteNumber(value, path) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n)) {
+    throw new Error(`${path} must be a number`);
+  }
+  return n;
+}
+
+function positiveNumber(value, path) {
+  const n = finiteNumber(value, path);
+  if (n <= 0) {
+    throw new Error(`${path} must be a positive number`);
+  }
+  return n;
+}
+
+function nonNegativeNumber(value, path) {
+  const n = finiteNumber(value, path);
+  if (n < 0) {
+    throw new Error(`${path} must be a number >= 0`);
+  }
+  return n;
+}
+
+function oneOf(value, options, path) {
+  if (!options.includes(value)) {
+    throw new Error(`${path} must be one of ${options.join(', ')}`);
+  }
+  return value;
+}
+
+function validateVehicleField(vehicle) {
+  if (typeof vehicle === 'string') {
+    if (!VEHICLE_PRESETS[vehicle]) {
+      throw new Error(`vehicle must be a vehicle definition or one of ${Object.keys(VEHICLE_PRESETS).join(', ')}`);
+    }
+    return validateVehicle(VEHICLE_PRESETS[vehicle]);
+  }
+  try {
+    return validateVehicle(vehicle);
+  } catch (err) {
+    throw new Error(`vehicle: ${err.message}`);
+  }
+}
+
+/**
+ * Checks a scenario and returns a complete, normalised copy: missing
+ * fields take their DEFAULT_SCENARIO values, numbers are coerced and a
+ * preset id is replaced by the preset's definition. Throws an Error naming
+ * the first offending field.
+ */
+export function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new Error('Scenario must be an object');
+  }
+  const initial = { ...DEFAULT_SCENARIO.initialState, ...scenario.initialState };
+  const environment = { ...DEFAULT_SCENARIO.environment, ...scenario.environment };
+  const magnet = { ...DEFAULT_SCENARIO.magnet, ...scenario.magnet };
+  const limits = { ...DEFAULT_SCENARIO.limits, ...scenario.limits };
+  const vehicle = validateVehicleField(scenario.vehicle ?? DEFAULT_SCENARIO.vehicle);
+  const { landingSite, flapDeflections } = environment;
+  if (!Array.isArray(flapDeflections) || flapDeflections.length !== 4) {
+    throw new Error('environment.flapDeflections must list four angles');
+  }
+  const power = nonNegativeNumber(magnet.power, 'magnet.power');
+  if (power > vehicle.magnet.maxField) {
+    throw new Error(`magnet.power must be at most the vehicle's maxField of ${vehicle.magnet.maxField} T`);
+  }
+  const { crewGLimits } = limits;
+  if (!Array.isArray(crewGLimits) || crewGLimits.length === 0) {
+    throw new Error('limits.crewGLimits must list at least one [seconds, g] limit');
+  }
+  let schedule = null;
+  if (magnet.schedule != null) {
+    try {
+      schedule = validateMagnetSchedule(magnet.schedule);
+    } catch (err) {
+      throw new Error(`magnet.schedule: ${err.message}`);
+    }
+  }
+  return {
+    name: String(scenario.name || DEFAULT_SCENARIO.name),
+    initialState: {
+      altitude: positiveNumber(initial.altitude, 'initialState.altitude'),
+      downrange: finiteNumber(initial.downrange, 'initialState.downrange'),
+      speed: positiveNumber(initial.speed, 'initialState.speed'),
+      flightPathAngle: finiteNumber(initial.flightPathAngle, 'initialState.flightPathAngle'),
+      latitude: finiteNumber(initial.latitude, 'initialState.latitude'),
+      longitude: finiteNumber(initial.longitude, 'initialState.longitude'),
+      heading: finiteNumber(initial.heading, 'initialState.heading'),
+      pitch: initial.pitch === null ? null : finiteNumber(initial.pitch, 'initialState.pitch'),
+    },
+    environment: {
+      atmosphere: oneOf(environment.atmosphere, Object.keys(ATMOSPHERE_MODELS), 'environment.atmosphere'),
+      integrator: oneOf(environment.integrator, Object.keys(INTEGRATORS), 'environment.integrator'),
+      plasmaThreshold: nonNegativeNumber(environment.plasmaThreshold, 'environment.plasmaThreshold'),
+      bankAngle: finiteNumber(environment.bankAngle, 'environment.bankAngle'),
+      landingSite:
+        landingSite === null
+          ? null
+          : {
+              latitude: finiteNumber(landingSite.latitude, 'environment.landingSite.latitude'),
+              longitude: finiteNumber(landingSite.longitude, 'environment.landingSite.longitude'),
+            },
+      flapMode: oneOf(environment.flapMode, FLAP_MODES, 'environment.flapMode'),
+      flapDeflections: flapDeflections.map((d, i) => finiteNumber(d, `environment.flapDeflections[${i}]`)),
+    },
+    vehicle,
+    magnet: { power, schedule },
+    limits: {
+      crewGLimits: crewGLimits.map((limit, i) => {
+        if (!Array.isArray(limit) || limit.length !== 2) {
+          throw new Error(`limits.crewGLimits[${i}] must be a [seconds, g] pair`);
+        }
+        return [
+          positiveNumber(limit[0], `limits.crewGLimits[${i}] seconds`),
+          positiveNumber(limit[1], `limits.crewGLimits[${i}] g`),
+        ];
+      }),
+      maxDynamicPressure: positiveNumber(limits.maxDynamicPressure, 'limits.maxDynamicPressure'),
+      cautionFraction: positiveNumber(limits.cautionFraction, 'limits.cautionFraction'),
+    },
+    duration: scenario.duration == null ? null : positiveNumber(scenario.duration, 'duration'),
+  };
+}
+
+export function serializeScenario(scenario) {
+  return JSON.stringify({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, ...scenario }, null, 2);
+}
+
+/**
+ * Parses and validates a scenario JSON document.
+ */
+export function parseScenario(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Scenario file is not valid JSON: ${err.message}`);
+  }
+  if (!data || data.format !== SCENARIO_FORMAT) {
+    throw new Error('Scenario JSON is not a scenario file');
+  }
+  if (data.version > SCENARIO_VERSION) {
+    throw new Error(`Scenario JSON version ${data.version} is newer than this app supports`);
+  }
+  const { format, version, ...scenario } = data;
+  return validateScenario(scenario);
+}
+
+// Query string keys for each scenario field: [key, path into the scenario].
+const QUERY_FIELDS = [
+  ['name', ['name']],
+  ['alt', ['initialState', 'altitude']],
+  ['x', ['initialState', 'downrange']],
+  ['v', ['initialState', 'speed']],
+  ['fpa', ['initialState', 'flightPathAngle']],
+  ['lat', ['initialState', 'latitude']],
+  ['lon', ['initialState', 'longitude']],
+  ['hdg', ['initialState', 'heading']],
+  ['pitch', ['initialState', 'pitch']],
+  ['atm', ['environment', 'atmosphere']],
+  ['int', ['environment', 'integrator']],
+  ['plasma', ['environment', 'plasmaThreshold']],
+  ['bank', ['environment', 'bankAngle']],
+  ['site', ['environment', 'landingSite']],
+  ['flaps', ['environment', 'flapMode']],
+  ['defl', ['environment', 'flapDeflections']],
+  ['veh', ['vehicle']],
+  ['mag', ['magnet', 'power']],
+  ['sched', ['magnet', 'schedule']],
+  ['crew', ['limits', 'crewGLimits']],
+  ['qmax', ['limits', 'maxDynamicPressure']],
+  ['caution', ['limits', 'cautionFraction']],
+  ['dur', ['duration']],
+];
+
+const getPath = (object, path) => path.reduce((value, key) => value[key], object);
+const setPath = (object, [key, ...rest], value) =>
+  rest.length === 0 ? { ...object, [key]: value } : { ...object, [key]: setPath(object[key] ?? {}, rest, value) };
+
+// Query value for one field; null stands for null, lists are comma-separated,
+// landing sites are "latitude,longitude" and crew limits "seconds:g,...".
+function encodeField(key, value) {
+  if (value === null) return 'null';
+  if (key === 'site') return `${value.latitude},${value.longitude}`;
+  if (key === 'crew') return value.map((limit) => limit.join(':')).join(',');
+  if (key === 'defl') return value.join(',');
+  if (key === 'sched') return JSON.stringify(value);
+  return String(value);
+}
+
+function decodeField(key, text) {
+  if (text === 'null') return null;
+  if (key === 'site') {
+    const [latitude, longitude] = text.split(',');
+    return { latitude, longitude };
+  }
+  if (key === 'defl') return text.split(',');
+  if (key === 'crew') return text.split(',').map((limit) => limit.split(':'));
+  if (key === 'veh' || key === 'sched') {
+    if (!text.startsWith('{')) return text;
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Scenario link field ${key} is not valid JSON: ${err.message}`);
+    }
+  }
+  return text;
+}
+
+/**
+ * Packs a (validated) scenario into a query string, without the leading
+ * "?". A vehicle that matches a preset is written as the preset id, any
+ * other as its JSON definition.
+ */
+export function scenarioToQuery(scenario) {
+  const defaults = validateScenario(DEFAULT_SCENARIO);
+  const presetId = Object.keys(VEHICLE_PRESETS).find(
+    (id) => JSON.stringify(validateVehicle(VEHICLE_PRESETS[id])) === JSON.stringify(scenario.vehicle)
+  );
+  const query = new URLSearchParams();
+  QUERY_FIELDS.forEach(([key, path]) => {
+    const value = getPath(scenario, path);
+    if (JSON.stringify(value) === JSON.stringify(getPath(defaults, path))) return;
+    if (key === 'veh') {
+      query.set(key, presetId ?? JSON.stringify(value));
+    } else {
+      query.set(key, encodeField(key, value));
+    }
+  });
+  return query.toString();
+}
+
+/**
+ * Reads a scenario from a query string (with or without the leading "?").
+ * Returns null if the query has no scenario fields in it.
+ */
+export function scenarioFromQuery(search) {
+  const query = new URLSearchParams(search);
+  let scenario = {};
+  let found = false;
+  QUERY_FIELDS.forEach(([key, path]) => {
+    if (!query.has(key)) return;
+    found = true;
+    scenario = setPath(scenario, path, decodeField(key, query.get(key)));
+  });
+  return found ? validateScenario(scenario) : null;
+}
+
+/**
+ * Engine state for the start of a run from a scenario's initialState.
+ */
+export function scenarioInitialState(initialState) {
+  const state = {
+    altitude: initialState.altitude,
+    downrange: initialState.downrange,
+    speed: initialState.speed,
+    flightPathAngle: initialState.flightPathAngle * DEG_TO_RAD,
+    latitude: initialState.latitude * DEG_TO_RAD,
+    longitude: initialState.longitude * DEG_TO_RAD,
+    heading: initialState.heading * DEG_TO_RAD,
+  };
+  if (initialState.pitch !== null) state.pitch = initialState.pitch * DEG_TO_RAD;
+  return state;
+}
+
+/**
+ * Engine params for a scenario's environment.
+ */
+export function environmentToParams(environment) {
+  const { landingSite } = environment;
+  return {
+    atmosphere: environment.atmosphere,
+    plasmaThreshold: environment.plasmaThreshold,
+    bankAngle: environment.bankAngle * DEG_TO_RAD,
+    guidanceTarget: landingSite && {
+      latitude: landingSite.latitude * DEG_TO_RAD,
+      longitude: landingSite.longitude * DEG_TO_RAD,
+    },
+    flapMode: environment.flapMode,
+    flapDeflections: environment.flapDeflections.map((d) => d * DEG_TO_RAD),
+  };
+}
+
+/**
+ * createReentryEngine options that fly a (validated) scenario.
+ */
+export function scenarioToEngineOptions(scenario) {
+  return {
+    integrator: scenario.environment.integrator,
+    magnetPower: scenario.magnet.power,
+    magnetSchedule: scenario.magnet.schedule,
+    params: { ...vehicleToParams(scenario.vehicle), ...environmentToParams(scenario.environment), ...scenario.limits },
+    initialState: scenarioInitialState(scenario.initialState),
+    maxTime: scenario.duration,
+  };
+}
@@ -0,0 +1,87 @@
+import {
+  DEFAULT_SCENARIO,
+  validateScenario,
+  serializeScenario,
+  parseScenario,
+  scenarioToQuery,
+  scenarioFromQuery,
+  scenarioToEngineOptions,
+} from './scenario.js';
+import { createReentryEngine, runSimulation, INITIAL_CONDITIONS } from './engine.js';
+import { VEHICLE_PRESETS } from './vehicles.js';
+
+const custom = validateScenario({
+  name: 'Steep Orion',
+  initialState: { altitude: 200000, speed: 7500.25, flightPathAngle: -2.345678901234 },
+  environment: { atmosphere: 'us1976', integrator: 'rk45', bankAngle: -30, landingSite: { latitude: 1.5, longitude: 20 } },
+  vehicle: 'orion',
+  magnet: { power: 1.2 },
+  duration: 400,
+});
+
+test('the default scenario starts from the engine initial conditions', () => {
+  const options = scenarioToEngineOptions(validateScenario(DEFAULT_SCENARIO));
+  expect(options.params.guidanceTarget).toBeNull();
+  Object.entries(options.initialState).forEach(([key, value]) => {
+    expect(value).toBeCloseTo(INITIAL_CONDITIONS[key], 12);
+  });
+});
+
+test('scenarios round-trip through JSON files', () => {
+  expect(parseScenario(serializeScenario(custom))).toEqual(custom);
+  expect(custom.vehicle).toEqual(validateScenario({ vehicle: VEHICLE_PRESETS.orion }).vehicle);
+  expect(() => parseScenario('{')).toThrow(/not valid JSON/);
+  expect(() => parseScenario('{"format": "something else"}')).toThrow(/not a scenario/);
+});
+
+test('scenarios round-trip exactly through a link', () => {
+  const query = scenarioToQuery(custom);
+  // Only what differs from the default goes in, and a preset by name.
+  expect(query).toContain('veh=orion');
+  expect(query).not.toContain('plasma');
+  expect(scenarioFromQuery(`?${query}`)).toEqual(custom);
+  expect(scenarioToQuery(validateScenario(DEFAULT_SCENARIO))).toBe('');
+  expect(scenarioFromQuery('?unrelated=1')).toBeNull();
+  // A modified vehicle travels as its whole definition.
+  const heavy = validateScenario({ vehicle: { ...VEHICLE_PRESETS.orion, mass: 9999.5 } });
+  expect(scenarioFromQuery(scenarioToQuery(heavy)).vehicle.mass).toBe(9999.5);
+});
+
+test('load limits round-trip and reach the engine', () => {
+  const strict = validateScenario({
+    limits: { crewGLimits: [[5, 8], [60, 4.5]], maxDynamicPressure: 28000.5, cautionFraction: 0.75 },
+  });
+  expect(parseScenario(serializeScenario(strict)).limits).toEqual(strict.limits);
+  const query = scenarioToQuery(strict);
+  expect(query).toContain('qmax=28000.5');
+  expect(scenarioFromQuery(query).limits).toEqual(strict.limits);
+  const { params } = scenarioToEngineOptions(strict);
+  expect(params.crewGLimits).toEqual([[5, 8], [60, 4.5]]);
+  expect(params.maxDynamicPressure).toBe(28000.5);
+  expect(() => validateScenario({ limits: { crewGLimits: [[5]] } })).toThrow(/^limits\.crewGLimits\[0\]/);
+  expect(() => validateScenario({ limits: { maxDynamicPressure: -1 } })).toThrow(/^limits\.maxDynamicPressure/);
+});
+
+test('validation names the offending field', () => {
+  expect(() => validateScenario({ initialState: { speed: -1 } })).toThrow(/^initialState\.speed/);
+  expect(() => validateScenario({ environment: { atmosphere: 'mars' } })).toThrow(/^environment\.atmosphere/);
+  expect(() => validateScenario({ vehicle: 'buran' })).toThrow(/^vehicle/);
+  expect(() => validateScenario({ vehicle: { ...VEHICLE_PRESETS.orion, mass: 0 } })).toThrow(/^vehicle: mass/);
+  expect(() => validateScenario({ magnet: { power: 50 } })).toThrow(/^magnet\.power/);
+  expect(() => scenarioFromQuery('?fpa=steep')).toThrow(/^initialState\.flightPathAngle/);
+});
+
+test('a scenario duration stops the run early', () => {
+  const engine = createReentryEngine({ ...scenarioToEngineOptions(validateScenario({ duration: 10 })), dt: 0.5 });
+  engine.advance(60);
+  expect(engine.getState().time).toBe(10);
+  expect(engine.isFinished()).toBe(true);
+  expect(engine.getState().landed).toBe(false);
+  // Extending it lets the run carry on.
+  engine.setMaxTime(null);
+  engine.advance(5);
+  expect(engine.getState().time).toBe(15);
+  // Without a duration a headless run flies to touchdown.
+  const states = runSimulation({ ...scenarioToEngineOptions(validateScenario(DEFAULT_SCENARIO)), dt: 1 });
+  expect(states[states.length - 1].landed).toBe(true);
+});
@@ -0,0 +1,269 @@
+// src/sim/telemetry.js
+
+/**
+ * Telemetry export and import.
+ *
+ * The simulation clock already keeps the state of every engine step, so a
+ * run's telemetry is simply that list of states. This module turns it into
+ * files for analysis (CSV, one row per step) or for replay (JSON, which
+ * keeps every field plus the vehicle and heat shield layout), and reads
+ * either format back.
+ */
+
+export const TELEMETRY_FORMAT = 'starship-reentry-telemetry';
+export const TELEMETRY_VERSION = 1;
+
+// Columns written first in a CSV, so the headline channels and the run's
+// status flags are easy to find. Every other scalar, string or
+// numeric-array field follows, and each field of a flat object such as the
+// touchdown verdict. type 'boolean' marks the flags, which a CSV holds as
+// 0/1 and cannot tell apart from numbers on its own.
+export const TELEMETRY_CHANNELS = [
+  { key: 'time' },
+  { key: 'altitude' },
+  { key: 'downrange' },
+  { key: 'speed' },
+  { key: 'flightPathAngle' },
+  { key: 'density' },
+  { key: 'convectiveHeatFlux' },
+  { key: 'radiativeHeatFlux' },
+  { key: 'totalHeatFlux' },
+  { key: 'effectiveHeatFlux' },
+  { key: 'magnetPower' },
+  { key: 'magnetElectricalPower' },
+  { key: 'heatLoad' },
+  { key: 'tileCapacityUsed' },
+  { key: 'tileFailed', type: 'boolean' },
+  { key: 'landed', type: 'boolean' },
+  { key: 'engineOut', type: 'boolean' },
+  { key: 'crewOverLimit', type: 'boolean' },
+  { key: 'qOverLimit', type: 'boolean' },
+  { key: 'crewLimitExceeded', type: 'boolean' },
+  { key: 'qLimitExceeded', type: 'boolean' },
+];
+
+// Fields a CSV cannot carry, filled in on import so a replayed state has
+// the same shape as a live one.
+const CSV_DEFAULTS = {
+  layerFailures: [],
+};
+
+const isScalar = (value) =>
+  value === null || ['number', 'boolean', 'string'].includes(typeof value);
+const isNumberArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === 'number');
+const isFlatObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isScalar);
+
+// How one value can be written: { kind: 'scalar' }, { kind: 'array', length }
+// or { kind: 'object', fields }; null for nothing to write (null or
+// undefined), and 'skip' for anything a CSV cannot hold.
+function cellLayout(value) {
+  if (value === null || value === undefined) return null;
+  if (isScalar(value)) return { kind: 'scalar' };
+  if (isNumberArray(value)) return { kind: 'array', length: value.length };
+  if (isFlatObject(value)) return { kind: 'object', fields: Object.keys(value) };
+  return 'skip';
+}
+
+function mergeLayouts(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  if (a === 'skip' || b === 'skip' || a.kind !== b.kind) return 'skip';
+  if (a.kind === 'array') return { kind: 'array', length: Math.max(a.length, b.length) };
+  if (a.kind === 'object') return { kind: 'object', fields: [...new Set([...a.fields, ...b.fields])] };
+  return a;
+}
+
+// CSV columns for a run: arrays become name[0], name[1], ... and objects
+// name.field. Every state is looked at, since some fields (the touchdown
+// verdict) are null until late in the run.
+function csvColumns(states) {
+  const layouts = new Map();
+  states.forEach((state) => {
+    Object.keys(state).forEach((key) => {
+      layouts.set(key, mergeLayouts(layouts.has(key) ? layouts.get(key) : null, cellLayout(state[key])));
+    });
+  });
+  const keys = [
+    ...TELEMETRY_CHANNELS.map((channel) => channel.key).filter((key) => layouts.has(key)),
+    ...[...layouts.keys()].filter((key) => !TELEMETRY_CHANNELS.some((channel) => channel.key === key)),
+  ];
+  const columns = [];
+  keys.forEach((key) => {
+    const layout = layouts.get(key);
+    if (layout === null || layout.kind === 'scalar') {
+      columns.push({ name: key, read: (s) => s[key] });
+    } else if (layout.kind === 'array') {
+      for (let i = 0; i < layout.length; i++) {
+        columns.push({ name: `${key}[${i}]`, read: (s) => (s[key] ? s[key][i] : null) });
+      }
+    } else if (layout.kind === 'object') {
+      layout.fields.forEach((field) => {
+        columns.push({ name: `${key}.${field}`, read: (s) => (s[key] ? s[key][field] : null) });
+      });
+    }
+  });
+  return columns;
+}
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'string') return `"${value.replace(/"/g, '""')}"`;
+  return String(value);
+};
+
+/**
+ * Writes states as CSV: a header row of field names, then one row per step.
+ * Booleans are written as 0/1, strings quoted and nulls as empty cells.
+ */
+export function telemetryToCSV(states) {
+  if (states.length === 0) return '';
+  const columns = csvColumns(states);
+  const lines = [columns.map((column) => column.name).join(',')];
+  states.forEach((state) => {
+    lines.push(columns.map((column) => formatCell(column.read(state))).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a recording as JSON. meta may carry the vehicle definition and the
+ * heat shield layout (engine.getThermalLayout()) for replay.
+ */
+export function telemetryToJSON(states, meta = {}) {
+  return JSON.stringify({
+    format: TELEMETRY_FORMAT,
+    version: TELEMETRY_VERSION,
+    ...meta,
+    samples: states,
+  });
+}
+
+const BOOLEAN_FIELDS = new Set(
+  TELEMETRY_CHANNELS.filter((channel) => channel.type === 'boolean').map((channel) => channel.key)
+);
+
+// Splits one CSV line into cells; quoted cells stay quoted so they can be
+// told apart from numbers.
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '""';
+        i++;
+        continue;
+      }
+      quoted = !quoted;
+    }
+    if (c === ',' && !quoted) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// A quoted cell is a string, an empty one null and anything else a number.
+function parseCell(cell) {
+  if (cell === '') return null;
+  if (cell.startsWith('"') && cell.endsWith('"') && cell.length >= 2) {
+    return cell.slice(1, -1).replace(/""/g, '"');
+  }
+  return Number(cell);
+}
+
+function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length < 2) {
+    throw new Error('Telemetry CSV has no data rows');
+  }
+  const header = lines[0].split(',').map((name) => name.trim());
+  if (!header.includes('time')) {
+    throw new Error('Telemetry CSV must have a time column');
+  }
+  const fields = header.map((name) => {
+    const element = /^(.+)\[(\d+)\]$/.exec(name);
+    if (element) return { key: element[1], index: Number(element[2]), field: null };
+    const member = /^(.+)\.([^.]+)$/.exec(name);
+    if (member) return { key: member[1], index: null, field: member[2] };
+    return { key: name, index: null, field: null };
+  });
+  const objectKeys = [...new Set(fields.filter(({ field }) => field !== null).map(({ key }) => key))];
+  const samples = lines.slice(1).map((line, row) => {
+    const cells = splitCSVLine(line);
+    if (cells.length !== header.length) {
+      throw new Error(`Telemetry CSV row ${row + 2} has ${cells.length} cells, expected ${header.length}`);
+    }
+    const sample = { ...CSV_DEFAULTS };
+    fields.forEach(({ key, index, field }, i) => {
+      let value = parseCell(cells[i].trim());
+      if (Number.isNaN(value)) {
+        throw new Error(`Telemetry CSV row ${row + 2}: ${header[i]} is not a number`);
+      }
+      if (BOOLEAN_FIELDS.has(key) && value !== null) value = value !== 0;
+      if (field !== null) {
+        if (!sample[key]) sample[key] = {};
+        sample[key][field] = value;
+      } else if (index === null) {
+        sample[key] = value;
+      } else {
+        if (!Array.isArray(sample[key])) sample[key] = [];
+        sample[key][index] = value;
+      }
+    });
+    // An object with no fields filled in was null when written.
+    objectKeys.forEach((key) => {
+      if (Object.values(sample[key]).every((value) => value === null)) sample[key] = null;
+    });
+    return sample;
+  });
+  return { samples };
+}
+
+function parseJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Telemetry file is not valid JSON: ${err.message}`);
+  }
+  if (!data || data.format !== TELEMETRY_FORMAT) {
+    throw new Error('Telemetry JSON is not a recorded run');
+  }
+  if (data.version > TELEMETRY_VERSION) {
+    throw new Error(`Telemetry JSON version ${data.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(data.samples) || data.samples.length === 0) {
+    throw new Error('Telemetry JSON has no samples');
+  }
+  const { format, version, ...recording } = data;
+  return recording;
+}
+
+/**
+ * Reads a CSV or JSON recording. Returns { samples, ...meta }; samples are
+ * sorted by time and checked to have the fields needed to replay them.
+ */
+export function parseTelemetry(text) {
+  const recording = text.trimStart().startsWith('{') ? parseJSON(text) : parseCSV(text);
+  recording.samples.forEach((sample, i) => {
+    ['time', 'altitude', 'downrange', 'speed'].forEach((key) => {
+      if (typeof sample[key] !== 'number') {
+        throw new Error(`Telemetry sample ${i} is missing ${key}`);
+      }
+    });
+    if (i > 0 && sample.time < recording.samples[i - 1].time) {
+      throw new Error(`Telemetry sample ${i} goes back in time`);
+    }
+  });
+  return recording;
+}
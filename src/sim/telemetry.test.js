@@ -0,0 +1,82 @@
+import { createReentryEngine, runSimulation } from './engine.js';
+import { createSimulationClock, createReplayClock } from './clock.js';
+import { telemetryToCSV, telemetryToJSON, parseTelemetry } from './telemetry.js';
+import { loadAlarms } from './loads.js';
+import { DEFAULT_SCENARIO, validateScenario, scenarioToEngineOptions } from './scenario.js';
+
+function recordRun(seconds) {
+  const clock = createSimulationClock(createReentryEngine({ magnetPower: 0.5 }));
+  clock.setWarp(seconds);
+  clock.tick(1);
+  return clock.getRecording();
+}
+
+test('CSV has one row per step and leads with the headline channels', () => {
+  const states = recordRun(10);
+  const lines = telemetryToCSV(states).trim().split('\n');
+  expect(lines).toHaveLength(states.length + 1);
+  const header = lines[0].split(',');
+  expect(header.slice(0, 4)).toEqual(['time', 'altitude', 'downrange', 'speed']);
+  ['density', 'convectiveHeatFlux', 'radiativeHeatFlux', 'magnetPower', 'tileCapacityUsed', 'tileFailed'].forEach(
+    (key) => expect(header).toContain(key)
+  );
+  expect(header).toContain('flapDeflections[3]');
+});
+
+test('a CSV recording reads back with numbers, booleans and arrays restored', () => {
+  const states = recordRun(10);
+  const { samples } = parseTelemetry(telemetryToCSV(states));
+  const last = states[states.length - 1];
+  const read = samples[samples.length - 1];
+  expect(samples).toHaveLength(states.length);
+  expect(read.altitude).toBe(last.altitude);
+  expect(read.magnetPower).toBe(0.5);
+  expect(read.tileFailed).toBe(false);
+  expect(read.crewOverLimit).toBe(false);
+  expect(read.qLimitExceeded).toBe(false);
+  // So a replay raises no alarms the run did not.
+  expect(loadAlarms(samples)).toEqual(loadAlarms(states));
+  expect(read.tileFailureTime).toBeNull();
+  expect(read.temperatureProfile).toEqual(last.temperatureProfile);
+  expect(read.layerFailures).toEqual([]);
+  // Strings come back as strings, not from whatever the replay fills in.
+  expect(read.flowRegime).toBe(last.flowRegime);
+  expect(read.landingPhase).toBe('entry');
+  const quoted = parseTelemetry('time,altitude,downrange,speed,note\n0,1,2,3,"a, ""b"""\n');
+  expect(quoted.samples[0].note).toBe('a, "b"');
+});
+
+test('a CSV of a run flown to touchdown reads back with its verdict', () => {
+  const states = runSimulation({ ...scenarioToEngineOptions(validateScenario(DEFAULT_SCENARIO)), dt: 0.5 });
+  const last = states[states.length - 1];
+  expect(last.touchdown).not.toBeNull();
+  const { samples } = parseTelemetry(telemetryToCSV(states));
+  expect(samples[0].touchdown).toBeNull();
+  expect(samples[samples.length - 1].touchdown).toEqual(last.touchdown);
+  expect(samples[samples.length - 1].landed).toBe(true);
+});
+
+test('a JSON recording round-trips every field and its metadata', () => {
+  const states = recordRun(10);
+  const recording = parseTelemetry(telemetryToJSON(states, { vehicle: { name: 'Test' } }));
+  expect(recording.vehicle.name).toBe('Test');
+  expect(recording.samples).toEqual(states);
+});
+
+test('malformed files are rejected with a reason', () => {
+  expect(() => parseTelemetry('altitude,speed\n1,2\n')).toThrow(/time column/);
+  expect(() => parseTelemetry('time,altitude,downrange,speed\n0,1,2\n')).toThrow(/row 2/);
+  expect(() => parseTelemetry('{"samples": []}')).toThrow(/not a recorded run/);
+});
+
+test('a replay clock plays a recording back at the chosen warp', () => {
+  const states = recordRun(20);
+  const clock = createReplayClock(states);
+  clock.setWarp(10);
+  clock.tick(0.5);
+  expect(clock.getState().time).toBeCloseTo(5, 6);
+  expect(clock.seek(12)).toBe(states[240]);
+  clock.tick(100);
+  expect(clock.getState()).toBe(states[states.length - 1]);
+  expect(clock.tick(1)).toBeNull();
+});
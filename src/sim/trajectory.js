@@ -0,0 +1,128 @@
+// src/sim/trajectory.js
+import { loadAlarms } from './loads.js';
+import { TOUCHDOWN_OUTCOMES } from './landing.js';
+import { inPlasma } from './tps.js';
+
+/**
+ * Landmarks along a flown trajectory, for marking the flight path, and the
+ * flight log of events picked out of a recorded run.
+ */
+
+// Conventional entry interface altitude (m).
+export const ENTRY_INTERFACE_ALTITUDE = 122000;
+
+// Freestream dynamic pressure 0.5 * rho * V^2 (Pa).
+export const dynamicPressure = (state) => 0.5 * state.density * state.speed * state.speed;
+
+// Index of the state with the largest value, or -1 for no states.
+function peakIndex(states, value) {
+  let best = -1;
+  states.forEach((state, i) => {
+    if (best < 0 || value(state) > value(states[best])) best = i;
+  });
+  return best;
+}
+
+/**
+ * Finds the entry interface crossing, peak heating and max-Q in recorded
+ * states (oldest first). Returns [{ id, label, index, state }] for the ones
+ * reached so far; entry interface is the first state at or below 122 km,
+ * so a run that starts lower marks it at its first state.
+ */
+export function trajectoryMarkers(states) {
+  if (states.length === 0) return [];
+  const markers = [];
+  const entry = states.findIndex((s) => s.altitude <= ENTRY_INTERFACE_ALTITUDE);
+  if (entry >= 0) markers.push({ id: 'entryInterface', label: 'Entry interface', index: entry });
+  markers.push({ id: 'peakHeating', label: 'Peak heating', index: peakIndex(states, (s) => s.effectiveHeatFlux) });
+  markers.push({ id: 'maxQ', label: 'Max-Q', index: peakIndex(states, dynamicPressure) });
+  return markers.map((marker) => ({ ...marker, state: states[marker.index] }));
+}
+
+// Kinds of flight log event, with the color they are marked in.
+export const FLIGHT_EVENTS = {
+  entryInterface: { label: 'Entry interface', color: 'black' },
+  plasmaOnset: { label: 'Plasma onset', color: 'darkviolet' },
+  peakHeatFlux: { label: 'Peak heat flux', color: 'red' },
+  maxQ: { label: 'Max-Q', color: 'sienna' },
+  peakG: { label: 'Peak g', color: 'darkorange' },
+  subsonic: { label: 'Subsonic', color: 'blue' },
+  magnetOn: { label: 'Magnet on', color: 'green' },
+  magnetOff: { label: 'Magnet off', color: 'olive' },
+  loadAlarm: { label: 'Load alarm', color: 'crimson' },
+  touchdown: { label: 'Touchdown', color: 'black' },
+};
+
+const km = (m) => `${(m / 1000).toFixed(1)} km`;
+
+/**
+ * The flight log of recorded states (oldest first): [{ key, type (key into
+ * FLIGHT_EVENTS), time, index, state, detail }] in time order.
+ *
+ * Crossings are logged at the first state past them: entry interface,
+ * plasma onset (the freestream energy flux rising through plasmaThreshold,
+ * as in reentrygraph.py), the subsonic transition and the magnet being
+ * switched on or off. Peak heat flux (at the tiles), max-Q and peak g are
+ * only logged once the run is past them, so they do not move while they
+ * are still building. Load alarms (see loadAlarms) and touchdown end the
+ * list. A run that starts past a crossing logs it at its first state.
+ *
+ * finished: whether the run is over (landed or out of time), so peaks at
+ * its last state count as passed. Defaults to whether it has landed.
+ */
+export function flightEvents(states, plasmaThreshold, finished = states.length > 0 && states[states.length - 1].landed) {
+  if (states.length === 0) return [];
+  const events = [];
+  const add = (type, index, detail) =>
+    events.push({ key: `${type}-${index}-${detail}`, type, time: states[index].time, index, state: states[index], detail });
+  const last = states.length - 1;
+
+  let entered = false;
+  let subsonic = false;
+  states.forEach((state, i) => {
+    const prev = i > 0 ? states[i - 1] : null;
+    if (!entered && state.altitude <= ENTRY_INTERFACE_ALTITUDE) {
+      entered = true;
+      add('entryInterface', i, `${(state.speed / 1000).toFixed(2)} km/s`);
+    }
+    if (inPlasma(state, plasmaThreshold) && !(prev && inPlasma(prev, plasmaThreshold))) {
+      add('plasmaOnset', i, `at ${km(state.altitude)}`);
+    }
+    if (!subsonic && state.speedOfSound !== undefined && state.speed < state.speedOfSound) {
+      subsonic = true;
+      add('subsonic', i, `at ${km(state.altitude)}`);
+    }
+    const magnetOn = state.magnetPower > 0;
+    if (magnetOn !== (prev ? prev.magnetPower > 0 : false)) {
+      add(magnetOn ? 'magnetOn' : 'magnetOff', i, magnetOn ? `${state.magnetPower.toFixed(2)} T` : '');
+    }
+  });
+
+  // A peak is passed once a later state is lower, or the run is over.
+  const passed = (index) => index >= 0 && (index < last || finished);
+  const heat = peakIndex(states, (s) => s.effectiveHeatFlux);
+  if (passed(heat)) add('peakHeatFlux', heat, `${(states[heat].effectiveHeatFlux / 1e6).toFixed(2)} MW/m²`);
+  const q = peakIndex(states, dynamicPressure);
+  if (passed(q)) add('maxQ', q, `${(dynamicPressure(states[q]) / 1000).toFixed(1)} kPa`);
+  if ('gLoad' in states[0]) {
+    const g = peakIndex(states, (s) => s.gLoad);
+    if (passed(g)) add('peakG', g, `${states[g].gLoad.toFixed(2)} g`);
+  }
+
+  if ('crewOverLimit' in states[0]) {
+    loadAlarms(states).forEach((alarm) => {
+      add('loadAlarm', states.findIndex((s) => s.time === alarm.time), alarm.message);
+    });
+  }
+  if (states[last].landed) {
+    const { touchdown } = states[last];
+    add(
+      'touchdown',
+      last,
+      touchdown
+        ? `${TOUCHDOWN_OUTCOMES[touchdown.outcome]}, ${touchdown.verticalSpeed.toFixed(1)} m/s`
+        : `${states[last].speed.toFixed(0)} m/s`
+    );
+  }
+  return events.sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,63 @@
+import { trajectoryMarkers, dynamicPressure, flightEvents } from './trajectory.js';
+import { runSimulation } from './engine.js';
+
+test('markers find entry interface, peak heating and max-Q', () => {
+  const states = [
+    { altitude: 130000, density: 1e-8, speed: 7500, effectiveHeatFlux: 1e3 },
+    { altitude: 121000, density: 1e-7, speed: 7450, effectiveHeatFlux: 5e3 },
+    { altitude: 70000, density: 1e-4, speed: 7000, effectiveHeatFlux: 3e5 },
+    { altitude: 45000, density: 2e-3, speed: 3000, effectiveHeatFlux: 1e5 },
+    { altitude: 20000, density: 2e-2, speed: 500, effectiveHeatFlux: 1e3 },
+  ];
+  const byId = Object.fromEntries(trajectoryMarkers(states).map((m) => [m.id, m.index]));
+  expect(byId).toEqual({ entryInterface: 1, peakHeating: 2, maxQ: 3 });
+  expect(dynamicPressure(states[3])).toBeCloseTo(9000, 6);
+  expect(trajectoryMarkers([])).toEqual([]);
+});
+
+test('max-Q comes after peak heating on a flown entry', () => {
+  const markers = trajectoryMarkers(runSimulation({ dt: 1 }));
+  const [entry, heating, maxQ] = markers;
+  expect(entry.index).toBe(0);
+  expect(heating.state.time).toBeLessThan(maxQ.state.time);
+  expect(maxQ.state.altitude).toBeLessThan(heating.state.altitude);
+});
+
+test('the flight log picks out crossings, peaks and touchdown', () => {
+  const base = { density: 1e-6, speedOfSound: 300, effectiveHeatFlux: 1e3, plasmaFluxDensity: 0, magnetPower: 0, landed: false };
+  const states = [
+    { ...base, time: 0, altitude: 130000, speed: 7500 },
+    { ...base, time: 1, altitude: 121000, speed: 7450, plasmaFluxDensity: 2e5, magnetPower: 1 },
+    { ...base, time: 2, altitude: 70000, speed: 7000, plasmaFluxDensity: 3e5, effectiveHeatFlux: 3e5, density: 1e-4 },
+    { ...base, time: 3, altitude: 30000, speed: 250, density: 2e-2 },
+    { ...base, time: 4, altitude: 0, speed: 100, density: 1.2, landed: true },
+  ];
+  const log = flightEvents(states, 1e5);
+  expect(log.map((e) => [e.type, e.time])).toEqual([
+    ['entryInterface', 1],
+    ['plasmaOnset', 1],
+    ['magnetOn', 1],
+    ['magnetOff', 2],
+    ['peakHeatFlux', 2],
+    ['subsonic', 3],
+    ['maxQ', 4],
+    ['touchdown', 4],
+  ]);
+  // A state exactly at the threshold is in plasma, as for the tile budget.
+  expect(flightEvents(states, 2e5).find((e) => e.type === 'plasmaOnset').time).toBe(1);
+  // Peaks still building are not logged yet.
+  expect(flightEvents(states.slice(0, 3), 1e5).map((e) => e.type)).not.toContain('peakHeatFlux');
+  // A run stopped by its time limit has passed a peak at its last state.
+  expect(flightEvents(states.slice(0, 3), 1e5, true).map((e) => e.type)).toContain('peakHeatFlux');
+  expect(flightEvents([], 1e5)).toEqual([]);
+});
+
+test('a flown entry logs its events in order', () => {
+  const states = runSimulation({ dt: 1, magnetPower: 1 });
+  const times = Object.fromEntries(flightEvents(states, 1e5).map((e) => [e.type, e.time]));
+  expect(times.entryInterface).toBe(0);
+  expect(times.magnetOn).toBe(0);
+  expect(times.peakHeatFlux).toBeLessThan(times.maxQ);
+  expect(times.maxQ).toBeLessThan(times.subsonic);
+  expect(times.touchdown).toBe(states[states.length - 1].time);
+});
@@ -0,0 +1,354 @@
+// src/sim/vehicles.js
+import { MATERIALS, DEFAULT_HEAT_SHIELD_STACK } from './conduction.js';
+import { COIL_CONDUCTORS } from './mhd.js';
+import { AERO_TABLES, validateAeroTable } from './aeroDatabase.js';
+
+/**
+ * Vehicle definitions.
+ *
+ * One object describes everything the simulation and the scene need to
+ * know about a vehicle:
+ *
+ *   name            display name
+ *   dimensions      { width, height, depth } of the scene mesh (m); width
+ *                   runs along the direction of flight
+ *   mass            kg
+ *   referenceArea   m², the area Cd and L/D are referenced to
+ *   Cd              drag coefficient
+ *   noseRadius      effective nose radius for stagnation heating (m)
+ *   liftToDrag      lift-to-drag ratio
+ *   tps             { tileCapacity (J/m²), heatShieldStack: [{ material, thickness, cells }] }
+ *   magnet          { maxField (T), coilRadius (m), conductor: key into COIL_CONDUCTORS }
+ *   attitude        { enabled, trimAngleOfAttack (deg), pitchInertia (kg m²),
+ *                     axialCoefficient, cpOffset (m), pitchDampingCoefficient,
+ *                     flaps: { forwardArea, aftArea (m² each), forwardArm,
+ *                     aftArm (m from the CG), normalCoefficient } }
+ *                   With enabled false the vehicle flies at its trim angle
+ *                   of attack with the Cd and L/D above; see attitude.js.
+ *   aero            { table: key into AERO_TABLES or [[mach, dragRatio,
+ *                     liftRatio], ...], freeMolecularCd,
+ *                     freeMolecularLiftToDrag }: how Cd and L/D change
+ *                     with Mach number and in rarefied flow; see
+ *                     aeroDatabase.js
+ *   landing         { enabled, altitude (m, where the flip starts), thrust (N),
+ *                     isp (s), minThrottle, maxThrottle (fractions of thrust),
+ *                     propellant (kg, part of mass) }; see landing.js
+ *
+ * Definitions round-trip through JSON so they can be saved and shared.
+ */
+
+export const MAGNET_CONDUCTORS = Object.keys(COIL_CONDUCTORS);
+
+// Used to fill in the attitude block for files saved before it existed.
+const DEFAULT_ATTITUDE = {
+  enabled: false,
+  trimAngleOfAttack: 0,
+  pitchInertia: 1e6,
+  axialCoefficient: 0.05,
+  cpOffset: 0,
+  pitchDampingCoefficient: -0.3,
+  flaps: { forwardArea: 0, aftArea: 0, forwardArm: 0, aftArm: 0, normalCoefficient: 1.5 },
+};
+
+// Used to fill in the aero block for files saved before it existed: the
+// constant Cd and L/D they were flown with, bridged to free-molecular flow.
+const DEFAULT_AERO = { table: 'constant', freeMolecularCd: 2, freeMolecularLiftToDrag: 0 };
+
+// Vehicles without landing engines, and files saved before they existed.
+const DEFAULT_LANDING = {
+  enabled: false,
+  altitude: 1000,
+  thrust: 4.4e6,
+  isp: 330,
+  minThrottle: 0.35,
+  maxThrottle: 1,
+  propellant: 30000,
+};
+
+export const VEHICLE_PRESETS = {
+  starship: {
+    name: 'Starship',
+    dimensions: { width: 50, height: 10, depth: 10 },
+    mass: 2e5,
+    referenceArea: 50 * 10,
+    Cd: 0.81,
+    noseRadius: 4.5,
+    liftToDrag: 0.3,
+    tps: {
+      tileCapacity: 1.5e8,
+      heatShieldStack: DEFAULT_HEAT_SHIELD_STACK,
+    },
+    magnet: { maxField: 4, coilRadius: 4, conductor: 'hts' },
+    attitude: {
+      enabled: true,
+      trimAngleOfAttack: 70,
+      pitchInertia: 4.2e7,
+      axialCoefficient: 0.05,
+      cpOffset: 2,
+      pitchDampingCoefficient: -0.3,
+      flaps: { forwardArea: 25, aftArea: 45, forwardArm: 18, aftArm: 20, normalCoefficient: 1.5 },
+    },
+    aero: { ...DEFAULT_AERO, table: 'slenderBody' },
+    // Two sea-level Raptors and the header tank propellant.
+    landing: { ...DEFAULT_LANDING, enabled: true },
+  },
+  crewDragon: {
+    name: 'Crew Dragon',
+    dimensions: { width: 4, height: 4.4, depth: 4 },
+    mass: 9500,
+    referenceArea: 12.6,
+    Cd: 1.4,
+    noseRadius: 4.6,
+    liftToDrag: 0.2,
+    tps: {
+      tileCapacity: 4e8,
+      heatShieldStack: [
+        { material: 'pica', thickness: 0.06, cells: 12 },
+        { material: 'aluminum', thickness: 0.004, cells: 3 },
+      ],
+    },
+    magnet: { maxField: 2, coilRadius: 1.8, conductor: 'hts' },
+    attitude: { ...DEFAULT_ATTITUDE, trimAngleOfAttack: 20, pitchInertia: 2.5e4 },
+    aero: { ...DEFAULT_AERO, table: 'capsule' },
+    landing: DEFAULT_LANDING,
+  },
+  orion: {
+    name: 'Orion',
+    dimensions: { width: 5, height: 3.3, depth: 5 },
+    mass: 9300,
+    referenceArea: 19.6,
+    Cd: 1.35,
+    noseRadius: 6,
+    liftToDrag: 0.27,
+    tps: {
+      tileCapacity: 5e8,
+      heatShieldStack: [
+        { material: 'avcoat', thickness: 0.04, cells: 12 },
+        { material: 'aluminum', thickness: 0.005, cells: 3 },
+      ],
+    },
+    magnet: { maxField: 2, coilRadius: 2.3, conductor: 'hts' },
+    attitude: { ...DEFAULT_ATTITUDE, trimAngleOfAttack: 17, pitchInertia: 4e4 },
+    aero: { ...DEFAULT_AERO, table: 'capsule' },
+    landing: DEFAULT_LANDING,
+  },
+  shuttle: {
+    name: 'Space Shuttle Orbiter',
+    dimensions: { width: 37, height: 5, depth: 24 },
+    mass: 90000,
+    referenceArea: 250,
+    Cd: 0.8,
+    noseRadius: 1,
+    liftToDrag: 1,
+    tps: {
+      tileCapacity: 2e8,
+      heatShieldStack: [
+        { material: 'tile', thickness: 0.05, cells: 12 },
+        { material: 'felt', thickness: 0.004, cells: 3 },
+        { material: 'aluminum', thickness: 0.003, cells: 3 },
+      ],
+    },
+    magnet: { maxField: 2, coilRadius: 3, conductor: 'copper' },
+    attitude: { ...DEFAULT_ATTITUDE, trimAngleOfAttack: 40, pitchInertia: 8e6 },
+    aero: { ...DEFAULT_AERO, table: 'winged' },
+    landing: DEFAULT_LANDING,
+  },
+};
+
+export const DEFAULT_VEHICLE = 'starship';
+
+function positiveNumber(value, path) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new Error(`${path} must be a positive number`);
+  }
+  return n;
+}
+
+function finiteNumber(value, path) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) {
+    throw new Error(`${path} must be a number`);
+  }
+  return n;
+}
+
+function nonNegativeNumber(value, path) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`${path} must be a number >= 0`);
+  }
+  return n;
+}
+
+// A built-in table id stays an id; custom tables are checked row by row.
+function aeroTable(table) {
+  if (typeof table === 'string') {
+    if (!AERO_TABLES[table]) {
+      throw new Error(`aero.table must be one of ${Object.keys(AERO_TABLES).join(', ')} or a list of rows`);
+    }
+    return table;
+  }
+  try {
+    return validateAeroTable(table).map((row) => row.slice());
+  } catch (err) {
+    throw new Error(`aero.table: ${err.message}`);
+  }
+}
+
+/**
+ * [mach, dragRatio, liftRatio] rows of a vehicle's aero table.
+ */
+export function aeroTablePoints(table) {
+  return typeof table === 'string' ? AERO_TABLES[table].points : table;
+}
+
+/**
+ * Checks a vehicle definition and returns a normalised copy with numbers
+ * coerced. Throws an Error naming the first offending field.
+ */
+export function validateVehicle(vehicle) {
+  if (!vehicle || typeof vehicle !== 'object') {
+    throw new Error('Vehicle definition must be an object');
+  }
+  const { dimensions = {}, tps = {}, magnet = {} } = vehicle;
+  const attitude = { ...DEFAULT_ATTITUDE, ...vehicle.attitude };
+  const flaps = { ...DEFAULT_ATTITUDE.flaps, ...attitude.flaps };
+  const landing = { ...DEFAULT_LANDING, ...vehicle.landing };
+  const aero = { ...DEFAULT_AERO, ...vehicle.aero };
+  const stack = tps.heatShieldStack;
+  if (!Array.isArray(stack) || stack.length === 0) {
+    throw new Error('tps.heatShieldStack must list at least one layer');
+  }
+  if (!MAGNET_CONDUCTORS.includes(magnet.conductor)) {
+    throw new Error(`magnet.conductor must be one of ${MAGNET_CONDUCTORS.join(', ')}`);
+  }
+  const mass = positiveNumber(vehicle.mass, 'mass');
+  const minThrottle = nonNegativeNumber(landing.minThrottle, 'landing.minThrottle');
+  const maxThrottle = positiveNumber(landing.maxThrottle, 'landing.maxThrottle');
+  if (maxThrottle > 1 || minThrottle > maxThrottle) {
+    throw new Error('landing.maxThrottle must be at most 1 and no less than landing.minThrottle');
+  }
+  const propellant = nonNegativeNumber(landing.propellant, 'landing.propellant');
+  // Only checked when flown, so capsules can keep the default block.
+  if (landing.enabled && propellant >= mass) {
+    throw new Error('landing.propellant must be less than the vehicle mass');
+  }
+  return {
+    name: String(vehicle.name || 'Unnamed vehicle'),
+    dimensions: {
+      width: positiveNumber(dimensions.width, 'dimensions.width'),
+      height: positiveNumber(dimensions.height, 'dimensions.height'),
+      depth: positiveNumber(dimensions.depth, 'dimensions.depth'),
+    },
+    mass,
+    referenceArea: positiveNumber(vehicle.referenceArea, 'referenceArea'),
+    Cd: positiveNumber(vehicle.Cd, 'Cd'),
+    noseRadius: positiveNumber(vehicle.noseRadius, 'noseRadius'),
+    liftToDrag: nonNegativeNumber(vehicle.liftToDrag, 'liftToDrag'),
+    tps: {
+      tileCapacity: positiveNumber(tps.tileCapacity, 'tps.tileCapacity'),
+      heatShieldStack: stack.map((layer, i) => {
+        if (!MATERIALS[layer.material]) {
+          throw new Error(`tps.heatShieldStack[${i}].material "${layer.material}" is not a known material`);
+        }
+        const cells = positiveNumber(layer.cells, `tps.heatShieldStack[${i}].cells`);
+        return {
+          material: layer.material,
+          thickness: positiveNumber(layer.thickness, `tps.heatShieldStack[${i}].thickness`),
+          cells: Math.max(1, Math.round(cells)),
+        };
+      }),
+    },
+    magnet: {
+      maxField: nonNegativeNumber(magnet.maxField, 'magnet.maxField'),
+      coilRadius: positiveNumber(magnet.coilRadius, 'magnet.coilRadius'),
+      conductor: magnet.conductor,
+    },
+    attitude: {
+      enabled: Boolean(attitude.enabled),
+      trimAngleOfAttack: finiteNumber(attitude.trimAngleOfAttack, 'attitude.trimAngleOfAttack'),
+      pitchInertia: positiveNumber(attitude.pitchInertia, 'attitude.pitchInertia'),
+      axialCoefficient: finiteNumber(attitude.axialCoefficient, 'attitude.axialCoefficient'),
+      cpOffset: finiteNumber(attitude.cpOffset, 'attitude.cpOffset'),
+      pitchDampingCoefficient: finiteNumber(attitude.pitchDampingCoefficient, 'attitude.pitchDampingCoefficient'),
+      flaps: {
+        forwardArea: nonNegativeNumber(flaps.forwardArea, 'attitude.flaps.forwardArea'),
+        aftArea: nonNegativeNumber(flaps.aftArea, 'attitude.flaps.aftArea'),
+        forwardArm: nonNegativeNumber(flaps.forwardArm, 'attitude.flaps.forwardArm'),
+        aftArm: nonNegativeNumber(flaps.aftArm, 'attitude.flaps.aftArm'),
+        normalCoefficient: nonNegativeNumber(flaps.normalCoefficient, 'attitude.flaps.normalCoefficient'),
+      },
+    },
+    aero: {
+      table: aeroTable(aero.table),
+      freeMolecularCd: positiveNumber(aero.freeMolecularCd, 'aero.freeMolecularCd'),
+      freeMolecularLiftToDrag: nonNegativeNumber(aero.freeMolecularLiftToDrag, 'aero.freeMolecularLiftToDrag'),
+    },
+    landing: {
+      enabled: Boolean(landing.enabled),
+      altitude: positiveNumber(landing.altitude, 'landing.altitude'),
+      thrust: positiveNumber(landing.thrust, 'landing.thrust'),
+      isp: positiveNumber(landing.isp, 'landing.isp'),
+      minThrottle,
+      maxThrottle,
+      propellant,
+    },
+  };
+}
+
+/**
+ * Engine params for a (validated) vehicle.
+ */
+export function vehicleToParams(vehicle) {
+  return {
+    mass: vehicle.mass,
+    referenceArea: vehicle.referenceArea,
+    Cd: vehicle.Cd,
+    noseRadius: vehicle.noseRadius,
+    liftToDrag: vehicle.liftToDrag,
+    tileCapacity: vehicle.tps.tileCapacity,
+    heatShieldStack: vehicle.tps.heatShieldStack,
+    magnetCoilRadius: vehicle.magnet.coilRadius,
+    magnetConductor: vehicle.magnet.conductor,
+    referenceLength: vehicle.dimensions.width,
+    attitudeEnabled: vehicle.attitude.enabled,
+    trimAngleOfAttack: (vehicle.attitude.trimAngleOfAttack * Math.PI) / 180,
+    pitchInertia: vehicle.attitude.pitchInertia,
+    axialCoefficient: vehicle.attitude.axialCoefficient,
+    cpOffset: vehicle.attitude.cpOffset,
+    pitchDampingCoefficient: vehicle.attitude.pitchDampingCoefficient,
+    forwardFlapArea: vehicle.attitude.flaps.forwardArea,
+    aftFlapArea: vehicle.attitude.flaps.aftArea,
+    forwardFlapArm: vehicle.attitude.flaps.forwardArm,
+    aftFlapArm: vehicle.attitude.flaps.aftArm,
+    flapNormalCoefficient: vehicle.attitude.flaps.normalCoefficient,
+    aeroTable: aeroTablePoints(vehicle.aero.table),
+    freeMolecularCd: vehicle.aero.freeMolecularCd,
+    freeMolecularLiftToDrag: vehicle.aero.freeMolecularLiftToDrag,
+    landingEnabled: vehicle.landing.enabled,
+    landingAltitude: vehicle.landing.altitude,
+    landingThrust: vehicle.landing.thrust,
+    landingIsp: vehicle.landing.isp,
+    minThrottle: vehicle.landing.minThrottle,
+    maxThrottle: vehicle.landing.maxThrottle,
+    landingPropellant: vehicle.landing.propellant,
+  };
+}
+
+export function serializeVehicle(vehicle) {
+  return JSON.stringify(vehicle, null, 2);
+}
+
+/**
+ * Parses and validates a vehicle JSON document.
+ */
+export function parseVehicle(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Vehicle file is not valid JSON: ${err.message}`);
+  }
+  return validateVehicle(data);
+}
@@ -0,0 +1,39 @@
+import { VEHICLE_PRESETS, validateVehicle, parseVehicle, serializeVehicle, vehicleToParams } from './vehicles.js';
+
+test('every preset is a valid vehicle', () => {
+  for (const preset of Object.values(VEHICLE_PRESETS)) {
+    expect(() => validateVehicle(preset)).not.toThrow();
+  }
+});
+
+test('vehicles round-trip through JSON', () => {
+  const orion = validateVehicle(VEHICLE_PRESETS.orion);
+  expect(parseVehicle(serializeVehicle(orion))).toEqual(orion);
+});
+
+test('validation names the offending field', () => {
+  const broken = { ...VEHICLE_PRESETS.starship, mass: -1 };
+  expect(() => validateVehicle(broken)).toThrow(/^mass/);
+  const badMaterial = {
+    ...VEHICLE_PRESETS.starship,
+    tps: { tileCapacity: 1e8, heatShieldStack: [{ material: 'cheese', thickness: 0.01, cells: 2 }] },
+  };
+  expect(() => validateVehicle(badMaterial)).toThrow(/heatShieldStack\[0\]\.material/);
+  expect(() => parseVehicle('{')).toThrow(/not valid JSON/);
+  const heavyTanks = { ...VEHICLE_PRESETS.starship, landing: { ...VEHICLE_PRESETS.starship.landing, propellant: 2e5 } };
+  expect(() => validateVehicle(heavyTanks)).toThrow(/^landing\.propellant/);
+});
+
+test('vehicles saved before landing engines fly without them', () => {
+  const { landing, ...old } = VEHICLE_PRESETS.starship;
+  expect(validateVehicle(old).landing.enabled).toBe(false);
+});
+
+test('aero tables are presets by name or checked rows', () => {
+  const { aero, ...old } = VEHICLE_PRESETS.orion;
+  expect(validateVehicle(old).aero.table).toBe('constant');
+  const custom = { ...VEHICLE_PRESETS.orion, aero: { ...aero, table: [[0, 0.8, 0.5], [5, 1, 1]] } };
+  expect(vehicleToParams(validateVehicle(custom)).aeroTable).toEqual([[0, 0.8, 0.5], [5, 1, 1]]);
+  expect(() => validateVehicle({ ...custom, aero: { ...aero, table: 'wedge' } })).toThrow(/^aero\.table/);
+  expect(() => validateVehicle({ ...custom, aero: { ...aero, table: [[2, 1, 1], [1, 1, 1]] } })).toThrow(/^aero\.table: .*ascending/);
+});
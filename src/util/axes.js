@@ -0,0 +1,66 @@
+// src/util/axes.js
+
+/**
+ * Axis scaling helpers for the charts: round ("nice") tick values for
+ * linear axes, decade ticks for log axes, and compact tick labels.
+ */
+
+// Rounds a raw tick spacing to 1, 2 or 5 times a power of ten.
+function niceStep(rawStep) {
+  const power = 10 ** Math.floor(Math.log10(rawStep));
+  const fraction = rawStep / power;
+  if (fraction <= 1) return power;
+  if (fraction <= 2) return 2 * power;
+  if (fraction <= 5) return 5 * power;
+  return 10 * power;
+}
+
+/**
+ * Linear axis covering [min, max] with about count ticks. The range is
+ * widened to whole tick steps. Returns { min, max, ticks }.
+ */
+export function linearAxis(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) {
+    return { min: 0, max: 1, ticks: [0, 1] };
+  }
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    return linearAxis(min - pad, max + pad, count);
+  }
+  const step = niceStep((max - min) / count);
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step;
+  const ticks = [];
+  // Index the ticks instead of accumulating, so round-off does not creep in.
+  for (let i = 0; lo + i * step <= hi + step * 1e-9; i++) {
+    ticks.push(Number((lo + i * step).toPrecision(12)));
+  }
+  return { min: lo, max: hi, ticks };
+}
+
+/**
+ * Log axis covering the positive range [min, max], widened to whole
+ * decades, with a tick at every decade. Returns { min, max, ticks }.
+ */
+export function logAxis(min, max) {
+  if (!(min > 0) || !(max > 0) || !Number.isFinite(min) || !Number.isFinite(max)) {
+    return { min: 1, max: 10, ticks: [1, 10] };
+  }
+  const lo = Math.floor(Math.log10(min));
+  let hi = Math.ceil(Math.log10(max));
+  if (lo === hi) hi = lo + 1;
+  const ticks = [];
+  for (let e = lo; e <= hi; e++) ticks.push(10 ** e);
+  return { min: 10 ** lo, max: 10 ** hi, ticks };
+}
+
+/**
+ * Short label for a tick value: plain numbers for moderate magnitudes,
+ * exponent notation otherwise.
+ */
+export function formatTick(value) {
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1e5 || magnitude < 1e-2) return value.toExponential(0).replace('e+', 'e');
+  return String(Number(value.toPrecision(4)));
+}
@@ -0,0 +1,24 @@
+import { linearAxis, logAxis, formatTick } from './axes.js';
+
+test('linear axes snap to round steps around the data', () => {
+  expect(linearAxis(3, 97)).toEqual({ min: 0, max: 100, ticks: [0, 20, 40, 60, 80, 100] });
+  expect(linearAxis(0.12, 0.43, 3).ticks).toEqual([0, 0.2, 0.4, 0.6]);
+});
+
+test('a flat series still gets a usable range', () => {
+  const axis = linearAxis(5, 5);
+  expect(axis.min).toBeLessThan(5);
+  expect(axis.max).toBeGreaterThan(5);
+});
+
+test('log axes cover whole decades', () => {
+  expect(logAxis(3e3, 4.2e5)).toEqual({ min: 1e3, max: 1e6, ticks: [1e3, 1e4, 1e5, 1e6] });
+  expect(logAxis(0, 10).min).toBe(1);
+  expect(logAxis(Infinity, -Infinity).min).toBe(1);
+});
+
+test('tick labels switch to exponent notation for large and small values', () => {
+  expect(formatTick(250)).toBe('250');
+  expect(formatTick(2e6)).toBe('2e6');
+  expect(formatTick(0.001)).toBe('1e-3');
+});
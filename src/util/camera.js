@@ -0,0 +1,91 @@
+// src/util/camera.js
+import { scenePlacement, toScene, VEHICLE_DISPLAY_SCALE } from './scene';
+
+/**
+ * Camera modes for the 3D view. key is the keyboard shortcut.
+ *
+ *   chase    behind and above the ship, looking along its velocity
+ *   ground   a fixed observer on the surface watching the ship pass
+ *   onboard  at the nose, looking out along the body axis
+ *   free     the user orbits, pans and zooms; the view rides along with the ship
+ */
+export const CAMERA_MODES = {
+  chase: { label: 'Chase', key: '1' },
+  ground: { label: 'Ground observer', key: '2' },
+  onboard: { label: 'Onboard', key: '3' },
+  free: { label: 'Free orbit', key: '4' },
+};
+
+// Chase offsets (scene units, km): back along the velocity, then up.
+const CHASE_DISTANCE = 150;
+const CHASE_HEIGHT = 40;
+
+// The ground site is set this far downrange of the ship when the mode is
+// picked, and this far off the ground track, so the ship flies past in view.
+export const GROUND_SITE_AHEAD = 300000; // m
+const GROUND_SITE_OFFSET = 60; // scene units
+const OBSERVER_HEIGHT = 2000; // m
+
+// How far ahead of the nose the onboard camera looks (scene units).
+const LOOK_AHEAD = 100;
+
+// Unit vector at angle (rad) from the scene's +x axis in the flight plane.
+const direction = (angle) => [Math.cos(angle), Math.sin(angle), 0];
+
+const add = (a, b, scale = 1) => a.map((v, i) => v + b[i] * scale);
+
+/**
+ * Where the camera sits and looks for a mode. Returns { position, target,
+ * up } as [x, y, z] in scene units, or null for 'free', which the user
+ * drives.
+ *
+ * options:
+ *   sceneMode   'flat' | 'earth' (see scene.js)
+ *   dimensions  the vehicle's { width, height, depth } (m)
+ *   site        { downrange } (m) of the ground observer
+ */
+export function cameraPose(mode, state, { sceneMode = 'flat', dimensions, site } = {}) {
+  const { position: ship, tilt } = scenePlacement(state.downrange, state.altitude, sceneMode);
+  // Local vertical at the ship: straight up in the flat scene, radial on the Earth.
+  const localUp = direction(Math.PI / 2 + tilt);
+  switch (mode) {
+    case 'chase': {
+      const velocity = direction(state.flightPathAngle + tilt);
+      return {
+        position: add(add(ship, velocity, -CHASE_DISTANCE), localUp, CHASE_HEIGHT),
+        target: ship,
+        up: localUp,
+      };
+    }
+    case 'ground': {
+      const observer = scenePlacement(site.downrange, OBSERVER_HEIGHT, sceneMode);
+      return {
+        position: add(observer.position, [0, 0, 1], GROUND_SITE_OFFSET),
+        target: ship,
+        up: direction(Math.PI / 2 + observer.tilt),
+      };
+    }
+    case 'onboard': {
+      const bodyAngle = state.pitch + tilt;
+      const nose = direction(bodyAngle);
+      // Just clear of the hull, which is drawn enlarged.
+      const noseDistance = toScene(dimensions.width / 2) * VEHICLE_DISPLAY_SCALE * 1.05;
+      const position = add(ship, nose, noseDistance);
+      return {
+        position,
+        target: add(position, nose, LOOK_AHEAD),
+        up: direction(bodyAngle + Math.PI / 2),
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Smoothstep easing for camera transitions, for t in 0..1 (clamped).
+ */
+export function easeInOut(t) {
+  const x = Math.min(Math.max(t, 0), 1);
+  return x * x * (3 - 2 * x);
+}
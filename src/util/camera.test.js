@@ -0,0 +1,50 @@
+import { cameraPose, easeInOut } from './camera.js';
+
+const state = { downrange: 100000, altitude: 60000, flightPathAngle: 0, pitch: Math.PI / 2 };
+const dimensions = { width: 50, height: 10, depth: 10 };
+
+test('chase sits behind and above the ship along its velocity', () => {
+  const { position, target, up } = cameraPose('chase', state, { dimensions });
+  expect(target).toEqual([100, 60, 0]);
+  expect(position[0]).toBeCloseTo(100 - 150, 9);
+  expect(position[1]).toBeCloseTo(60 + 40, 9);
+  expect(up[1]).toBeCloseTo(1, 12);
+
+  // Descending at 30°, the camera trails up the path.
+  const diving = cameraPose('chase', { ...state, flightPathAngle: -Math.PI / 6 }, { dimensions });
+  expect(diving.position[1]).toBeGreaterThan(60 + 40);
+});
+
+test('the ground observer stays put while watching the ship', () => {
+  const site = { downrange: 400000 };
+  const a = cameraPose('ground', state, { dimensions, site });
+  const b = cameraPose('ground', { ...state, downrange: 300000, altitude: 40000 }, { dimensions, site });
+  expect(a.position).toEqual(b.position);
+  expect(a.position[0]).toBe(400);
+  expect(a.position[1]).toBe(2);
+  expect(b.target).toEqual([300, 40, 0]);
+});
+
+test('onboard looks out from the nose along the body axis', () => {
+  const { position, target, up } = cameraPose('onboard', state, { dimensions });
+  // Pitched straight up: the nose is above the ship center.
+  expect(position[0]).toBeCloseTo(100, 9);
+  expect(position[1]).toBeGreaterThan(60 + 25);
+  expect(target[1]).toBeGreaterThan(position[1]);
+  expect(up[0]).toBeCloseTo(-1, 12);
+});
+
+test('free orbit is left to the user and poses follow the curve of the Earth', () => {
+  expect(cameraPose('free', state, { dimensions })).toBeNull();
+  const earth = cameraPose('chase', { ...state, downrange: 2000000 }, { sceneMode: 'earth', dimensions });
+  // On the globe, "up" tilts downrange with the curve of the Earth.
+  expect(earth.up[0]).toBeCloseTo(Math.sin(2000 / 6371), 9);
+});
+
+test('transitions ease in and out', () => {
+  expect(easeInOut(0)).toBe(0);
+  expect(easeInOut(0.5)).toBe(0.5);
+  expect(easeInOut(1)).toBe(1);
+  expect(easeInOut(2)).toBe(1);
+  expect(easeInOut(0.1)).toBeLessThan(0.1);
+});
@@ -0,0 +1,46 @@
+// src/util/files.js
+
+/**
+ * Small browser helpers for saving and loading files.
+ */
+
+/**
+ * Triggers a download of the given text as a file.
+ */
+export function downloadText(filename, text, mimeType = 'application/json') {
+  downloadBlob(filename, new Blob([text], { type: mimeType }));
+}
+
+/**
+ * Triggers a download of a Blob (e.g. an exported image) as a file.
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a File (e.g. from an <input type="file">) as text.
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Turns a display name into something safe to use as a file name.
+ */
+export function toFileName(name, extension) {
+  const base = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${base || 'untitled'}.${extension}`;
+}
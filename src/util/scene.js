@@ -0,0 +1,82 @@
+// src/util/scene.js
+import { EARTH_RADIUS } from '../sim/dynamics';
+
+/**
+ * Mapping from simulation meters to 3D scene units.
+ *
+ * One scene unit is one kilometre everywhere: positions, the Earth, the
+ * atmosphere shells and the trajectory. The vehicle is the one exception;
+ * at true size it would be a speck, so its mesh (built in meters) is drawn
+ * VEHICLE_DISPLAY_SCALE times larger.
+ *
+ * The flight is planar: downrange runs along +x and altitude along +y. In
+ * the 'flat' scene the ground is the plane y = 0; in the 'earth' scene the
+ * path wraps around a spherical Earth whose surface touches the origin.
+ */
+
+export const SCENE_UNITS_PER_METER = 1e-3;
+
+export const VEHICLE_DISPLAY_SCALE = 1000;
+
+export const SCENE_MODES = {
+  flat: { label: 'Close-up (flat)' },
+  earth: { label: 'Earth (to scale)' },
+};
+
+export const toScene = (meters) => meters * SCENE_UNITS_PER_METER;
+
+export const EARTH_SCENE_RADIUS = toScene(EARTH_RADIUS);
+
+// The Earth's center in the 'earth' scene.
+export const EARTH_SCENE_CENTER = [0, -EARTH_SCENE_RADIUS, 0];
+
+/**
+ * Named altitudes drawn as atmosphere shells, highest first, with the color
+ * each is shaded in.
+ */
+export const ATMOSPHERE_SHELLS = [
+  { name: 'Entry interface', altitude: 122000, color: '#7a5cff' },
+  { name: 'Kármán line', altitude: 100000, color: '#4f7dff' },
+  { name: 'Mesopause', altitude: 86000, color: '#3aa0ff' },
+  { name: 'Stratopause', altitude: 47000, color: '#5cc8ff' },
+  { name: 'Tropopause', altitude: 11000, color: '#9be3ff' },
+];
+
+/**
+ * Places the vehicle in the scene. Returns { position: [x, y, z], tilt },
+ * where tilt (rad) is how far the local horizontal is rotated from the
+ * scene's x axis, to be added to the pitch and flight-path angle.
+ */
+export function scenePlacement(downrange, altitude, mode = 'flat') {
+  if (mode === 'earth') {
+    const angle = downrange / EARTH_RADIUS;
+    const r = EARTH_SCENE_RADIUS + toScene(altitude);
+    return {
+      position: [r * Math.sin(angle), r * Math.cos(angle) - EARTH_SCENE_RADIUS, 0],
+      tilt: -angle,
+    };
+  }
+  return { position: [toScene(downrange), toScene(altitude), 0], tilt: 0 };
+}
+
+// Heat palette from cool (dark blue) through red and orange to white hot.
+const HEAT_PALETTE = [
+  [0.0, [0.1, 0.15, 0.45]],
+  [0.3, [0.7, 0.1, 0.1]],
+  [0.6, [1.0, 0.5, 0.0]],
+  [0.85, [1.0, 0.9, 0.2]],
+  [1.0, [1.0, 1.0, 1.0]],
+];
+
+/**
+ * Color for a heat level in 0..1 (clamped), as [r, g, b] in 0..1.
+ */
+export function heatColor(fraction) {
+  const f = Math.min(Math.max(fraction, 0), 1);
+  const upper = HEAT_PALETTE.findIndex(([stop]) => stop >= f);
+  if (upper <= 0) return HEAT_PALETTE[0][1].slice();
+  const [f0, c0] = HEAT_PALETTE[upper - 1];
+  const [f1, c1] = HEAT_PALETTE[upper];
+  const t = (f - f0) / (f1 - f0);
+  return c0.map((c, i) => c + (c1[i] - c) * t);
+}
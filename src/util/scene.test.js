@@ -0,0 +1,36 @@
+import { scenePlacement, heatColor, toScene, EARTH_SCENE_RADIUS } from './scene.js';
+
+test('one scene unit is a kilometre', () => {
+  expect(toScene(122000)).toBe(122);
+  expect(scenePlacement(250000, 80000, 'flat')).toEqual({ position: [250, 80, 0], tilt: 0 });
+});
+
+test('the earth scene wraps the path around the planet', () => {
+  const start = scenePlacement(0, 120000, 'earth');
+  expect(start.position[0]).toBeCloseTo(0, 9);
+  expect(start.position[1]).toBeCloseTo(120, 9);
+  expect(start.tilt).toBeCloseTo(0, 12);
+
+  // A quarter of the way around, the ship is level with the center.
+  const quarter = (Math.PI / 2) * 6371000;
+  const far = scenePlacement(quarter, 0, 'earth');
+  expect(far.position[0]).toBeCloseTo(EARTH_SCENE_RADIUS, 6);
+  expect(far.position[1]).toBeCloseTo(-EARTH_SCENE_RADIUS, 6);
+  expect(far.tilt).toBeCloseTo(-Math.PI / 2, 12);
+
+  // Close to the entry point the two scenes agree.
+  const flat = scenePlacement(10000, 50000, 'flat').position;
+  const round = scenePlacement(10000, 50000, 'earth').position;
+  expect(round[0]).toBeCloseTo(flat[0], 0);
+  expect(round[1]).toBeCloseTo(flat[1], 0);
+});
+
+test('heat colors run from cool to white hot', () => {
+  expect(heatColor(0)).toEqual([0.1, 0.15, 0.45]);
+  expect(heatColor(1)).toEqual([1, 1, 1]);
+  expect(heatColor(2)).toEqual([1, 1, 1]);
+  const [r, g, b] = heatColor(0.45);
+  expect(r).toBeCloseTo(0.85, 6);
+  expect(g).toBeCloseTo(0.3, 6);
+  expect(b).toBeCloseTo(0.05, 6);
+});